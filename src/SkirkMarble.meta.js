@@ -19,6 +19,15 @@
 // @connect      nominatim.openstreetmap.org
 // @connect      wplace.live
 // @connect      wplace.lol
+// @connect      imgur.com
+// @connect      githubusercontent.com
+// @connect      github.com
+// @connect      discordapp.com
+// @connect      discordapp.net
+// @connect      ibb.co
+// @connect      catbox.moe
+// @connect      localhost
+// @connect      127.0.0.1
 // @resource     CSS-BM-File https://raw.githubusercontent.com/Seris0/Wplace-SkirkMarble/87694688cb85611cbbe9719f852803949289c8af/dist/SkirkMarble.user.css
 // ==/UserScript==
 
@@ -1,4 +1,5 @@
-import { uint8ToBase64, debugLog } from "./utils.js";
+import { base64ToUint8, debugLog } from "./utils.js";
+import { isEncodedTile, encodeTilePixels, decodeTilePixels } from "./tileCodec.js";
 
 /** An instance of a template.
  * Handles all mathematics, manipulation, and analysis regarding a single template.
@@ -210,43 +211,7 @@ export default class Template {
         // setTimeout(() => URL.revokeObjectURL(url), 60000); // Destroys the blob 1 minute later
 
         const imageData = context.getImageData(0, 0, canvasWidth, canvasHeight); // Data of the image on the canvas
-
-        for (let y = 0; y < canvasHeight; y++) {
-          for (let x = 0; x < canvasWidth; x++) {
-            // For every pixel...
-            const pixelIndex = (y * canvasWidth + x) * 4; // Find the pixel index in an array where every 4 indexes are 1 pixel
-            
-            // Get current pixel RGB values
-            const r = imageData.data[pixelIndex];
-            const g = imageData.data[pixelIndex + 1];
-            const b = imageData.data[pixelIndex + 2];
-            
-            // Check if this color is disabled
-            const isDisabled = this.isColorDisabled([r, g, b]);
-            
-            // Debug: log disabled colors being processed
-            if (isDisabled && x % 10 === 0 && y % 10 === 0) {
-              // console.log(`Filtering disabled color [${r}, ${g}, ${b}] at pixel [${x}, ${y}]`);
-            }
-            
-            // If the pixel is the color #deface, draw a translucent gray checkerboard pattern
-            if (r === 222 && g === 250 && b === 206) {
-              if ((x + y) % 2 === 0) { // Formula for checkerboard pattern
-                imageData.data[pixelIndex] = 0;
-                imageData.data[pixelIndex + 1] = 0;
-                imageData.data[pixelIndex + 2] = 0;
-                imageData.data[pixelIndex + 3] = 32; // Translucent black
-              } else { // Transparent negative space
-                imageData.data[pixelIndex + 3] = 0;
-              }
-            } else if (isDisabled) {
-              // Make disabled colors transparent
-              imageData.data[pixelIndex + 3] = 0;
-            } else if (x % shreadSize !== 1 || y % shreadSize !== 1) { // Otherwise only draw the middle pixel
-              imageData.data[pixelIndex + 3] = 0; // Make the pixel transparent on the alpha channel
-            }
-          }
-        }
+        this.#shreadImageData(imageData, shreadSize);
 
         // console.log(`Shreaded pixels for ${pixelX}, ${pixelY}`, imageData);
 
@@ -269,25 +234,13 @@ export default class Template {
           templateTiles[templateTileName] = canvas.cloneNode(true);
         }
         
-        // Convert canvas to buffer using compatible method
-        try {
-          const canvasBlob = await new Promise((resolve, reject) => {
-            if (canvas.convertToBlob) {
-              canvas.convertToBlob().then(resolve).catch(reject);
-            } else {
-              // Fallback for browsers that don't support convertToBlob
-              canvas.toBlob(resolve, 'image/png');
-            }
-          });
-          const canvasBuffer = await canvasBlob.arrayBuffer();
-          const canvasBufferBytes = Array.from(new Uint8Array(canvasBuffer));
-          templateTilesBuffers[templateTileName] = uint8ToBase64(canvasBufferBytes);
-        } catch (error) {
-          // console.log('Canvas blob conversion failed, using data URL fallback');
-          const dataURL = canvas.toDataURL('image/png');
-          const base64 = dataURL.split(',')[1];
-          templateTilesBuffers[templateTileName] = base64;
+        // Stored at 1× scale, the display bitmap is rebuilt from it on load
+        const segment = new Uint8ClampedArray(drawSizeX * drawSizeY * 4);
+        for (let y = 0; y < drawSizeY; y++) {
+          const sourceStart = ((pixelY - this.coords[3] + y) * imageWidth + (pixelX - this.coords[2])) * 4;
+          segment.set(data.subarray(sourceStart, sourceStart + drawSizeX * 4), y * drawSizeX * 4);
         }
+        templateTilesBuffers[templateTileName] = encodeTilePixels(segment, drawSizeX, drawSizeY);
 
         // console.log(templateTiles);
 
@@ -302,6 +255,148 @@ export default class Template {
     return { templateTiles, templateTilesBuffers };
   }
 
+  /** Turns scaled up template pixels into the "shread" display pattern.
+   * Only the middle pixel of every block is kept, #deface becomes a translucent checkerboard and disabled colors become transparent.
+   * @param {ImageData} imageData - Pixels scaled up by shreadSize, changed in place
+   * @param {number} shreadSize - Scale of the pixels
+   * @since 1.0.0
+   */
+  #shreadImageData(imageData, shreadSize) {
+    const canvasWidth = imageData.width;
+    const canvasHeight = imageData.height;
+
+    for (let y = 0; y < canvasHeight; y++) {
+      for (let x = 0; x < canvasWidth; x++) {
+        // For every pixel...
+        const pixelIndex = (y * canvasWidth + x) * 4; // Find the pixel index in an array where every 4 indexes are 1 pixel
+        
+        // Get current pixel RGB values
+        const r = imageData.data[pixelIndex];
+        const g = imageData.data[pixelIndex + 1];
+        const b = imageData.data[pixelIndex + 2];
+        
+        // Check if this color is disabled
+        const isDisabled = this.isColorDisabled([r, g, b]);
+        
+        // Debug: log disabled colors being processed
+        if (isDisabled && x % 10 === 0 && y % 10 === 0) {
+          // console.log(`Filtering disabled color [${r}, ${g}, ${b}] at pixel [${x}, ${y}]`);
+        }
+        
+        // If the pixel is the color #deface, draw a translucent gray checkerboard pattern
+        if (r === 222 && g === 250 && b === 206) {
+          if ((x + y) % 2 === 0) { // Formula for checkerboard pattern
+            imageData.data[pixelIndex] = 0;
+            imageData.data[pixelIndex + 1] = 0;
+            imageData.data[pixelIndex + 2] = 0;
+            imageData.data[pixelIndex + 3] = 32; // Translucent black
+          } else { // Transparent negative space
+            imageData.data[pixelIndex + 3] = 0;
+          }
+        } else if (isDisabled) {
+          // Make disabled colors transparent
+          imageData.data[pixelIndex + 3] = 0;
+        } else if (x % shreadSize !== 1 || y % shreadSize !== 1) { // Otherwise only draw the middle pixel
+          imageData.data[pixelIndex + 3] = 0; // Make the pixel transparent on the alpha channel
+        }
+      }
+    }
+  }
+
+  /** Creates the display bitmaps of the template from its stored tiles.
+   * Reads the compact 1× tiles and the older 3× PNG tiles, which are converted to the compact format.
+   * @param {Object<string, string|Object>} storedTiles - Stored tiles by "0000,0000,000,000" key
+   * @returns {Promise<{templateTiles: Object<string, ImageBitmap>, templateTilesBuffers: Object<string, Object>, converted: boolean}>} The display bitmaps, the tiles in compact format and whether any tile had to be converted
+   * @since 1.0.0
+   */
+  async createTemplateTilesFromStorage(storedTiles) {
+    const shreadSize = 3; // Must match the value used in createTemplateTiles
+    const templateTiles = {};
+    const templateTilesBuffers = {};
+    let converted = false;
+
+    await Promise.all(Object.entries(storedTiles || {}).map(async ([templateTileName, storedTile]) => {
+      if (isEncodedTile(storedTile)) {
+        const { width, height, data } = decodeTilePixels(storedTile);
+        const canvas = document.createElement('canvas');
+        canvas.width = width * shreadSize;
+        canvas.height = height * shreadSize;
+        const context = canvas.getContext('2d');
+        const imageData = context.createImageData(canvas.width, canvas.height);
+
+        // Scale up with nearest neighbor, like drawing the template image in createTemplateTiles
+        for (let y = 0; y < canvas.height; y++) {
+          for (let x = 0; x < canvas.width; x++) {
+            const source = (Math.floor(y / shreadSize) * width + Math.floor(x / shreadSize)) * 4;
+            imageData.data.set(data.subarray(source, source + 4), (y * canvas.width + x) * 4);
+          }
+        }
+        this.#shreadImageData(imageData, shreadSize);
+        context.putImageData(imageData, 0, 0);
+
+        try {
+          templateTiles[templateTileName] = await createImageBitmap(canvas);
+        } catch (error) {
+          templateTiles[templateTileName] = canvas;
+        }
+        templateTilesBuffers[templateTileName] = storedTile;
+        return;
+      }
+
+      // Older tiles are base64 PNGs of the display bitmap
+      const bitmap = await createImageBitmap(new Blob([base64ToUint8(storedTile)], { type: 'image/png' }));
+      templateTiles[templateTileName] = bitmap;
+      templateTilesBuffers[templateTileName] = this.#encodeShreadBitmap(bitmap, shreadSize);
+      converted = true;
+    }));
+
+    return { templateTiles, templateTilesBuffers, converted };
+  }
+
+  /** Reads the 1× pixels back out of a display bitmap and encodes them in the compact format
+   * @param {ImageBitmap} bitmap - The display bitmap of a tile
+   * @param {number} shreadSize - Scale of the bitmap
+   * @returns {Object} The encoded tile
+   * @since 1.0.0
+   */
+  #encodeShreadBitmap(bitmap, shreadSize) {
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    const source = context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+    const width = Math.floor(bitmap.width / shreadSize);
+    const height = Math.floor(bitmap.height / shreadSize);
+    const center = Math.floor(shreadSize / 2);
+    const pixels = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const target = (y * width + x) * 4;
+
+        // #deface blocks are a checkerboard of translucent black, the middle pixel may be one of the gaps
+        let isDeface = false;
+        for (let dy = 0; dy < shreadSize && !isDeface; dy++) {
+          for (let dx = 0; dx < shreadSize && !isDeface; dx++) {
+            const i = ((y * shreadSize + dy) * bitmap.width + (x * shreadSize + dx)) * 4;
+            isDeface = source[i] === 0 && source[i + 1] === 0 && source[i + 2] === 0 && source[i + 3] === 32;
+          }
+        }
+        if (isDeface) {
+          pixels.set([222, 250, 206, 255], target);
+          continue;
+        }
+
+        const i = ((y * shreadSize + center) * bitmap.width + (x * shreadSize + center)) * 4;
+        pixels.set(source.subarray(i, i + 4), target);
+      }
+    }
+
+    return encodeTilePixels(pixels, width, height);
+  }
+
   /** Disables a specific color in the template
    * @param {number[]} rgbColor - RGB color array [r, g, b]
    * @since 1.0.0
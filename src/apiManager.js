@@ -5,7 +5,8 @@
  */
 
 import TemplateManager from "./templateManager.js";
-import { escapeHTML, numberToEncoded, serverTPtoDisplayTP, debugLog } from "./utils.js";
+import { escapeHTML, numberToEncoded, serverTPtoDisplayTP, debugLog, getOwnedColorKeys, estimatePaintingTime, formatDuration } from "./utils.js";
+import { getPainterCount } from "./settingsManager.js";
 import { notifyCanvasChange } from "./tileManager.js";
 
 export default class ApiManager {
@@ -20,6 +21,7 @@ export default class ApiManager {
     this.coordsTilePixel = []; // Contains the last detected tile/pixel coordinate pair requested
     this.templateCoordsTilePixel = []; // Contains the last "enabled" template coords
     this.tileServerBase = null; // Remember last seen tile server base URL
+    this.onWrongPixelPainter = null; // Called with {wrongPixel, damage} when a clicked wrong pixel reveals its painter
   }
 
   /** Determines if the spontaneously recieved response is something we want.
@@ -81,15 +83,20 @@ export default class ApiManager {
             ));
           }
           this.templateManager.userID = dataJSON['id'];
+          this.templateManager.setOwnedColors(getOwnedColorKeys(dataJSON['extraColorsBitmap'])); // Free colors plus purchased premium colors
           
           // Store paint/cooldown information for external access
+          // Charges arrive as {count, max, cooldownMs}; older responses had them as top level numbers
+          const chargesJSON = dataJSON['charges'];
+          const isChargesObject = typeof chargesJSON === 'object' && chargesJSON !== null;
           this.userPaintData = {
-            charges: dataJSON['charges'] || 0,
-            maxCharges: dataJSON['maxCharges'] || 1,
+            charges: (isChargesObject ? chargesJSON['count'] : chargesJSON) || 0,
+            maxCharges: (isChargesObject ? chargesJSON['max'] : dataJSON['maxCharges']) || 1,
             nextChargeTime: dataJSON['nextChargeTime'] || null,
-            cooldownMs: dataJSON['cooldownMs'] || null,
+            cooldownMs: (isChargesObject ? chargesJSON['cooldownMs'] : dataJSON['cooldownMs']) || null,
             canPaint: dataJSON['canPaint'] || false,
-            timeUntilNextCharge: null
+            timeUntilNextCharge: null,
+            fetchedAt: Date.now()
           };
           
           // Calculate time until next charge if available
@@ -125,6 +132,7 @@ export default class ApiManager {
           
           // Update full charge countdown
           this.updateFullChargeInfo(overlay, dataJSON);
+          this.updateTemplateEtaDisplay(overlay);
           break;
 
         case 'pixel': // Request to retrieve pixel data
@@ -140,6 +148,25 @@ export default class ApiManager {
           
           this.coordsTilePixel = [...coordsTile, ...coordsPixel]; // Combines the two arrays such that [x, y, x, y]
           const displayTP = serverTPtoDisplayTP(coordsTile, coordsPixel);
+
+          // Keep who painted the pixel when it is a wrong template pixel
+          const paintedBy = dataJSON?.['paintedBy'];
+          if (paintedBy && paintedBy['id']) {
+            const painter = {
+              id: paintedBy['id'],
+              name: paintedBy['name'] || '',
+              allianceId: paintedBy['allianceId'] || null,
+              allianceName: paintedBy['allianceName'] || null
+            };
+            const record = this.templateManager.recordPixelPainter(this.coordsTilePixel.map(Number), painter);
+            if (record) {
+              try {
+                this.onWrongPixelPainter?.(record);
+              } catch (error) {
+                console.warn('Painter card failed:', error);
+              }
+            }
+          }
           
           const spanElements = document.querySelectorAll('span'); // Retrieves all span elements
 
@@ -251,6 +278,64 @@ export default class ApiManager {
     }
   }
 
+  /** Gets the charges the user has right now, counting charges regained since the last /me response
+   * @returns {{charges: number, maxCharges: number, cooldownMs: number}|null} The charge state, or null before /me was seen
+   * @since 1.0.0
+   */
+  getChargeState() {
+    if (!this.userPaintData?.cooldownMs) {return null;}
+
+    const { charges, maxCharges, cooldownMs, fetchedAt } = this.userPaintData;
+    const regained = Math.floor((Date.now() - fetchedAt) / cooldownMs);
+    return { charges: Math.min(maxCharges, Math.floor(charges) + regained), maxCharges, cooldownMs };
+  }
+
+  /** Updates the template completion estimate in the overlay.
+   * Combines the remaining pixels of enabled templates with the user's charges, for one painter and for the saved painter count.
+   * @param {Overlay} overlay - The Overlay class instance
+   * @since 1.0.0
+   */
+  updateTemplateEtaDisplay(overlay) {
+    if (!document.getElementById('bm-user-eta-content')) {return;}
+
+    const chargeState = this.getChargeState();
+    const pixelStats = this.templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
+
+    let remaining = 0;
+    for (const stats of Object.values(pixelStats)) {
+      remaining += Math.max(0, (stats.totalRequired || 0) - (stats.painted || 0));
+    }
+
+    let html;
+    if (!chargeState) {
+      html = 'Template done in <b style="color: #6b7280;">N/A</b>';
+    } else if (!Object.keys(pixelStats).length) {
+      html = 'Template done in <b style="color: #6b7280;">no template</b>';
+    } else if (remaining === 0) {
+      html = 'Template done in <b style="color: #10b981;">DONE</b>';
+    } else {
+      const painters = getPainterCount();
+      const solo = formatDuration(estimatePaintingTime(remaining, chargeState, 1));
+      html = `Template done in <b style="color: #f59e0b;">${solo}</b>`;
+      if (painters > 1) {
+        const group = formatDuration(estimatePaintingTime(remaining, chargeState, painters));
+        html += ` <span style="color: #6b7280; font-size: 0.9em;">(${group} with ${painters})</span>`;
+      }
+    }
+
+    overlay.updateInnerHTML('bm-user-eta-content', html);
+
+    // Apply visibility setting
+    try {
+      const show = JSON.parse(localStorage.getItem('bmShowTemplateEta') ?? 'true');
+      const el = document.getElementById('bm-user-eta');
+      if (el) {
+        el.style.display = show ? '' : 'none';
+        el.title = `${remaining.toLocaleString()} pixels left, one pixel per charge`;
+      }
+    } catch(_) {}
+  }
+
   /** Update the full charge countdown display
    * @param {Overlay} overlay - The Overlay class instance
    * @since 1.0.0
@@ -0,0 +1,104 @@
+/** @file Rolling backups of the templates and settings
+ * Snapshots are taken before destructive operations and once a day, and kept in the template database
+ * @since 1.0.0
+ */
+
+import { debugLog } from './utils.js';
+import { collectSettings } from './settingsManager.js';
+import { hashString } from './tileProgressStore.js';
+import { isTemplateStoreAvailable, addBackup, listBackups as listStoredBackups, getBackupData as getStoredBackupData, deleteBackup as deleteStoredBackup } from './templateStore.js';
+
+/** Maximum backups kept, oldest are dropped first */
+const MAX_BACKUPS = 10;
+
+/** Time between two daily backups */
+const DAILY_BACKUP_MS = 24 * 60 * 60 * 1000;
+
+/** Takes a backup of the templates and the current settings.
+ * Nothing is saved when there are no templates, since there is nothing to lose.
+ * @param {Object} templatesJSON - The templates JSON
+ * @param {string} reason - Why the backup was taken (e.g. "Daily", "Before deleting a template")
+ * @param {{skipIfUnchanged?: boolean}} [options] - Skip the backup when the newest one has the same contents
+ * @returns {Promise<number|null>} The ID of the backup, or null if none was taken
+ * @since 1.0.0
+ */
+export async function createBackup(templatesJSON, reason, { skipIfUnchanged = false } = {}) {
+  const templates = templatesJSON?.templates || {};
+  const templateKeys = Object.keys(templates);
+  if (!templateKeys.length || !isTemplateStoreAvailable()) {return null;}
+
+  try {
+    const data = { templatesJSON, settings: collectSettings() };
+    const templatesString = JSON.stringify(templatesJSON);
+    const settingsString = JSON.stringify(data.settings);
+    const hash = hashString(settingsString, hashString(templatesString));
+
+    if (skipIfUnchanged) {
+      const [newest] = await listStoredBackups();
+      if (newest?.hash === hash) {
+        debugLog(`[Backups] Skipped "${reason}" backup, nothing changed`);
+        return null;
+      }
+    }
+
+    const summary = {
+      t: Date.now(),
+      reason,
+      templateCount: templateKeys.length,
+      size: templatesString.length + settingsString.length,
+      hash,
+      templates: templateKeys.map(key => ({ key, name: templates[key]?.name || key }))
+    };
+    const id = await addBackup(summary, data, MAX_BACKUPS);
+    debugLog(`[Backups] Saved backup ${id} (${reason}) with ${templateKeys.length} template(s)`);
+    return id;
+  } catch (error) {
+    console.warn('Failed to create backup:', error);
+    return null;
+  }
+}
+
+/** Takes the daily backup if the newest backup is more than a day old
+ * @param {Object} templatesJSON - The templates JSON
+ * @returns {Promise<number|null>} The ID of the backup, or null if none was taken
+ * @since 1.0.0
+ */
+export async function createDailyBackupIfDue(templatesJSON) {
+  if (!isTemplateStoreAvailable()) {return null;}
+
+  try {
+    const [newest] = await listStoredBackups();
+    if (newest && Date.now() - newest.t < DAILY_BACKUP_MS) {return null;}
+  } catch (error) {
+    console.warn('Failed to read backups:', error);
+    return null;
+  }
+  return createBackup(templatesJSON, 'Daily', { skipIfUnchanged: true });
+}
+
+/** Lists the backups without their contents
+ * @returns {Promise<Array<{id: number, t: number, reason: string, templateCount: number, size: number, templates: Array<{key: string, name: string}>}>>} Backups, newest first
+ * @since 1.0.0
+ */
+export async function listBackups() {
+  if (!isTemplateStoreAvailable()) {return [];}
+  return listStoredBackups();
+}
+
+/** Reads the contents of a backup
+ * @param {number} id - The backup ID
+ * @returns {Promise<{templatesJSON: Object, settings: Object}|null>} The backed up templates and settings
+ * @since 1.0.0
+ */
+export function getBackupData(id) {
+  return getStoredBackupData(id);
+}
+
+/** Deletes a backup
+ * @param {number} id - The backup ID
+ * @returns {Promise<void>}
+ * @since 1.0.0
+ */
+export function deleteBackup(id) {
+  return deleteStoredBackup(id);
+}
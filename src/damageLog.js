@@ -0,0 +1,107 @@
+/** @file Damage log for templates
+ * Keeps pixels that were correct in one tile analysis and wrong in the next
+ * @since 1.0.0
+ */
+
+import { debugLog } from './utils.js';
+import { readStoredJSON, writeStoredJSON } from './storedJSON.js';
+
+/** Storage key of the log (Array<DamageEvent>, oldest first) */
+const DAMAGE_LOG_KEY = 'bmDamageLog';
+
+/** Maximum events kept, oldest are dropped first */
+const MAX_EVENTS = 1000;
+
+/** Reads the damage log from storage
+ * Changes to the returned value must be written back, it can be the copy waiting to be saved
+ * @returns {Array<{t: number, tileX: number, tileY: number, pixelX: number, pixelY: number, expected: string, actual: string, templateKey: string}>} Damage events, oldest first
+ * @since 1.0.0
+ */
+export function getDamageLog() {
+  return readStoredJSON(DAMAGE_LOG_KEY, []);
+}
+
+/** Writes the damage log to storage
+ * @param {Array<Object>} events - Damage events, oldest first
+ * @since 1.0.0
+ */
+function saveDamageLog(events) {
+  writeStoredJSON(DAMAGE_LOG_KEY, events);
+}
+
+/** Appends damage events to the log
+ * @param {Array<{tileX: number, tileY: number, pixelX: number, pixelY: number, expected: string, actual: string, templateKey: string}>} events - Damaged pixels with "r,g,b" expected and actual colors
+ * @param {number} [now=Date.now()] - When the damage was detected
+ * @returns {Array<Object>} The recorded events, with their timestamp
+ * @since 1.0.0
+ */
+export function recordDamage(events, now = Date.now()) {
+  if (!events.length) {return [];}
+
+  const log = getDamageLog();
+  const recorded = events.map(event => ({ t: now, ...event }));
+  log.push(...recorded);
+  if (log.length > MAX_EVENTS) {log.splice(0, log.length - MAX_EVENTS);}
+
+  saveDamageLog(log);
+  debugLog(`[Damage Log] Recorded ${recorded.length} damaged pixel(s)`);
+  return recorded;
+}
+
+/** Deletes every event in the damage log
+ * @since 1.0.0
+ */
+export function clearDamageLog() {
+  saveDamageLog([]);
+}
+
+/** Moves damage events to new template keys (after templates were reordered)
+ * @param {Object<string, string>} keyMap - Old template key to new template key
+ * @since 1.0.0
+ */
+export function remapDamageLog(keyMap) {
+  const log = getDamageLog();
+  if (!log.length) {return;}
+  saveDamageLog(log.map(event => ({ ...event, templateKey: keyMap[event.templateKey] || event.templateKey })));
+}
+
+/** Deletes the damage events of a template
+ * @param {string} templateKey - The template key ("sortID authorID")
+ * @since 1.0.0
+ */
+export function deleteDamageForTemplate(templateKey) {
+  const log = getDamageLog();
+  const kept = log.filter(event => event.templateKey !== templateKey);
+  if (kept.length !== log.length) {saveDamageLog(kept);}
+}
+
+/** Attaches painter information to the latest damage event of a pixel.
+ * Only an event whose damaged color is still on the pixel is updated, so a later repaint is not blamed on the griefer.
+ * @param {Array<number>} coords - The pixel as [tileX, tileY, pixelX, pixelY]
+ * @param {string} actual - The color currently on the pixel "r,g,b"
+ * @param {{id: number, name: string, allianceId: number|null, allianceName: string|null}} painter - Who painted the pixel
+ * @returns {Object|null} The updated event, or null if there is no matching event
+ * @since 1.0.0
+ */
+export function attachPainterToDamage([tileX, tileY, pixelX, pixelY], actual, painter) {
+  const log = getDamageLog();
+  for (let i = log.length - 1; i >= 0; i--) {
+    const event = log[i];
+    if (event.tileX !== tileX || event.tileY !== tileY || event.pixelX !== pixelX || event.pixelY !== pixelY) {continue;}
+    if (event.actual !== actual) {return null;}
+
+    event.paintedBy = painter;
+    saveDamageLog(log);
+    return event;
+  }
+  return null;
+}
+
+/** Counts the damage events attributed to a painter
+ * @param {number} painterId - The painter's user ID
+ * @returns {number} Number of damage events
+ * @since 1.0.0
+ */
+export function countDamageByPainter(painterId) {
+  return getDamageLog().filter(event => event.paintedBy?.id === painterId).length;
+}
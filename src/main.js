@@ -6,7 +6,8 @@ import Overlay from './Overlay.js';
 import Observers from './observers.js';
 import ApiManager from './apiManager.js';
 import TemplateManager from './templateManager.js';
-import { debugLog, canvasPosToLatLng, getDebugLoggingEnabled, saveDebugLoggingEnabled } from './utils.js';
+import TileScanner from './tileScanner.js';
+import { debugLog, escapeHTML, formatDuration, canvasPosToLatLng, latLngToCanvasPos, colorpalette, getDebugLoggingEnabled, saveDebugLoggingEnabled, isRemoteTemplateHost, remoteTemplateHosts } from './utils.js';
 
 // Ensure debugLog is globally available to prevent ReferenceError - set it immediately
 if (typeof window !== 'undefined') {
@@ -14,8 +15,15 @@ if (typeof window !== 'undefined') {
   window.getDebugLoggingEnabled = getDebugLoggingEnabled;
 }
 import * as icons from './icons.js';
-import { initializeTileRefreshPause, toggleTileRefreshPause, isTileRefreshPaused, getCachedTileCount, getSmartCacheStats, toggleSmartTileCache, notifyCanvasChange } from './tileManager.js';
+import { initializeTileRefreshPause, toggleTileRefreshPause, isTileRefreshPaused, getCachedTileCount, getSmartCacheStats, clearSmartTileCache, toggleSmartTileCache, notifyCanvasChange } from './tileManager.js';
 import * as Settings from './settingsManager.js';
+import { quantizeImageData, getQuantizePalette, QUANTIZE_METHODS } from './paletteQuantizer.js';
+import { getProgressHistory, estimateCompletion, pruneProgressHistory } from './progressHistory.js';
+import { getDamageLog, clearDamageLog, countDamageByPainter } from './damageLog.js';
+import { flushStoredJSON, discardPendingJSON } from './storedJSON.js';
+import { isTemplateStoreAvailable, loadTemplatesFromStore, saveTemplatesToStore, clearTemplateStore } from './templateStore.js';
+import { createBackup, createDailyBackupIfDue, listBackups, getBackupData, deleteBackup } from './backups.js';
+import { getLocalStorageUsage, checkLocalStorageRoom, getTemplateSizes, getStorageEstimate, QUOTA_WARNING_RATIO } from './storageUsage.js';
 import { getDragModeEnabled, saveDragModeEnabled } from './settingsManager.js';
 import {
     getTemplateColorSort,
@@ -614,6 +622,15 @@ templateManager.setErrorMapMode(getErrorMapEnabled());
 const apiManager = new ApiManager(templateManager); // Constructs a new ApiManager object
 
 overlayMain.setApiManager(apiManager); // Sets the API manager
+templateManager.onDamageDetected = events => showDamageAlert(overlayMain, events); // Alerts when correct pixels turn wrong
+apiManager.onWrongPixelPainter = record => showPainterCard(record); // Shows who painted a clicked wrong pixel
+const tileScanner = new TileScanner(templateManager, apiManager); // Constructs the opt-in background tile scanner
+tileScanner.applySettings();
+window.addEventListener('pagehide', () => {
+  // Don't lose analysis that is still waiting to be saved
+  if (templateManager.tileProgressSaveTimer) {templateManager.saveTileProgressNow();}
+  flushStoredJSON(); // Progress history and damage log
+});
 
 // Load wrong color settings
 templateManager.loadWrongColorSettings();
@@ -628,6 +645,22 @@ async function loadTemplates() {
   let storageSource = 'none';
   
   debugLog('Loading templates from storage...');
+
+  // IndexedDB is used once templates were migrated to it, unless a fallback save to the old keys is newer
+  if (isTemplateStoreAvailable()) {
+    try {
+      const stored = await loadTemplatesFromStore();
+      if (stored && stored.savedAt >= await getLegacyTemplatesTimestamp()) {
+        importStoredTemplates(stored.templatesJSON, 'IndexedDB');
+        return;
+      }
+    } catch (error) {
+      console.error('❌ IndexedDB template load failed, using TamperMonkey/localStorage:', error);
+    }
+  }
+
+  // The old keys are only read before migrating to IndexedDB, or when it is not usable
+  await migrateAndValidateStorage();
   
   // Try TamperMonkey storage first with enhanced error handling
   try {
@@ -853,11 +886,26 @@ async function loadTemplates() {
     }
   }
   
+  importStoredTemplates(storageTemplates, storageSource);
+
+  // Move the templates into IndexedDB so the chunked keys are not needed anymore
+  if (Object.keys(storageTemplates?.templates || {}).length > 0 && !storageSource.startsWith('emergency')) {
+    await migrateTemplatesToStore(storageTemplates);
+  }
+}
+
+/** Loads the stored templates into the template manager, starting fresh if they cannot be imported
+ * @param {Object} storageTemplates - The templates JSON read from storage
+ * @param {string} storageSource - Where the templates were read from, for logging
+ * @since 1.0.0
+ */
+function importStoredTemplates(storageTemplates, storageSource) {
   // Enhanced template loading with recovery
   try {
     templateManager.importJSON(storageTemplates); // Loads the templates
     debugLog(`Templates imported successfully from ${storageSource}`);
     
+    const templateCount = Object.keys(storageTemplates?.templates || {}).length;
     if (templateCount === 0) {
       debugLog('ℹ️ No templates loaded - start by creating a new template');
     } else {
@@ -884,7 +932,7 @@ async function loadTemplates() {
       const freshTemplates = {
         whoami: 'BlueMarble',
         scriptVersion: '0.89.6',
-        schemaVersion: '2.1.0',
+        schemaVersion: templateManager.templatesVersion,
         templates: {},
         lastModified: new Date().toISOString(),
         templateCount: 0,
@@ -900,6 +948,47 @@ async function loadTemplates() {
   }
 }
 
+/** Gets when templates were last written to the TamperMonkey/localStorage keys
+ * @returns {Promise<number>} Timestamp in milliseconds, 0 if they hold no templates
+ * @since 1.0.0
+ */
+async function getLegacyTemplatesTimestamp() {
+  let timestamp = 0;
+  try {
+    if (typeof GM !== 'undefined' && GM.getValue) {
+      timestamp = Number(await GM.getValue('bmTemplates_timestamp', 0)) || 0;
+    } else if (typeof GM_getValue !== 'undefined') {
+      timestamp = Number(GM_getValue('bmTemplates_timestamp', 0)) || 0;
+    }
+  } catch (_) {}
+  return Math.max(timestamp, parseInt(localStorage.getItem('bmTemplates_timestamp') || '0'));
+}
+
+/** Copies templates read from the TamperMonkey/localStorage keys into IndexedDB, then removes those keys.
+ * The keys are kept if the copy cannot be read back completely.
+ * @param {Object} storageTemplates - The templates JSON read from the old keys
+ * @since 1.0.0
+ */
+async function migrateTemplatesToStore(storageTemplates) {
+  if (!isTemplateStoreAvailable()) return;
+
+  try {
+    await saveTemplatesToStore(storageTemplates);
+    const stored = await loadTemplatesFromStore();
+    const expected = Object.keys(storageTemplates.templates || {}).length;
+    const migrated = Object.keys(stored?.templatesJSON?.templates || {}).length;
+    if (migrated !== expected) {
+      throw new Error(`Only ${migrated}/${expected} templates were stored`);
+    }
+
+    await cleanupCorruptedStorage('tm');
+    await cleanupCorruptedStorage('ls');
+    debugLog(`Migrated ${migrated} templates to IndexedDB`);
+  } catch (error) {
+    console.error('❌ Template migration to IndexedDB failed, keeping TamperMonkey/localStorage data:', error);
+  }
+}
+
 // Emergency data recovery function
 async function attemptEmergencyRecovery() {
   debugLog('Starting emergency data recovery...');
@@ -1192,7 +1281,7 @@ async function cleanupCorruptedStorage(storageType) {
       }
       try { localStorage.removeItem('bmTemplates_chunkCount'); } catch (_) {}
     }
-    debugLog(`Cleaned up corrupted ${storageType.toUpperCase()} storage`);
+    debugLog(`Cleared ${storageType.toUpperCase()} template storage`);
   } catch (e) {
     console.error(`❌ Failed to cleanup ${storageType.toUpperCase()} storage:`, e);
   }
@@ -1215,6 +1304,13 @@ async function storeDataChunked(storageType, data, timestamp) {
       await GM.setValue('bmTemplates_timestamp', timestamp);
     }
   } else if (storageType === 'ls') {
+    // Stop before removing anything, a write that runs out of space leaves half the chunks behind
+    const room = checkLocalStorageRoom(data.length);
+    if (!room.fits) {
+      overlayMain.handleDisplayError(`Templates (${formatStorageSize(room.needed)}) no longer fit in localStorage (${formatStorageSize(Math.max(0, room.available))} free). Open the storage usage panel (💾) to free space.`);
+      throw new Error(`localStorage is too full for templates: ${room.needed} needed, ${room.available} available`);
+    }
+
     // Clear single key first
     try { localStorage.removeItem('bmTemplates'); } catch (_) {}
     localStorage.setItem('bmTemplates_chunkCount', String(parts));
@@ -1228,9 +1324,40 @@ async function storeDataChunked(storageType, data, timestamp) {
 
 
 
-// Load templates on startup - run migration first to ensure data consistency, then load
-migrateAndValidateStorage()
-  .then(() => loadTemplates())
+// Load templates on startup (syncs and migrates the old storage keys when needed)
+loadTemplates()
+  .then(async () => {
+    // Progress from the last visit, shown as stale until the tiles are seen again
+    if (await templateManager.restoreTileProgress() > 0) {
+      setTimeout(() => updateMiniTracker(), 500);
+    }
+  })
+  .then(async () => {
+    // Progress exclusions used to be one global list, they are stored per template now.
+    // The old list is kept until it has been applied, e.g. when no templates are loaded yet.
+    try {
+      const legacyExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
+      if (await templateManager.migrateGlobalExcludedColors(legacyExcluded)) {
+        localStorage.removeItem('bmcf-excluded-colors');
+        localStorage.removeItem('bmcf-excluded-colors-pending');
+      }
+    } catch (error) {
+      console.warn('Failed to migrate the global excluded colors:', error);
+    }
+  })
+  .then(() => {
+    // Keep URL templates in sync with their source images
+    templateManager.setRemoteRefreshInterval(Settings.getRemoteTemplateRefreshMinutes());
+    if (Settings.getRemoteTemplateRefreshMinutes() > 0) {
+      templateManager.refreshRemoteTemplates();
+    }
+  })
+  .then(() => {
+    // Daily backup, checked again every hour for tabs that stay open
+    createDailyBackupIfDue(templateManager.templatesJSON);
+    setInterval(() => createDailyBackupIfDue(templateManager.templatesJSON), 60 * 60 * 1000);
+  })
+  .then(() => warnIfStorageNearlyFull())
   .catch(error => console.error('Template loading failed:', error));
 
 buildOverlayMain(); // Builds the main overlay
@@ -1267,6 +1394,8 @@ observeOpacityButton(); // Observes and adds the Map button above opacity button
 
 // Initialize keyboard shortcuts
 initializeKeyboardShortcuts();
+initializeAutoSelectColor();
+initializeHoverInspector();
 
 // Add styles for full charge element
 if (!document.getElementById('bm-fullcharge-styles')) {
@@ -1284,6 +1413,20 @@ if (!document.getElementById('bm-fullcharge-styles')) {
       margin: 0;
       flex: 1;
     }
+    #bm-user-eta {
+      display: flex;
+      align-items: center;
+    }
+    #bm-user-eta-content {
+      margin: 0;
+      flex: 1;
+    }
+    #bm-user-eta-painters {
+      width: 3.2em;
+      margin-left: 4px;
+      padding: 1px 4px;
+      font-size: 0.85em;
+    }
   `;
   document.head.appendChild(style);
 }
@@ -1454,7 +1597,9 @@ function deleteAllTemplates(instance) {
  * @param {string} templateText - Singular/plural text for templates
  * @since 1.0.0
  */
-function performDeleteAllTemplates(instance, templateCount, templateText) {
+async function performDeleteAllTemplates(instance, templateCount, templateText) {
+  await createBackup(templateManager?.templatesJSON, 'Before deleting all templates');
+
   try {
     // Clear templates from memory
     if (templateManager) {
@@ -1485,6 +1630,13 @@ function performDeleteAllTemplates(instance, templateCount, templateText) {
     } catch (error) {
       console.warn('⚠️ Failed to clear localStorage:', error);
     }
+
+    // Clear from IndexedDB
+    if (isTemplateStoreAvailable()) {
+      saveTemplatesToStore(templateManager.templatesJSON).catch(error => {
+        console.warn('⚠️ Failed to clear IndexedDB templates:', error);
+      });
+    }
     
     // Force refresh template display to clear any visual templates
     if (typeof refreshTemplateDisplay === 'function') {
@@ -1520,14 +1672,20 @@ function performDeleteAllTemplates(instance, templateCount, templateText) {
 function clearAllStorage(instance) {
   showCustomConfirmDialog(
     'Clear All Storage?',
-    `This will delete ALL Blue Marble data including:\n\n• Templates\n• Settings\n• Color filters\n• Crosshair preferences\n• All cached data\n\nThis action cannot be undone!\n\nAre you sure?`,
-    () => {
+    `This will delete ALL Blue Marble data including:\n\n• Templates\n• Settings\n• Color filters\n• Crosshair preferences\n• All cached data\n\nA backup is taken first and can be restored from the backups dialog.\n\nAre you sure?`,
+    async () => {
+      // Backups survive clearing the storage, so this can be undone from the backups dialog
+      await createBackup(templateManager?.templatesJSON, 'Before clearing all storage');
+
       try {
         // List of all Blue Marble storage keys
         const bmStorageKeys = [
           // Templates
           'bmTemplates',
           'bmTemplates_timestamp',
+          'bmProgressHistory',
+          'bmDamageLog',
+          'bmTileProgress',
           
           // Settings
           'bmErrorMap',
@@ -1545,6 +1703,10 @@ function clearAllStorage(instance) {
           'bmQuickfillEnabled',
           'bmQuickfillPixels',
           'bmQuickfillSelectedColor',
+          'bmPainterCount',
+          'bmTileScanner',
+          'bmAutoSelectColor',
+          'bmHoverInspector',
           
           // Color filters
           'bmcf-excluded-colors',
@@ -1556,6 +1718,7 @@ function clearAllStorage(instance) {
         ];
         
         let deletedCount = 0;
+        discardPendingJSON(); // Otherwise a batched history write would bring the keys back
         
         // Clear localStorage
         bmStorageKeys.forEach(key => {
@@ -1587,6 +1750,11 @@ function clearAllStorage(instance) {
           });
         }
         
+        // Clear the template database (backups are kept)
+        if (isTemplateStoreAvailable()) {
+          clearTemplateStore().catch(e => console.warn('Could not clear template database:', e));
+        }
+        
         // Clear template manager data
         if (templateManager) {
           templateManager.templatesJSON = null;
@@ -2560,7 +2728,7 @@ function showImportDialog(instance) {
       instance.handleDisplayStatus(`Imported templates from ${file.name}!`);
     } catch (e) {
       console.error(e);
-      instance.handleDisplayStatus('Failed to import JSON - please check the file format');
+      instance.handleDisplayError(e instanceof SyntaxError ? 'Failed to import JSON - please check the file format' : `Failed to import JSON: ${e.message}`);
     }
   };
 
@@ -2612,47 +2780,32 @@ function showImportDialog(instance) {
   document.body.appendChild(overlay);
 }
 
-/** Shows wrong pixels coordinates dialog with fly-to functionality
- * @param {Object} instance - The overlay instance
+/** Gets the palette the converter snaps template images to.
+ * 'owned' falls back to the free colors until the /me response tells us what the user owns.
+ * @param {string} paletteMode - 'all', 'free' or 'owned'
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
  * @since 1.0.0
  */
-function showWrongPixelsDialog(instance) {
-  const wrongPixelsList = [];
-  
-  if (!templateManager || !templateManager.tileProgress || templateManager.tileProgress.size === 0) {
-    instance.handleDisplayError('No tile data available. Please load a template first!');
-    return;
-  }
-  
-  for (const [tileCoords, tileData] of templateManager.tileProgress.entries()) {
-    if (tileData.wrong > 0 && tileData.colorBreakdown) {
-      const [tileX, tileY] = tileCoords.split(',').map(Number);
-
-      for (const [colorKey, colorStats] of Object.entries(tileData.colorBreakdown)) {
-        if (colorStats.wrong > 0 && colorStats.firstWrongPixel) {
-          wrongPixelsList.push({
-            tileX,
-            tileY,
-            colorKey,
-            wrongCount: colorStats.wrong,
-            tileCoords: `${tileX}, ${tileY}`,
-            pixelX: colorStats.firstWrongPixel[0],
-            pixelY: colorStats.firstWrongPixel[1]
-          });
-        }
-      }
-    }
-  }
-  
-  if (wrongPixelsList.length === 0) {
-    instance.handleDisplayStatus('🎉 No wrong pixels found! All pixels match the template!');
-    return;
+function getTemplatePalette(paletteMode) {
+  if (paletteMode === 'owned') {
+    return templateManager.ownedColors
+      ? getQuantizePalette({ allowedColors: [...templateManager.ownedColors] })
+      : getQuantizePalette({ freeOnly: true });
   }
-  
-  wrongPixelsList.sort((a, b) => b.wrongCount - a.wrongCount);
-  
+  return getQuantizePalette({ freeOnly: paletteMode === 'free' });
+}
+
+/** Shows the built-in palette converter for the currently selected template image.
+ * Previews the conversion side by side and saves the method used by the Create button.
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+function showPaletteConverterDialog(instance) {
+  const templateInput = document.querySelector('#bm-input-file-template');
+  const settings = Settings.getTemplateQuantizeSettings();
+
   const overlay = document.createElement('div');
-  overlay.id = 'bm-wrong-pixels-overlay';
+  overlay.id = 'bm-palette-converter-overlay';
   overlay.style.cssText = `
     position: fixed;
     top: 0;
@@ -2664,10 +2817,10 @@ function showWrongPixelsDialog(instance) {
     display: flex;
     justify-content: center;
     align-items: center;
-    z-index: 10000;
+    z-index: 10001;
     font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
   `;
-  
+
   const container = document.createElement('div');
   container.style.cssText = `
     background: #1e293b;
@@ -2675,220 +2828,2510 @@ function showWrongPixelsDialog(instance) {
     border-radius: 20px;
     border: 1px solid #334155;
     box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
-    backdrop-filter: blur(16px);
-    max-width: 390px;
-    width: 90%;
-    max-height: 85vh;
-    overflow: hidden;
-    display: flex;
-    flex-direction: column;
+    max-width: 720px;
+    width: 92%;
+    max-height: 90vh;
+    overflow-y: auto;
+    padding: 30px;
     position: relative;
   `;
-  
-  // Header
-  const header = document.createElement('div');
-  header.style.cssText = `
-    display: flex;
-    justify-content: space-between;
-    align-items: center;
-    padding: 14px 16px 12px 16px;
-    border-bottom: 1px solid #334155;
-    background: linear-gradient(135deg, #1e293b, #293548);
-  `;
-  
+
   const title = document.createElement('h3');
-  title.textContent = `Wrong Pixels (${wrongPixelsList.length} locations)`;
+  title.textContent = 'Palette Converter';
   title.style.cssText = `
-    margin: 0;
-    font-size: 1.2em;
+    margin: 0 0 16px 0;
+    font-size: 1.5em;
     font-weight: 700;
-    background: linear-gradient(135deg, #f87171, #ef4444);
+    text-align: center;
+    background: linear-gradient(135deg, #f1f5f9, #cbd5e1);
     -webkit-background-clip: text;
     -webkit-text-fill-color: transparent;
     background-clip: text;
   `;
-  
+
   const closeBtn = document.createElement('button');
-  closeBtn.textContent = '×';
   closeBtn.className = 'bm-close-btn';
+  closeBtn.innerHTML = '×';
   closeBtn.style.cssText = `
-    background: none;
+    position: absolute;
+    top: 15px;
+    right: 20px;
+    background: transparent;
     border: none;
     color: #94a3b8;
-    font-size: 20px;
+    font-size: 24px;
     cursor: pointer;
-    padding: 0;
-    width: 26px;
-    height: 26px;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-    border-radius: 6px;
-  `;
-  closeBtn.onclick = () => document.body.removeChild(overlay);
-  
-  header.appendChild(title);
-  header.appendChild(closeBtn);
-  
-  const content = document.createElement('div');
-  content.style.cssText = `
-    padding: 14px 16px;
-    overflow-y: auto;
-    flex: 1;
-  `;
-  
-  const pixelsList = document.createElement('div');
-  pixelsList.style.cssText = `
-    display: flex;
-    flex-direction: column;
-    gap: 6px;
-  `;
-  
-  const loadingDiv = document.createElement('div');
-  loadingDiv.style.cssText = `
-    text-align: center;
-    padding: 40px;
-    color: #94a3b8;
-    font-size: 14px;
+    width: 30px;
+    height: 30px;
+    border-radius: 50%;
   `;
-  loadingDiv.textContent = 'Loading wrong pixels...';
-  pixelsList.appendChild(loadingDiv);
-  
-  content.appendChild(pixelsList);
-  container.appendChild(header);
-  container.appendChild(content);
-  overlay.appendChild(container);
-  
-  overlay.addEventListener('click', (e) => {
-    if (e.target === overlay) {
-      document.body.removeChild(overlay);
-    }
+
+  // Declared below, the template input listener must be removed when the dialog closes
+  let loadSource = null;
+  const closeDialog = () => {
+    templateInput?.removeEventListener('change', loadSource);
+    overlay.remove();
+  };
+  closeBtn.onclick = closeDialog;
+
+  // Controls
+  const controls = document.createElement('div');
+  controls.style.cssText = 'display: flex; flex-wrap: wrap; gap: 12px; align-items: center; justify-content: center; margin-bottom: 16px;';
+
+  const methodSelect = document.createElement('select');
+  methodSelect.style.cssText = 'background: #0f172a; color: #f1f5f9; border: 1px solid #475569; border-radius: 8px; padding: 8px 10px; font-size: 0.95em;';
+  [['none', 'No conversion'], ...Object.entries(QUANTIZE_METHODS)].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === settings.method;
+    methodSelect.appendChild(option);
   });
-  
-  document.body.appendChild(overlay);
 
-  import('./utils.js').then(utils => {
-    const colorPalette = utils.colorpalette;
+  const paletteSelect = document.createElement('select');
+  paletteSelect.style.cssText = methodSelect.style.cssText;
+  [['all', 'All colors'], ['free', 'Free colors only'], ['owned', 'Colors I own']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === settings.palette;
+    paletteSelect.appendChild(option);
+  });
 
-  requestAnimationFrame(() => {
-    pixelsList.innerHTML = '';
-    
-    wrongPixelsList.forEach((wrongPixel, index) => {
-      const pixelItem = document.createElement('div');
-      pixelItem.style.cssText = `
-        display: flex;
-        justify-content: space-between;
-        align-items: center;
-        padding: 8px 10px;
-        background: #334155;
-        border-radius: 6px;
-        border: 1px solid #475569;
-        gap: 8px;
-      `;
+  const pickBtn = document.createElement('button');
+  pickBtn.textContent = 'Choose image';
+  pickBtn.style.cssText = 'background: linear-gradient(135deg, #475569, #334155); color: white; border: none; border-radius: 8px; padding: 8px 14px; cursor: pointer; font-weight: 600;';
+  pickBtn.onclick = () => templateInput?.click();
+
+  controls.appendChild(methodSelect);
+  controls.appendChild(paletteSelect);
+  controls.appendChild(pickBtn);
+
+  // Before / after preview
+  const preview = document.createElement('div');
+  preview.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr; gap: 12px;';
+
+  const createPreviewPane = (label) => {
+    const pane = document.createElement('div');
+    pane.style.cssText = 'background: #0f172a; border: 1px solid #334155; border-radius: 12px; padding: 10px; text-align: center;';
+    const caption = document.createElement('div');
+    caption.textContent = label;
+    caption.style.cssText = 'color: #94a3b8; font-size: 0.85em; margin-bottom: 8px; font-weight: 600;';
+    const canvas = document.createElement('canvas');
+    canvas.style.cssText = 'max-width: 100%; max-height: 300px; image-rendering: pixelated; background: repeating-conic-gradient(#334155 0% 25%, #1e293b 0% 50%) 50% / 16px 16px;';
+    pane.appendChild(caption);
+    pane.appendChild(canvas);
+    preview.appendChild(pane);
+    return canvas;
+  };
+  const beforeCanvas = createPreviewPane('Before');
+  const afterCanvas = createPreviewPane('After');
 
-      // Color swatch
-      const [r, g, b] = wrongPixel.colorKey.split(',').map(Number);
-      const swatch = document.createElement('div');
-      swatch.style.cssText = `
-        width: 16px;
-        height: 16px;
-        border-radius: 3px;
-        background: rgb(${r}, ${g}, ${b});
-        border: 1px solid rgba(255, 255, 255, 0.3);
-        flex-shrink: 0;
-      `;
+  const stats = document.createElement('div');
+  stats.style.cssText = 'margin: 14px 0; text-align: center; color: #cbd5e1; font-size: 0.95em;';
 
-      let colorName = 'Unknown';
-      for (const colorInfo of colorPalette) {
-        if (colorInfo.rgb[0] === r && colorInfo.rgb[1] === g && colorInfo.rgb[2] === b) {
-          colorName = colorInfo.name;
-        }
-      }
+  // Footer
+  const footer = document.createElement('div');
+  footer.style.cssText = 'display: flex; gap: 10px; justify-content: center; flex-wrap: wrap;';
 
-      // Info section
-      const info = document.createElement('div');
-      info.style.cssText = 'flex: 1; min-width: 0;';
-      info.innerHTML = `
-        <div style="font-weight: 600; color: #f1f5f9; margin-bottom: -5px; font-size: 0.9em;">
-          Tile ${wrongPixel.tileX}, ${wrongPixel.tileY}
-        </div>
-        <div style="font-size: 0.8em; color: #94a3b8;">
-          ${wrongPixel.wrongCount} wrong pixel${wrongPixel.wrongCount > 1 ? 's' : ''} • RGB(${r}, ${g}, ${b}) • ${colorName}
-        </div>
-      `;
-      
-      // Fly button
-      const flyBtn = document.createElement('button');
-      flyBtn.innerHTML = icons.pinIcon;
-      flyBtn.title = 'Fly to this tile';
-      flyBtn.style.cssText = `
-        padding: 6px;
-        border: none;
-        border-radius: 6px;
-        cursor: pointer;
-        min-width: 32px;
-        height: 32px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        background: linear-gradient(135deg, #3b82f6, #2563eb);
-        color: white;
-        flex-shrink: 0;
-      `;
-      
-      flyBtn.onclick = () => {
-        const pX = wrongPixel.pixelX;
-        const pY = wrongPixel.pixelY;
-        const coordinates = [wrongPixel.tileX, wrongPixel.tileY, pX, pY];
-        
-        const coordTxInput = document.querySelector('#bm-input-tx');
-        const coordTyInput = document.querySelector('#bm-input-ty');
-        const coordPxInput = document.querySelector('#bm-input-px');
-        const coordPyInput = document.querySelector('#bm-input-py');
-        
-        if (coordTxInput) coordTxInput.value = wrongPixel.tileX;
-        if (coordTyInput) coordTyInput.value = wrongPixel.tileY;
-        if (coordPxInput) coordPxInput.value = pX;
-        if (coordPyInput) coordPyInput.value = pY;
-        
-        const latLng = canvasPosToLatLng(coordinates);
-        
-        if (latLng) {
-          const navigationMethod = Settings.getNavigationMethod();
-          const zoom = 19.5;
-          
-          if (navigationMethod === 'openurl') {
-            const url = `https://wplace.live/?lat=${latLng.lat}&lng=${latLng.lng}&zoom=${zoom}`;
-            window.location.href = url;
-          } else {
-            flyToLatLng(latLng.lat, latLng.lng, zoom);
-          }
-          
-          document.body.removeChild(overlay);
-          instance.handleDisplayStatus(`🧭 ${navigationMethod === 'openurl' ? 'Navigating' : 'Flying'} to wrong pixel at Tile ${wrongPixel.tileX},${wrongPixel.tileY} (${pX}, ${pY})!`);
-        } else {
-          instance.handleDisplayError('❌ Unable to convert coordinates!');
-        }
-      };
-      
-      pixelItem.appendChild(swatch);
-      pixelItem.appendChild(info);
-      pixelItem.appendChild(flyBtn);
-      pixelsList.appendChild(pixelItem);
-    });
-  });
+  const downloadBtn = document.createElement('button');
+  downloadBtn.textContent = 'Download PNG';
+  downloadBtn.style.cssText = 'background: linear-gradient(135deg, #475569, #334155); color: white; border: none; border-radius: 8px; padding: 10px 18px; cursor: pointer; font-weight: 600;';
 
+  const saveBtn = document.createElement('button');
+  saveBtn.textContent = 'Use on Create';
+  saveBtn.style.cssText = 'background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; border: none; border-radius: 8px; padding: 10px 18px; cursor: pointer; font-weight: 600;';
 
+  footer.appendChild(downloadBtn);
+  footer.appendChild(saveBtn);
+
+  let sourceImageData = null;
+
+  const renderPreview = () => {
+    if (!sourceImageData) {
+      stats.textContent = 'Select a template image to preview the conversion.';
+      return;
+    }
+
+    const method = methodSelect.value;
+    afterCanvas.width = sourceImageData.width;
+    afterCanvas.height = sourceImageData.height;
+
+    if (method === 'none') {
+      afterCanvas.getContext('2d').putImageData(sourceImageData, 0, 0);
+      stats.textContent = 'No conversion - the image will be used as uploaded.';
+      return;
+    }
+
+    const result = quantizeImageData(sourceImageData, {
+      method,
+      palette: getTemplatePalette(paletteSelect.value)
+    });
+    afterCanvas.getContext('2d').putImageData(result.imageData, 0, 0);
+
+    const percentage = result.opaquePixels ? ((result.changedPixels / result.opaquePixels) * 100).toFixed(1) : '0.0';
+    stats.textContent = `${result.changedPixels.toLocaleString()} of ${result.opaquePixels.toLocaleString()} pixels changed (${percentage}%)`;
+  };
+
+  loadSource = async () => {
+    const file = templateInput?.files?.[0];
+    if (!file) {
+      sourceImageData = null;
+      renderPreview();
+      return;
+    }
+
+    try {
+      const bitmap = await createImageBitmap(file);
+      beforeCanvas.width = bitmap.width;
+      beforeCanvas.height = bitmap.height;
+      const context = beforeCanvas.getContext('2d', { willReadFrequently: true });
+      context.drawImage(bitmap, 0, 0);
+      sourceImageData = context.getImageData(0, 0, bitmap.width, bitmap.height);
+      renderPreview();
+    } catch (error) {
+      console.error('❌ Failed to load image for palette preview:', error);
+      sourceImageData = null;
+      stats.textContent = 'Could not read the selected image.';
+    }
+  };
+
+  methodSelect.onchange = renderPreview;
+  paletteSelect.onchange = renderPreview;
+  templateInput?.addEventListener('change', loadSource);
+
+  downloadBtn.onclick = () => {
+    if (!sourceImageData) {return;}
+    afterCanvas.toBlob(blob => {
+      if (!blob) {return;}
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${(templateInput.files[0]?.name || 'template').replace(/\.[^/.]+$/, '')}-palette.png`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }, 'image/png');
+  };
+
+  saveBtn.onclick = () => {
+    Settings.saveTemplateQuantizeSettings({ method: methodSelect.value, palette: paletteSelect.value });
+    instance.handleDisplayStatus(methodSelect.value === 'none'
+      ? 'Palette conversion disabled for new templates'
+      : `New templates will be converted with ${QUANTIZE_METHODS[methodSelect.value]}`);
+    closeDialog();
+  };
+
+  container.appendChild(closeBtn);
+  container.appendChild(title);
+  container.appendChild(controls);
+  container.appendChild(preview);
+  container.appendChild(stats);
+  container.appendChild(footer);
+  overlay.appendChild(container);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {closeDialog();}
+  });
+
+  document.body.appendChild(overlay);
+  loadSource();
+}
+
+/** Shows the "snapshot to template" panel.
+ * Lets the user pick two corners on the canvas and turns what is painted between them into a new template.
+ * The panel floats over the map without blocking it, so pixels can be clicked while it is open.
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+function showSnapshotTemplateDialog(instance) {
+  document.getElementById('bm-snapshot-panel')?.remove();
+
+  // Floating panel without a backdrop, like move mode, so clicks on the map still select pixels
+  const container = document.createElement('div');
+  container.id = 'bm-snapshot-panel';
+  container.style.cssText = `
+    position: fixed;
+    bottom: 24px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 460px;
+    width: 90%;
+    box-sizing: border-box;
+    padding: 24px 30px;
+    z-index: 10002;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Snapshot to Template';
+  title.style.cssText = `
+    margin: 0 0 8px 0;
+    font-size: 1.5em;
+    font-weight: 700;
+    text-align: center;
+    background: linear-gradient(135deg, #f1f5f9, #cbd5e1);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  `;
+
+  const description = document.createElement('p');
+  description.textContent = 'Click a pixel on the canvas, then press "Use selected pixel" for each corner. Everything painted inside the rectangle becomes a new template.';
+  description.style.cssText = 'margin: 0 0 18px 0; color: #94a3b8; font-size: 0.9em; text-align: center; line-height: 1.4;';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.innerHTML = '×';
+  closeBtn.style.cssText = `
+    position: absolute;
+    top: 15px;
+    right: 20px;
+    background: transparent;
+    border: none;
+    color: #94a3b8;
+    font-size: 24px;
+    cursor: pointer;
+    width: 30px;
+    height: 30px;
+    border-radius: 50%;
+  `;
+  closeBtn.onclick = () => container.remove();
+
+  const inputStyle = 'width: 100%; box-sizing: border-box; background: #0f172a; color: #f1f5f9; border: 1px solid #475569; border-radius: 8px; padding: 8px; font-size: 0.9em;';
+
+  // Builds one corner row: label, four number inputs and a "use selected pixel" button
+  const createCornerRow = (label, initialCoords) => {
+    const row = document.createElement('div');
+    row.style.cssText = 'margin-bottom: 14px;';
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;';
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
+    labelEl.style.cssText = 'font-weight: 600; color: #cbd5e1;';
+    const useSelectedBtn = document.createElement('button');
+    useSelectedBtn.textContent = 'Use selected pixel';
+    useSelectedBtn.style.cssText = 'background: linear-gradient(135deg, #475569, #334155); color: white; border: none; border-radius: 6px; padding: 4px 10px; cursor: pointer; font-size: 0.8em;';
+    header.appendChild(labelEl);
+    header.appendChild(useSelectedBtn);
+
+    const inputs = document.createElement('div');
+    inputs.style.cssText = 'display: grid; grid-template-columns: repeat(4, 1fr); gap: 6px;';
+    const fields = ['Tl X', 'Tl Y', 'Px X', 'Px Y'].map((placeholder, index) => {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = 0;
+      input.step = 1;
+      input.placeholder = placeholder;
+      input.value = initialCoords?.[index] ?? '';
+      input.style.cssText = inputStyle;
+      inputs.appendChild(input);
+      return input;
+    });
+
+    useSelectedBtn.onclick = () => {
+      const coords = instance.apiManager?.coordsTilePixel;
+      if (!coords?.[0]) {
+        instance.handleDisplayError('Coordinates are malformed! Did you try clicking on the canvas first?');
+        return;
+      }
+      fields.forEach((field, index) => field.value = coords[index] ?? '');
+    };
+
+    row.appendChild(header);
+    row.appendChild(inputs);
+    return { row, getCoords: () => fields.map(field => field.value === '' ? NaN : Number(field.value)) };
+  };
+
+  // Pre-fill the first corner from the main coordinate inputs
+  const mainCoords = ['tx', 'ty', 'px', 'py'].map(id => document.querySelector(`#bm-input-${id}`)?.value ?? '');
+  const cornerA = createCornerRow('Top left corner', mainCoords);
+  const cornerB = createCornerRow('Bottom right corner', null);
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'Template name';
+  nameInput.value = `Snapshot ${new Date().toLocaleDateString()}`;
+  nameInput.style.cssText = inputStyle + ' margin-bottom: 18px;';
+
+  const createBtn = document.createElement('button');
+  createBtn.textContent = 'Create Template';
+  createBtn.style.cssText = 'width: 100%; background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; border: none; border-radius: 10px; padding: 12px; cursor: pointer; font-weight: 600; font-size: 1em;';
+
+  createBtn.onclick = async () => {
+    const a = cornerA.getCoords();
+    const b = cornerB.getCoords();
+    if (![...a, ...b].every(Number.isFinite)) {
+      instance.handleDisplayError('Both corners need tile and pixel coordinates');
+      return;
+    }
+    if (!apiManager?.tileServerBase) {
+      instance.handleDisplayError('Tile server not detected yet; open the board to load tiles.');
+      return;
+    }
+
+    createBtn.disabled = true;
+    createBtn.textContent = 'Capturing...';
+    try {
+      await templateManager.createTemplateFromCanvasArea(apiManager.tileServerBase, a, b, nameInput.value.trim() || 'Snapshot');
+      container.remove();
+
+      invalidateTemplateCache();
+      setTimeout(() => {
+        updateMiniTracker();
+        updateColorMenuDisplay(false, true);
+      }, 500);
+    } catch (error) {
+      console.error('❌ Failed to snapshot canvas area:', error);
+      instance.handleDisplayError(`Failed to snapshot canvas area: ${error.message}`);
+      createBtn.disabled = false;
+      createBtn.textContent = 'Create Template';
+    }
+  };
+
+  container.appendChild(closeBtn);
+  container.appendChild(title);
+  container.appendChild(description);
+  container.appendChild(cornerA.row);
+  container.appendChild(cornerB.row);
+  container.appendChild(nameInput);
+  container.appendChild(createBtn);
+
+  document.body.appendChild(container);
+}
+
+/** Shows the dialog for creating a template from an image URL.
+ * URL templates are re-downloaded periodically and re-chunked when the image changes.
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+function showUrlTemplateDialog(instance) {
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-url-template-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10001;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 460px;
+    width: 90%;
+    padding: 30px;
+    position: relative;
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Template from URL';
+  title.style.cssText = `
+    margin: 0 0 8px 0;
+    font-size: 1.5em;
+    font-weight: 700;
+    text-align: center;
+    background: linear-gradient(135deg, #f1f5f9, #cbd5e1);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  `;
+
+  const description = document.createElement('p');
+  description.textContent = `The image is placed at the coordinates in the main panel. It is re-downloaded on the interval below and the template updates when the image changes. Supported hosts: ${remoteTemplateHosts.join(', ')}.`;
+  description.style.cssText = 'margin: 0 0 18px 0; color: #94a3b8; font-size: 0.9em; text-align: center; line-height: 1.4;';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.innerHTML = '×';
+  closeBtn.style.cssText = `
+    position: absolute;
+    top: 15px;
+    right: 20px;
+    background: transparent;
+    border: none;
+    color: #94a3b8;
+    font-size: 24px;
+    cursor: pointer;
+    width: 30px;
+    height: 30px;
+    border-radius: 50%;
+  `;
+  closeBtn.onclick = () => overlay.remove();
+
+  const inputStyle = 'width: 100%; box-sizing: border-box; background: #0f172a; color: #f1f5f9; border: 1px solid #475569; border-radius: 8px; padding: 10px; font-size: 0.9em; margin-bottom: 12px;';
+
+  const urlInput = document.createElement('input');
+  urlInput.type = 'url';
+  urlInput.placeholder = 'https://i.imgur.com/template.png';
+  urlInput.style.cssText = inputStyle;
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'Template name (defaults to the file name)';
+  nameInput.style.cssText = inputStyle;
+
+  const intervalRow = document.createElement('label');
+  intervalRow.style.cssText = 'display: flex; justify-content: space-between; align-items: center; color: #cbd5e1; font-size: 0.9em; margin-bottom: 18px;';
+  intervalRow.appendChild(document.createTextNode('Check for updates'));
+  const intervalSelect = document.createElement('select');
+  intervalSelect.style.cssText = 'background: #0f172a; color: #f1f5f9; border: 1px solid #475569; border-radius: 8px; padding: 6px 8px;';
+  const currentInterval = Settings.getRemoteTemplateRefreshMinutes();
+  [[0, 'Never'], [5, 'Every 5 minutes'], [10, 'Every 10 minutes'], [30, 'Every 30 minutes'], [60, 'Every hour']].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === currentInterval;
+    intervalSelect.appendChild(option);
+  });
+  intervalSelect.onchange = () => {
+    const minutes = Number(intervalSelect.value);
+    Settings.saveRemoteTemplateRefreshMinutes(minutes);
+    templateManager.setRemoteRefreshInterval(minutes);
+  };
+  intervalRow.appendChild(intervalSelect);
+
+  const buttons = document.createElement('div');
+  buttons.style.cssText = 'display: flex; gap: 10px;';
+
+  const refreshBtn = document.createElement('button');
+  refreshBtn.textContent = 'Refresh all now';
+  refreshBtn.style.cssText = 'flex: 1; background: linear-gradient(135deg, #475569, #334155); color: white; border: none; border-radius: 10px; padding: 12px; cursor: pointer; font-weight: 600;';
+  refreshBtn.onclick = async () => {
+    refreshBtn.disabled = true;
+    const updated = await templateManager.refreshRemoteTemplates();
+    refreshBtn.disabled = false;
+    if (updated > 0) {
+      invalidateTemplateCache();
+      updateMiniTracker();
+    } else {
+      instance.handleDisplayStatus('URL templates are up to date');
+    }
+  };
+
+  const createBtn = document.createElement('button');
+  createBtn.textContent = 'Create Template';
+  createBtn.style.cssText = 'flex: 1; background: linear-gradient(135deg, #3b82f6, #2563eb); color: white; border: none; border-radius: 10px; padding: 12px; cursor: pointer; font-weight: 600;';
+  createBtn.onclick = async () => {
+    const url = urlInput.value.trim();
+    if (!/^https?:\/\//i.test(url)) {
+      instance.handleDisplayError('Please enter an http(s) image URL');
+      return;
+    }
+    if (!isRemoteTemplateHost(url)) {
+      instance.handleDisplayError(`Images can only be loaded from: ${remoteTemplateHosts.join(', ')}`);
+      return;
+    }
+
+    const coords = ['tx', 'ty', 'px', 'py'].map(id => document.querySelector(`#bm-input-${id}`));
+    const invalid = coords.find(input => !input?.checkValidity() || input.value === '');
+    if (invalid) {
+      instance.handleDisplayError('Coordinates are malformed! Did you try clicking on the canvas first?');
+      return;
+    }
+
+    const name = nameInput.value.trim() || decodeURIComponent(url.split(/[?#]/)[0].split('/').pop() || 'URL template').replace(/\.[^/.]+$/, '');
+
+    createBtn.disabled = true;
+    createBtn.textContent = 'Downloading...';
+    try {
+      await templateManager.createTemplateFromURL(url, name, coords.map(input => Number(input.value)));
+      overlay.remove();
+
+      invalidateTemplateCache();
+      setTimeout(() => {
+        updateMiniTracker();
+        updateColorMenuDisplay(false, true);
+      }, 500);
+    } catch (error) {
+      console.error('❌ Failed to create template from URL:', error);
+      instance.handleDisplayError(`Failed to load template from URL: ${error.message}`);
+      createBtn.disabled = false;
+      createBtn.textContent = 'Create Template';
+    }
+  };
+
+  buttons.appendChild(refreshBtn);
+  buttons.appendChild(createBtn);
+
+  container.appendChild(closeBtn);
+  container.appendChild(title);
+  container.appendChild(description);
+  container.appendChild(urlInput);
+  container.appendChild(nameInput);
+  container.appendChild(intervalRow);
+  container.appendChild(buttons);
+  overlay.appendChild(container);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {overlay.remove();}
+  });
+
+  document.body.appendChild(overlay);
+  urlInput.focus();
+}
+
+/** Shows the overlap conflicts between enabled templates.
+ * For each pair the user picks which template wins the disputed pixels, progress only counts that template there.
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+async function showTemplateConflictsDialog(instance) {
+  document.getElementById('bm-template-conflicts-overlay')?.remove();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-template-conflicts-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10001;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 560px;
+    width: 90%;
+    max-height: 85vh;
+    overflow-y: auto;
+    padding: 30px;
+    position: relative;
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Template Conflicts';
+  title.style.cssText = `
+    margin: 0 0 8px 0;
+    font-size: 1.5em;
+    font-weight: 700;
+    text-align: center;
+    background: linear-gradient(135deg, #f1f5f9, #cbd5e1);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  `;
+
+  const description = document.createElement('p');
+  description.textContent = 'Enabled templates that overlap and want different colors on the same pixels. Choose which template wins; progress only counts the winner on those pixels.';
+  description.style.cssText = 'margin: 0 0 18px 0; color: #94a3b8; font-size: 0.9em; text-align: center; line-height: 1.4;';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.innerHTML = '×';
+  closeBtn.style.cssText = `
+    position: absolute;
+    top: 15px;
+    right: 20px;
+    background: transparent;
+    border: none;
+    color: #94a3b8;
+    font-size: 24px;
+    cursor: pointer;
+    width: 30px;
+    height: 30px;
+    border-radius: 50%;
+  `;
+  closeBtn.onclick = () => overlay.remove();
+
+  const list = document.createElement('div');
+  list.style.cssText = 'display: flex; flex-direction: column; gap: 12px;';
+  list.textContent = 'Analyzing templates...';
+
+  container.appendChild(closeBtn);
+  container.appendChild(title);
+  container.appendChild(description);
+  container.appendChild(list);
+  overlay.appendChild(container);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {overlay.remove();}
+  });
+
+  document.body.appendChild(overlay);
+
+  let conflicts;
+  try {
+    conflicts = await templateManager.analyzeTemplateConflicts();
+  } catch (error) {
+    console.error('❌ Failed to analyze template conflicts:', error);
+    list.textContent = `Failed to analyze templates: ${error.message}`;
+    return;
+  }
+
+  list.textContent = '';
+  if (!conflicts.length) {
+    list.textContent = '✅ No conflicts between enabled templates.';
+    list.style.textAlign = 'center';
+    list.style.color = '#10b981';
+    return;
+  }
+
+  const numberFormat = new Intl.NumberFormat();
+
+  for (const conflict of conflicts) {
+    const card = document.createElement('div');
+    card.style.cssText = 'background: #0f172a; border: 1px solid #334155; border-radius: 12px; padding: 14px;';
+
+    const names = document.createElement('div');
+    names.style.cssText = 'font-weight: 600; margin-bottom: 6px; word-break: break-word;';
+    names.textContent = `${conflict.nameA} ⟷ ${conflict.nameB}`;
+
+    const stats = document.createElement('div');
+    stats.style.cssText = 'color: #94a3b8; font-size: 0.85em; margin-bottom: 10px;';
+    stats.textContent = `⚠️ ${numberFormat.format(conflict.conflictCount)} conflicting of ${numberFormat.format(conflict.overlapPixels)} overlapping pixels`;
+
+    const winnerRow = document.createElement('label');
+    winnerRow.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 10px; color: #cbd5e1; font-size: 0.9em; margin-bottom: 10px;';
+    winnerRow.appendChild(document.createTextNode('Winner'));
+    const winnerSelect = document.createElement('select');
+    winnerSelect.style.cssText = 'background: #1e293b; color: #f1f5f9; border: 1px solid #475569; border-radius: 8px; padding: 6px 8px; max-width: 70%;';
+    [[conflict.keyA, conflict.nameA], [conflict.keyB, conflict.nameB]].forEach(([key, name]) => {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = name;
+      option.selected = key === conflict.winner;
+      winnerSelect.appendChild(option);
+    });
+    winnerSelect.onchange = async () => {
+      await templateManager.setConflictWinner(conflict.keyA, conflict.keyB, winnerSelect.value);
+      invalidateTemplateCache();
+      forceTemplateRedraw();
+      setTimeout(() => updateMiniTracker(), 500);
+      instance.handleDisplayStatus(`"${winnerSelect.selectedOptions[0].textContent}" now wins its conflicting pixels`);
+    };
+    winnerRow.appendChild(winnerSelect);
+
+    const locations = document.createElement('div');
+    locations.style.cssText = 'display: flex; flex-wrap: wrap; gap: 6px; max-height: 96px; overflow-y: auto;';
+    conflict.locations.slice(0, 50).forEach(coordinates => {
+      const locationBtn = document.createElement('button');
+      locationBtn.textContent = `${coordinates[0]},${coordinates[1]} (${coordinates[2]}, ${coordinates[3]})`;
+      locationBtn.title = 'Fly to this pixel';
+      locationBtn.style.cssText = 'background: #1e293b; color: #93c5fd; border: 1px solid #334155; border-radius: 6px; padding: 4px 8px; font-size: 0.75em; cursor: pointer;';
+      locationBtn.onclick = () => {
+        const latLng = canvasPosToLatLng(coordinates);
+        if (!latLng) {
+          instance.handleDisplayError('❌ Unable to convert coordinates!');
+          return;
+        }
+
+        const navigationMethod = Settings.getNavigationMethod();
+        const zoom = 19.5;
+        if (navigationMethod === 'openurl') {
+          window.location.href = `https://wplace.live/?lat=${latLng.lat}&lng=${latLng.lng}&zoom=${zoom}`;
+        } else {
+          flyToLatLng(latLng.lat, latLng.lng, zoom);
+        }
+        overlay.remove();
+      };
+      locations.appendChild(locationBtn);
+    });
+    if (conflict.conflictCount > 50) {
+      const more = document.createElement('span');
+      more.style.cssText = 'color: #64748b; font-size: 0.75em; align-self: center;';
+      more.textContent = `+${numberFormat.format(conflict.conflictCount - 50)} more`;
+      locations.appendChild(more);
+    }
+
+    card.appendChild(names);
+    card.appendChild(stats);
+    card.appendChild(winnerRow);
+    card.appendChild(locations);
+    list.appendChild(card);
+  }
+}
+
+/** Shows the progress history of a template as a chart with the painting rate and estimated completion
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+function showProgressHistoryDialog(instance) {
+  const history = getProgressHistory();
+  const templates = templateManager.templatesArray.filter(t => history[`${t.sortID} ${t.authorID}`]?.length);
+  if (templates.length === 0) {
+    instance.handleDisplayStatus('No progress history yet. History is recorded once every tile of a template has been viewed.');
+    return;
+  }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-progress-history-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10001;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 560px;
+    width: 90%;
+    padding: 30px;
+    position: relative;
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Progress History';
+  title.style.cssText = `
+    margin: 0 0 16px 0;
+    font-size: 1.5em;
+    font-weight: 700;
+    text-align: center;
+    background: linear-gradient(135deg, #f1f5f9, #cbd5e1);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  `;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.innerHTML = '×';
+  closeBtn.style.cssText = `
+    position: absolute;
+    top: 15px;
+    right: 20px;
+    background: transparent;
+    border: none;
+    color: #94a3b8;
+    font-size: 24px;
+    cursor: pointer;
+    width: 30px;
+    height: 30px;
+    border-radius: 50%;
+  `;
+  closeBtn.onclick = () => overlay.remove();
+
+  const templateSelect = document.createElement('select');
+  templateSelect.style.cssText = 'width: 100%; background: #0f172a; color: #f1f5f9; border: 1px solid #475569; border-radius: 8px; padding: 8px; margin-bottom: 14px;';
+  templates.forEach(template => {
+    const option = document.createElement('option');
+    option.value = `${template.sortID} ${template.authorID}`;
+    option.textContent = template.displayName;
+    templateSelect.appendChild(option);
+  });
+
+  const chart = document.createElement('canvas');
+  chart.width = 500;
+  chart.height = 220;
+  chart.style.cssText = 'width: 100%; background: #0f172a; border: 1px solid #334155; border-radius: 10px;';
+
+  const legend = document.createElement('div');
+  legend.style.cssText = 'display: flex; gap: 14px; justify-content: center; font-size: 0.8em; color: #94a3b8; margin: 6px 0 12px 0;';
+  legend.innerHTML = '<span><span style="color: #10b981;">■</span> Painted %</span><span><span style="color: #ef4444;">■</span> Wrong %</span>';
+
+  const summary = document.createElement('div');
+  summary.style.cssText = 'background: #0f172a; border: 1px solid #334155; border-radius: 10px; padding: 12px; font-size: 0.9em; line-height: 1.6;';
+
+  const exportBtn = document.createElement('button');
+  exportBtn.textContent = 'Export CSV';
+  exportBtn.style.cssText = 'margin-top: 14px; width: 100%; background: linear-gradient(135deg, #10b981, #059669); color: white; border: none; border-radius: 10px; padding: 12px; cursor: pointer; font-weight: 600;';
+
+  const numberFormat = new Intl.NumberFormat();
+
+  /** Draws the chart and summary for the selected template */
+  const render = () => {
+    const samples = history[templateSelect.value] || [];
+    const context = chart.getContext('2d');
+    const padding = { left: 38, right: 12, top: 12, bottom: 26 };
+    const plotWidth = chart.width - padding.left - padding.right;
+    const plotHeight = chart.height - padding.top - padding.bottom;
+
+    context.clearRect(0, 0, chart.width, chart.height);
+    context.font = '11px sans-serif';
+    context.fillStyle = '#64748b';
+    context.strokeStyle = '#1e293b';
+    context.lineWidth = 1;
+
+    // Horizontal grid at every 25%
+    for (let percent = 0; percent <= 100; percent += 25) {
+      const y = padding.top + plotHeight * (1 - percent / 100);
+      context.beginPath();
+      context.moveTo(padding.left, y);
+      context.lineTo(chart.width - padding.right, y);
+      context.stroke();
+      context.fillText(`${percent}%`, 4, y + 4);
+    }
+
+    const firstTime = samples[0]?.t ?? 0;
+    const timeSpan = Math.max(1, (samples[samples.length - 1]?.t ?? 0) - firstTime);
+    const toX = (sample) => padding.left + (samples.length > 1 ? ((sample.t - firstTime) / timeSpan) * plotWidth : plotWidth / 2);
+
+    const drawSeries = (color, getPercent) => {
+      context.strokeStyle = color;
+      context.fillStyle = color;
+      context.lineWidth = 2;
+      context.beginPath();
+      samples.forEach((sample, index) => {
+        const y = padding.top + plotHeight * (1 - Math.min(100, getPercent(sample)) / 100);
+        if (index === 0) {context.moveTo(toX(sample), y);} else {context.lineTo(toX(sample), y);}
+      });
+      context.stroke();
+      if (samples.length === 1) {
+        context.fillRect(toX(samples[0]) - 2, padding.top + plotHeight * (1 - getPercent(samples[0]) / 100) - 2, 4, 4);
+      }
+    };
+    drawSeries('#10b981', sample => sample.required > 0 ? (sample.painted / sample.required) * 100 : 0);
+    drawSeries('#ef4444', sample => sample.required > 0 ? (sample.wrong / sample.required) * 100 : 0);
+
+    // Time labels
+    if (samples.length > 0) {
+      context.fillStyle = '#64748b';
+      context.fillText(new Date(firstTime).toLocaleDateString(), padding.left, chart.height - 8);
+      const endLabel = new Date(samples[samples.length - 1].t).toLocaleString();
+      context.fillText(endLabel, chart.width - padding.right - context.measureText(endLabel).width, chart.height - 8);
+    }
+
+    const latest = samples[samples.length - 1];
+    const estimate = estimateCompletion(samples);
+    const percent = latest?.required > 0 ? ((latest.painted / latest.required) * 100).toFixed(1) : '0.0';
+
+    let etaText = 'Needs at least two samples';
+    if (estimate?.remaining === 0) {
+      etaText = '✅ Complete';
+    } else if (estimate?.eta) {
+      etaText = estimate.eta.toLocaleString();
+    } else if (estimate) {
+      etaText = 'Not progressing';
+    }
+
+    summary.innerHTML = `
+      <div>🎯 <b>${numberFormat.format(latest?.painted || 0)}</b> / ${numberFormat.format(latest?.required || 0)} painted (${percent}%) · ❌ ${numberFormat.format(latest?.wrong || 0)} wrong</div>
+      <div>⚡ Rate: <b>${estimate ? numberFormat.format(Math.round(estimate.rate)) : '–'}</b> px/hour (last 24h)</div>
+      <div>🏁 Estimated completion: <b>${etaText}</b></div>
+      <div style="color: #64748b; font-size: 0.85em;">${samples.length} sample${samples.length === 1 ? '' : 's'} since ${samples[0] ? new Date(samples[0].t).toLocaleString() : '–'}</div>
+    `;
+  };
+
+  exportBtn.onclick = () => {
+    const samples = history[templateSelect.value] || [];
+    const rows = [['time', 'painted', 'required', 'wrong', 'percent']];
+    samples.forEach(sample => rows.push([
+      new Date(sample.t).toISOString(),
+      sample.painted,
+      sample.required,
+      sample.wrong,
+      sample.required > 0 ? ((sample.painted / sample.required) * 100).toFixed(2) : '0'
+    ]));
+    const csv = rows.map(row => row.join(',')).join('\r\n');
+
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${templateSelect.selectedOptions[0].textContent.replace(/[^\w.-]+/g, '_')}_progress.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  };
+
+  templateSelect.onchange = render;
+
+  container.appendChild(closeBtn);
+  container.appendChild(title);
+  if (templates.length > 1) {container.appendChild(templateSelect);}
+  container.appendChild(chart);
+  container.appendChild(legend);
+  container.appendChild(summary);
+  container.appendChild(exportBtn);
+  overlay.appendChild(container);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {overlay.remove();}
+  });
+
+  document.body.appendChild(overlay);
+  render();
+}
+
+/** Gets the board position the map is centered on, falling back to the coordinate inputs
+ * @returns {Array<number>|null} The position as [tileX, tileY, pixelX, pixelY], or null if unknown
+ * @since 1.0.0
+ */
+function getViewCenterCoords() {
+  const center = unsafeWindow.bmmap?.getCenter?.();
+  if (center) {return latLngToCanvasPos(center.lat, center.lng);}
+
+  const inputs = ['tx', 'ty', 'px', 'py'].map(id => document.querySelector(`#bm-input-${id}`)?.value);
+  if (inputs.some(value => value === undefined || value === '')) {return null;}
+  return inputs.map(Number);
+}
+
+/** Gets the palette name of a color
+ * @param {string} colorKey - Color key in "r,g,b" format
+ * @returns {string} The color name, or "Unknown"
+ * @since 1.0.0
+ */
+function getColorName(colorKey) {
+  return colorpalette.find(color => color.rgb.join(',') === colorKey)?.name || 'Unknown';
+}
+
+/** Moves the map to a board pixel and copies its coordinates into the coordinate inputs.
+ * Uses the navigation method chosen in settings (fly or open URL).
+ * @param {Object} instance - The overlay instance
+ * @param {Array<number>} coordinates - The pixel as [tileX, tileY, pixelX, pixelY]
+ * @param {string} label - What the pixel is, used in the status message
+ * @returns {boolean} Whether the coordinates could be converted
+ * @since 1.0.0
+ */
+function navigateToPixel(instance, coordinates, label) {
+  const [tileX, tileY, pixelX, pixelY] = coordinates;
+
+  ['tx', 'ty', 'px', 'py'].forEach((id, index) => {
+    const input = document.querySelector(`#bm-input-${id}`);
+    if (input) input.value = coordinates[index];
+  });
+
+  const latLng = canvasPosToLatLng(coordinates);
+  if (!latLng) {
+    instance.handleDisplayError('❌ Unable to convert coordinates!');
+    return false;
+  }
+
+  const navigationMethod = Settings.getNavigationMethod();
+  const zoom = 19.5;
+
+  if (navigationMethod === 'openurl') {
+    window.location.href = `https://wplace.live/?lat=${latLng.lat}&lng=${latLng.lng}&zoom=${zoom}`;
+  } else {
+    flyToLatLng(latLng.lat, latLng.lng, zoom);
+  }
+
+  instance.handleDisplayStatus(`🧭 ${navigationMethod === 'openurl' ? 'Navigating' : 'Flying'} to ${label} at Tile ${tileX},${tileY} (${pixelX}, ${pixelY})!`);
+  return true;
+}
+
+/** Repeated next target presses within this time keep cycling outward from the same start */
+const NEXT_TARGET_CYCLE_MS = 30 * 1000;
+
+/** Where the current next target cycle started and which pixels it visited */
+let nextTargetState = { templateKey: null, origin: null, visited: new Set(), lastAt: 0 };
+
+/** Moves the map to the nearest wrong or unpainted pixel of the active template.
+ * Repeated presses skip the pixels already visited, so they move outward from where the cycle started.
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+async function goToNextTarget(instance) {
+  const template = templateManager?.getColorFilterTemplate();
+  if (!template) {
+    instance.handleDisplayError('No template loaded!');
+    return;
+  }
+
+  const templateKey = `${template.sortID} ${template.authorID}`;
+  const now = Date.now();
+  if (nextTargetState.templateKey !== templateKey || now - nextTargetState.lastAt > NEXT_TARGET_CYCLE_MS) {
+    // Start from the view center, or the template's corner when the view is unknown
+    const [tileX, tileY, pixelX, pixelY] = (getViewCenterCoords() || template.coords || [0, 0, 0, 0]).map(Number);
+    const origin = [tileX * templateManager.tileSize + pixelX, tileY * templateManager.tileSize + pixelY];
+    nextTargetState = { templateKey, origin, visited: new Set(), lastAt: now };
+  }
+  nextTargetState.lastAt = now;
+
+  let target = await templateManager.findNextTarget(template, nextTargetState.origin, nextTargetState.visited);
+  if (!target && nextTargetState.visited.size) {
+    // Every target was visited, start over from the nearest
+    nextTargetState.visited.clear();
+    target = await templateManager.findNextTarget(template, nextTargetState.origin, nextTargetState.visited);
+  }
+  if (!target) {
+    instance.handleDisplayStatus('🎯 No wrong or unpainted pixels found in the analyzed tiles of this template');
+    return;
+  }
+
+  const boardX = target.tileX * templateManager.tileSize + target.pixelX;
+  const boardY = target.tileY * templateManager.tileSize + target.pixelY;
+  nextTargetState.visited.add(boardY * 1e7 + boardX);
+
+  const kind = target.actual ? `wrong ${getColorName(target.actual)} pixel` : 'unpainted pixel';
+  navigateToPixel(instance, [target.tileX, target.tileY, target.pixelX, target.pixelY], `${kind} (needs ${getColorName(target.expected)}, ${target.remaining} left)`);
+}
+
+/** Shows wrong pixels coordinates dialog with fly-to functionality.
+ * Lists every wrong pixel, nearest to the current view first, and exports them as CSV.
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+function showWrongPixelsDialog(instance) {
+  if (!templateManager || !templateManager.tileProgress || templateManager.tileProgress.size === 0) {
+    instance.handleDisplayError('No tile data available. Please load a template first!');
+    return;
+  }
+  
+  const wrongPixelsList = templateManager.getWrongPixels();
+  
+  if (wrongPixelsList.length === 0) {
+    instance.handleDisplayStatus('🎉 No wrong pixels found! All pixels match the template!');
+    return;
+  }
+  
+  // Nearest to the current view first
+  const viewCenter = getViewCenterCoords();
+  const centerX = viewCenter ? viewCenter[0] * 1000 + viewCenter[2] : 0;
+  const centerY = viewCenter ? viewCenter[1] * 1000 + viewCenter[3] : 0;
+  for (const wrongPixel of wrongPixelsList) {
+    wrongPixel.distance = viewCenter
+      ? Math.round(Math.hypot(wrongPixel.tileX * 1000 + wrongPixel.pixelX - centerX, wrongPixel.tileY * 1000 + wrongPixel.pixelY - centerY))
+      : null;
+  }
+  if (viewCenter) {
+    wrongPixelsList.sort((a, b) => a.distance - b.distance);
+  }
+  
+  const pageSize = 50;
+  const pageCount = Math.ceil(wrongPixelsList.length / pageSize);
+  let page = 0;
+  
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-wrong-pixels-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10000;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+  
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    backdrop-filter: blur(16px);
+    max-width: 420px;
+    width: 90%;
+    max-height: 85vh;
+    overflow: hidden;
+    display: flex;
+    flex-direction: column;
+    position: relative;
+  `;
+  
+  // Header
+  const header = document.createElement('div');
+  header.style.cssText = `
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 14px 16px 12px 16px;
+    border-bottom: 1px solid #334155;
+    background: linear-gradient(135deg, #1e293b, #293548);
+  `;
+  
+  const title = document.createElement('h3');
+  title.textContent = `Wrong Pixels (${new Intl.NumberFormat().format(wrongPixelsList.length)})`;
+  title.style.cssText = `
+    margin: 0;
+    font-size: 1.2em;
+    font-weight: 700;
+    background: linear-gradient(135deg, #f87171, #ef4444);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  `;
+  
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = '×';
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.style.cssText = `
+    background: none;
+    border: none;
+    color: #94a3b8;
+    font-size: 20px;
+    cursor: pointer;
+    padding: 0;
+    width: 26px;
+    height: 26px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: 6px;
+  `;
+  closeBtn.onclick = () => document.body.removeChild(overlay);
+  
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+  
+  const content = document.createElement('div');
+  content.style.cssText = `
+    padding: 14px 16px;
+    overflow-y: auto;
+    flex: 1;
+  `;
+  
+  const pixelsList = document.createElement('div');
+  pixelsList.style.cssText = `
+    display: flex;
+    flex-direction: column;
+    gap: 6px;
+  `;
+  content.appendChild(pixelsList);
+  
+  // Footer with paging and export
+  const footer = document.createElement('div');
+  footer.style.cssText = `
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 16px;
+    border-top: 1px solid #334155;
+    background: #1b2433;
+  `;
+  
+  const pagerBtnStyle = 'padding: 6px 10px; border: 1px solid #475569; border-radius: 6px; cursor: pointer; background: #334155; color: #f1f5f9; font-weight: 600;';
+  const prevBtn = document.createElement('button');
+  prevBtn.textContent = '‹';
+  prevBtn.title = 'Previous page';
+  prevBtn.style.cssText = pagerBtnStyle;
+  const pageLabel = document.createElement('span');
+  pageLabel.style.cssText = 'font-size: 0.8em; color: #94a3b8; flex: 1; text-align: center;';
+  const nextBtn = document.createElement('button');
+  nextBtn.textContent = '›';
+  nextBtn.title = 'Next page';
+  nextBtn.style.cssText = pagerBtnStyle;
+  
+  const exportBtn = document.createElement('button');
+  exportBtn.textContent = 'Export CSV';
+  exportBtn.style.cssText = 'padding: 6px 12px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; color: white; background: linear-gradient(135deg, #10b981, #059669);';
+  exportBtn.onclick = () => {
+    const rows = [['tile_x', 'tile_y', 'pixel_x', 'pixel_y', 'expected_color', 'expected_rgb', 'actual_color', 'actual_rgb', 'lat', 'lng', 'distance', 'painted_by_id', 'painted_by_name']];
+    for (const wrongPixel of wrongPixelsList) {
+      const latLng = canvasPosToLatLng([wrongPixel.tileX, wrongPixel.tileY, wrongPixel.pixelX, wrongPixel.pixelY]);
+      rows.push([
+        wrongPixel.tileX,
+        wrongPixel.tileY,
+        wrongPixel.pixelX,
+        wrongPixel.pixelY,
+        getColorName(wrongPixel.expected),
+        wrongPixel.expected,
+        getColorName(wrongPixel.actual),
+        wrongPixel.actual,
+        latLng?.lat ?? '',
+        latLng?.lng ?? '',
+        wrongPixel.distance ?? '',
+        wrongPixel.paintedBy?.id ?? '',
+        wrongPixel.paintedBy?.name ?? ''
+      ]);
+    }
+    const csv = rows.map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\r\n');
+    
+    const url = URL.createObjectURL(new Blob([csv], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `wrong_pixels_${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.csv`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    instance.handleDisplayStatus(`📄 Exported ${wrongPixelsList.length} wrong pixels`);
+  };
+  
+  footer.appendChild(prevBtn);
+  footer.appendChild(pageLabel);
+  footer.appendChild(nextBtn);
+  footer.appendChild(exportBtn);
+  
+  container.appendChild(header);
+  container.appendChild(content);
+  container.appendChild(footer);
+  overlay.appendChild(container);
+  
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      document.body.removeChild(overlay);
+    }
+  });
+  
+  document.body.appendChild(overlay);
+
+  /** Builds a small color swatch */
+  const createSwatch = (colorKey) => {
+    const swatch = document.createElement('div');
+    swatch.title = `${getColorName(colorKey)} (${colorKey})`;
+    swatch.style.cssText = `
+      width: 16px;
+      height: 16px;
+      border-radius: 3px;
+      background: rgb(${colorKey});
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      flex-shrink: 0;
+    `;
+    return swatch;
+  };
+
+  const renderPage = () => {
+    pixelsList.innerHTML = '';
+    pageLabel.textContent = `Page ${page + 1} of ${pageCount}`;
+    prevBtn.disabled = page === 0;
+    nextBtn.disabled = page >= pageCount - 1;
+    prevBtn.style.opacity = prevBtn.disabled ? '0.4' : '1';
+    nextBtn.style.opacity = nextBtn.disabled ? '0.4' : '1';
+    
+    wrongPixelsList.slice(page * pageSize, (page + 1) * pageSize).forEach(wrongPixel => {
+      const pixelItem = document.createElement('div');
+      pixelItem.style.cssText = `
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 8px 10px;
+        background: #334155;
+        border-radius: 6px;
+        border: 1px solid #475569;
+        gap: 8px;
+      `;
+
+      // Expected → actual color
+      const swatches = document.createElement('div');
+      swatches.style.cssText = 'display: flex; align-items: center; gap: 4px; color: #94a3b8; font-size: 0.8em;';
+      swatches.appendChild(createSwatch(wrongPixel.expected));
+      swatches.appendChild(document.createTextNode('←'));
+      swatches.appendChild(createSwatch(wrongPixel.actual));
+
+      // Info section
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0;';
+      info.innerHTML = `
+        <div style="font-weight: 600; color: #f1f5f9; margin-bottom: -5px; font-size: 0.9em;">
+          Tile ${wrongPixel.tileX}, ${wrongPixel.tileY} • (${wrongPixel.pixelX}, ${wrongPixel.pixelY})
+        </div>
+        <div style="font-size: 0.8em; color: #94a3b8; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+          Needs ${getColorName(wrongPixel.expected)}, is ${getColorName(wrongPixel.actual)}${wrongPixel.distance !== null ? ` • ${wrongPixel.distance} px away` : ''}
+        </div>
+        ${wrongPixel.paintedBy ? `<div style="font-size: 0.8em; color: #fbbf24;">Painted by ${escapeHTML(formatPainter(wrongPixel.paintedBy))}</div>` : ''}
+      `;
+      
+      // Fly button
+      const flyBtn = document.createElement('button');
+      flyBtn.innerHTML = icons.pinIcon;
+      flyBtn.title = 'Fly to this pixel';
+      flyBtn.style.cssText = `
+        padding: 6px;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+        min-width: 32px;
+        height: 32px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: linear-gradient(135deg, #3b82f6, #2563eb);
+        color: white;
+        flex-shrink: 0;
+      `;
+      
+      flyBtn.onclick = () => {
+        if (navigateToPixel(instance, [wrongPixel.tileX, wrongPixel.tileY, wrongPixel.pixelX, wrongPixel.pixelY], 'wrong pixel')) {
+          document.body.removeChild(overlay);
+        }
+      };
+      
+      pixelItem.appendChild(swatches);
+      pixelItem.appendChild(info);
+      pixelItem.appendChild(flyBtn);
+      pixelsList.appendChild(pixelItem);
+    });
+    content.scrollTop = 0;
+  };
+
+  prevBtn.onclick = () => {
+    if (page > 0) {page--; renderPage();}
+  };
+  nextBtn.onclick = () => {
+    if (page < pageCount - 1) {page++; renderPage();}
+  };
+
+  renderPage();
+}
+
+/** Formats a painter as "Name #id (Alliance)"
+ * @param {{id: number, name: string, allianceName: string|null}} painter - The painter
+ * @returns {string} The painter label (not HTML escaped)
+ * @since 1.0.0
+ */
+function formatPainter(painter) {
+  return `${painter.name || 'Unknown'} #${painter.id}${painter.allianceName ? ` (${painter.allianceName})` : ''}`;
+}
+
+/** Shows a small card for a clicked wrong pixel: expected color, current color and who painted it.
+ * Replaces the previous card and closes itself after 15 seconds.
+ * @param {{wrongPixel: Object, damage: Object|null}} record - The wrong pixel and its damage event from {@link TemplateManager#recordPixelPainter}
+ * @since 1.0.0
+ */
+function showPainterCard({ wrongPixel, damage }) {
+  document.getElementById('bm-painter-card')?.remove();
+
+  const card = document.createElement('div');
+  card.id = 'bm-painter-card';
+  card.style.cssText = `
+    position: fixed;
+    bottom: 16px;
+    left: 50%;
+    transform: translateX(-50%);
+    min-width: 240px;
+    max-width: 90vw;
+    padding: 10px 12px;
+    background: #1e293b;
+    color: #f1f5f9;
+    border: 1px solid #334155;
+    border-radius: 12px;
+    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+    z-index: 9999;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 0.85em;
+  `;
+
+  const swatch = (colorKey) => `<span style="display: inline-block; width: 12px; height: 12px; border-radius: 3px; background: rgb(${colorKey}); border: 1px solid rgba(255, 255, 255, 0.3); vertical-align: -2px; margin-right: 4px;"></span>`;
+  const painter = wrongPixel.paintedBy;
+  const damageCount = countDamageByPainter(painter.id);
+
+  card.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
+      <b style="color: #f87171;">Wrong pixel</b>
+      <span style="color: #94a3b8;">Tile ${wrongPixel.tileX},${wrongPixel.tileY} (${wrongPixel.pixelX}, ${wrongPixel.pixelY})</span>
+    </div>
+    <div>Expected: ${swatch(wrongPixel.expected)}${getColorName(wrongPixel.expected)}</div>
+    <div>Current: ${swatch(wrongPixel.actual)}${getColorName(wrongPixel.actual)}</div>
+    <div>Painted by: <b>${escapeHTML(formatPainter(painter))}</b></div>
+    ${damage ? `<div style="color: #fbbf24; margin-top: 4px;">Damaged at ${new Date(damage.t).toLocaleString()}</div>` : ''}
+    ${damageCount ? `<div style="color: #94a3b8;">${damageCount} damage event${damageCount === 1 ? '' : 's'} by this painter on record</div>` : ''}
+  `;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = '×';
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.style.cssText = 'position: absolute; top: -10px; right: -10px; background: #334155; border: 1px solid #475569; color: #f1f5f9; border-radius: 50%; width: 22px; height: 22px; cursor: pointer; padding: 0; line-height: 1;';
+  closeBtn.onclick = () => card.remove();
+  card.appendChild(closeBtn);
+
+  document.body.appendChild(card);
+  setTimeout(() => card.remove(), 15000);
+}
+
+/** Damage events shown in the open damage alert, newest last */
+let damageAlertEvents = [];
+
+/** Shows (or updates) the alert for pixels that were correct and are now wrong.
+ * The alert stays until it is closed and counts all damage detected while it is open.
+ * @param {Object} instance - The overlay instance
+ * @param {Array<Object>} events - The new damage events from the damage log
+ * @since 1.0.0
+ */
+function showDamageAlert(instance, events) {
+  damageAlertEvents.push(...events);
+
+  let alert = document.getElementById('bm-damage-alert');
+  if (!alert) {
+    alert = document.createElement('div');
+    alert.id = 'bm-damage-alert';
+    alert.style.cssText = `
+      position: fixed;
+      top: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      display: flex;
+      align-items: center;
+      gap: 10px;
+      padding: 10px 12px 10px 14px;
+      background: #1e293b;
+      color: #f1f5f9;
+      border: 1px solid #ef4444;
+      border-radius: 12px;
+      box-shadow: 0 10px 30px rgba(239, 68, 68, 0.35);
+      z-index: 9999;
+      font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 0.9em;
+      max-width: 90vw;
+    `;
+
+    const text = document.createElement('div');
+    text.id = 'bm-damage-alert-text';
+    text.style.cssText = 'flex: 1; min-width: 0;';
+
+    const buttonStyle = 'padding: 6px 10px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; color: white; white-space: nowrap;';
+    const jumpBtn = document.createElement('button');
+    jumpBtn.textContent = 'Jump to damage';
+    jumpBtn.style.cssText = buttonStyle + 'background: linear-gradient(135deg, #ef4444, #dc2626);';
+    jumpBtn.onclick = () => {
+      const latest = damageAlertEvents[damageAlertEvents.length - 1];
+      if (latest) {
+        navigateToPixel(instance, [latest.tileX, latest.tileY, latest.pixelX, latest.pixelY], 'damaged pixel');
+      }
+    };
+
+    const logBtn = document.createElement('button');
+    logBtn.textContent = 'Log';
+    logBtn.title = 'Open the damage log';
+    logBtn.style.cssText = buttonStyle + 'background: #334155;';
+    logBtn.onclick = () => {
+      closeBtn.onclick();
+      showDamageLogDialog(instance);
+    };
+
+    const closeBtn = document.createElement('button');
+    closeBtn.textContent = '×';
+    closeBtn.className = 'bm-close-btn';
+    closeBtn.style.cssText = 'background: none; border: none; color: #94a3b8; font-size: 20px; cursor: pointer; padding: 0; width: 26px; height: 26px;';
+    closeBtn.onclick = () => {
+      alert.remove();
+      damageAlertEvents = [];
+    };
+
+    alert.appendChild(text);
+    alert.appendChild(jumpBtn);
+    alert.appendChild(logBtn);
+    alert.appendChild(closeBtn);
+    document.body.appendChild(alert);
+  }
+
+  const latest = damageAlertEvents[damageAlertEvents.length - 1];
+  const templateNames = [...new Set(damageAlertEvents.map(event => templateManager.templatesJSON?.templates?.[event.templateKey]?.name || event.templateKey))];
+  const count = damageAlertEvents.length;
+  document.getElementById('bm-damage-alert-text').innerHTML = `
+    <div style="font-weight: 700; color: #f87171;">⚠️ ${new Intl.NumberFormat().format(count)} pixel${count === 1 ? '' : 's'} damaged</div>
+    <div style="font-size: 0.85em; color: #94a3b8; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+      ${escapeHTML(templateNames.join(', '))} • last at Tile ${latest.tileX},${latest.tileY} (${latest.pixelX}, ${latest.pixelY}) • ${new Date(latest.t).toLocaleTimeString()}
+    </div>
+  `;
+}
+
+/** Shows the damage log: every pixel that turned from correct to wrong, newest first
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+function showDamageLogDialog(instance) {
+  const events = [...getDamageLog()].reverse();
+  if (events.length === 0) {
+    instance.handleDisplayStatus('🛡️ No damage recorded. Damage is detected when a correct pixel turns wrong after a tile reloads.');
+    return;
+  }
+
+  const pageSize = 50;
+  const pageCount = Math.ceil(events.length / pageSize);
+  let page = 0;
+
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-damage-log-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10000;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 440px;
+    width: 90%;
+    max-height: 85vh;
+    overflow: hidden;
+    display: flex;
+    flex-direction: column;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 14px 16px 12px 16px;
+    border-bottom: 1px solid #334155;
+    background: linear-gradient(135deg, #1e293b, #293548);
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = `Damage Log (${new Intl.NumberFormat().format(events.length)})`;
+  title.style.cssText = `
+    margin: 0;
+    font-size: 1.2em;
+    font-weight: 700;
+    background: linear-gradient(135deg, #f87171, #ef4444);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  `;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = '×';
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.style.cssText = `
+    background: none;
+    border: none;
+    color: #94a3b8;
+    font-size: 20px;
+    cursor: pointer;
+    padding: 0;
+    width: 26px;
+    height: 26px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: 6px;
+  `;
+  closeBtn.onclick = () => overlay.remove();
+
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+
+  const content = document.createElement('div');
+  content.style.cssText = 'padding: 14px 16px; overflow-y: auto; flex: 1;';
+
+  const eventsList = document.createElement('div');
+  eventsList.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+  content.appendChild(eventsList);
+
+  const footer = document.createElement('div');
+  footer.style.cssText = `
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    gap: 8px;
+    padding: 10px 16px;
+    border-top: 1px solid #334155;
+    background: #1b2433;
+  `;
+
+  const pagerBtnStyle = 'padding: 6px 10px; border: 1px solid #475569; border-radius: 6px; cursor: pointer; background: #334155; color: #f1f5f9; font-weight: 600;';
+  const prevBtn = document.createElement('button');
+  prevBtn.textContent = '‹';
+  prevBtn.title = 'Previous page';
+  prevBtn.style.cssText = pagerBtnStyle;
+  const pageLabel = document.createElement('span');
+  pageLabel.style.cssText = 'font-size: 0.8em; color: #94a3b8; flex: 1; text-align: center;';
+  const nextBtn = document.createElement('button');
+  nextBtn.textContent = '›';
+  nextBtn.title = 'Next page';
+  nextBtn.style.cssText = pagerBtnStyle;
+
+  const clearBtn = document.createElement('button');
+  clearBtn.textContent = 'Clear log';
+  clearBtn.style.cssText = 'padding: 6px 12px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; color: white; background: linear-gradient(135deg, #ef4444, #dc2626);';
+  clearBtn.onclick = () => {
+    showCustomConfirmDialog(
+      'Clear Damage Log?',
+      `This deletes all ${events.length} recorded damage events.`,
+      () => {
+        clearDamageLog();
+        overlay.remove();
+        instance.handleDisplayStatus('🛡️ Damage log cleared');
+      }
+    );
+  };
+
+  footer.appendChild(prevBtn);
+  footer.appendChild(pageLabel);
+  footer.appendChild(nextBtn);
+  footer.appendChild(clearBtn);
+
+  container.appendChild(header);
+  container.appendChild(content);
+  container.appendChild(footer);
+  overlay.appendChild(container);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      overlay.remove();
+    }
+  });
+
+  document.body.appendChild(overlay);
+
+  /** Builds a small color swatch */
+  const createSwatch = (colorKey) => {
+    const swatch = document.createElement('div');
+    swatch.title = `${getColorName(colorKey)} (${colorKey})`;
+    swatch.style.cssText = `
+      width: 16px;
+      height: 16px;
+      border-radius: 3px;
+      background: rgb(${colorKey});
+      border: 1px solid rgba(255, 255, 255, 0.3);
+      flex-shrink: 0;
+    `;
+    return swatch;
+  };
+
+  const renderPage = () => {
+    eventsList.innerHTML = '';
+    pageLabel.textContent = `Page ${page + 1} of ${pageCount}`;
+    prevBtn.disabled = page === 0;
+    nextBtn.disabled = page >= pageCount - 1;
+    prevBtn.style.opacity = prevBtn.disabled ? '0.4' : '1';
+    nextBtn.style.opacity = nextBtn.disabled ? '0.4' : '1';
+
+    events.slice(page * pageSize, (page + 1) * pageSize).forEach(event => {
+      const item = document.createElement('div');
+      item.style.cssText = `
+        display: flex;
+        align-items: center;
+        padding: 8px 10px;
+        background: #334155;
+        border-radius: 6px;
+        border: 1px solid #475569;
+        gap: 8px;
+      `;
+
+      // Expected → actual color
+      const swatches = document.createElement('div');
+      swatches.style.cssText = 'display: flex; align-items: center; gap: 4px; color: #94a3b8; font-size: 0.8em;';
+      swatches.appendChild(createSwatch(event.expected));
+      swatches.appendChild(document.createTextNode('←'));
+      swatches.appendChild(createSwatch(event.actual));
+
+      const templateName = templateManager.templatesJSON?.templates?.[event.templateKey]?.name || event.templateKey;
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0;';
+      info.innerHTML = `
+        <div style="font-weight: 600; color: #f1f5f9; margin-bottom: -5px; font-size: 0.9em;">
+          Tile ${event.tileX}, ${event.tileY} • (${event.pixelX}, ${event.pixelY})
+        </div>
+        <div style="font-size: 0.8em; color: #94a3b8; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+          ${new Date(event.t).toLocaleString()} • ${escapeHTML(templateName)} • ${getColorName(event.expected)} → ${getColorName(event.actual)}
+        </div>
+        ${event.paintedBy ? `<div style="font-size: 0.8em; color: #fbbf24;">Painted by ${escapeHTML(formatPainter(event.paintedBy))}</div>` : ''}
+      `;
+
+      const flyBtn = document.createElement('button');
+      flyBtn.innerHTML = icons.pinIcon;
+      flyBtn.title = 'Fly to this pixel';
+      flyBtn.style.cssText = `
+        padding: 6px;
+        border: none;
+        border-radius: 6px;
+        cursor: pointer;
+        min-width: 32px;
+        height: 32px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        background: linear-gradient(135deg, #3b82f6, #2563eb);
+        color: white;
+        flex-shrink: 0;
+      `;
+      flyBtn.onclick = () => {
+        if (navigateToPixel(instance, [event.tileX, event.tileY, event.pixelX, event.pixelY], 'damaged pixel')) {
+          overlay.remove();
+        }
+      };
+
+      item.appendChild(swatches);
+      item.appendChild(info);
+      item.appendChild(flyBtn);
+      eventsList.appendChild(item);
+    });
+    content.scrollTop = 0;
+  };
+
+  prevBtn.onclick = () => {
+    if (page > 0) {page--; renderPage();}
+  };
+  nextBtn.onclick = () => {
+    if (page < pageCount - 1) {page++; renderPage();}
+  };
+
+  renderPage();
+}
+
+/** Formats a size in bytes for display
+ * @param {number} bytes - The size in bytes
+ * @returns {string} The size in B, KB or MB
+ * @since 1.0.0
+ */
+function formatStorageSize(bytes) {
+  if (bytes < 1024) {return `${bytes} B`;}
+  if (bytes < 1024 * 1024) {return `${(bytes / 1024).toFixed(1)} KB`;}
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/** Shows the rolling backups, newest first, and restores all or single templates from them
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+async function showBackupsDialog(instance) {
+  if (!isTemplateStoreAvailable()) {
+    instance.handleDisplayError('Backups need IndexedDB, which is not available in this browser');
+    return;
+  }
+
+  let backups;
+  try {
+    backups = await listBackups();
+  } catch (error) {
+    console.error('Failed to read backups:', error);
+    instance.handleDisplayError('Failed to read backups. Check console for details.');
+    return;
+  }
+  if (backups.length === 0) {
+    instance.handleDisplayStatus('🗂️ No backups yet. A backup is taken once a day and before templates are deleted or imported.');
+    return;
+  }
+
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-backups-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10000;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 440px;
+    width: 90%;
+    max-height: 85vh;
+    overflow: hidden;
+    display: flex;
+    flex-direction: column;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 14px 16px 12px 16px;
+    border-bottom: 1px solid #334155;
+    background: linear-gradient(135deg, #1e293b, #293548);
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = `Backups (${backups.length})`;
+  title.style.cssText = `
+    margin: 0;
+    font-size: 1.2em;
+    font-weight: 700;
+    background: linear-gradient(135deg, #34d399, #10b981);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  `;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = '×';
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.style.cssText = `
+    background: none;
+    border: none;
+    color: #94a3b8;
+    font-size: 20px;
+    cursor: pointer;
+    padding: 0;
+    width: 26px;
+    height: 26px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: 6px;
+  `;
+  closeBtn.onclick = () => overlay.remove();
+
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+
+  const content = document.createElement('div');
+  content.style.cssText = 'padding: 14px 16px; overflow-y: auto; flex: 1;';
+
+  const hint = document.createElement('div');
+  hint.style.cssText = 'font-size: 0.8em; color: #94a3b8; margin-bottom: 10px;';
+  hint.textContent = 'Backups are taken once a day and before templates are deleted, imported or restored. Restoring takes a backup of the current state first.';
+  content.appendChild(hint);
+
+  const backupsList = document.createElement('div');
+  backupsList.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+  content.appendChild(backupsList);
+
+  container.appendChild(header);
+  container.appendChild(content);
+  overlay.appendChild(container);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      overlay.remove();
+    }
+  });
+
+  document.body.appendChild(overlay);
+
+  const actionBtnStyle = 'padding: 6px 10px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; color: white; font-size: 0.8em; flex-shrink: 0;';
+
+  /** Reads the contents of a backup, reporting when it is gone */
+  const readBackup = async (backup) => {
+    const data = await getBackupData(backup.id);
+    if (!data?.templatesJSON?.templates) {
+      instance.handleDisplayError('This backup could not be read');
+      return null;
+    }
+    return data;
+  };
+
+  /** Replaces all templates and settings with the backup, then reloads */
+  const restoreAll = (backup) => {
+    showCustomConfirmDialog(
+      'Restore Backup?',
+      `This replaces your ${Object.keys(templateManager.templatesJSON?.templates || {}).length} current template(s) and your settings with the ${backup.templateCount} template(s) from ${new Date(backup.t).toLocaleString()}.\n\nA backup of the current state is taken first. The page reloads afterwards.`,
+      async () => {
+        try {
+          const data = await readBackup(backup);
+          if (!data) {return;}
+
+          await createBackup(templateManager.templatesJSON, 'Before restoring a backup');
+          await saveTemplatesToStore(data.templatesJSON);
+          Settings.applySettings(data.settings);
+
+          overlay.remove();
+          instance.handleDisplayStatus(`🗂️ Restored ${backup.templateCount} template(s). Reloading...`);
+          setTimeout(() => window.location.reload(), 1000);
+        } catch (error) {
+          console.error('Failed to restore backup:', error);
+          instance.handleDisplayError('Failed to restore backup. Check console for details.');
+        }
+      }
+    );
+  };
+
+  /** Restores one template from the backup, replacing the current template with the same key */
+  const restoreTemplate = async (backup, templateKey, button) => {
+    button.disabled = true;
+    try {
+      const data = await readBackup(backup);
+      if (!data) {return;}
+      const entry = data.templatesJSON.templates[templateKey];
+      if (!entry) {
+        instance.handleDisplayError('This template is missing from the backup');
+        return;
+      }
+
+      await createBackup(templateManager.templatesJSON, 'Before restoring a template');
+      if (templateManager.templatesJSON?.templates?.[templateKey]) {
+        await templateManager.deleteTemplate(templateKey, { backup: false });
+      }
+      await templateManager.importFromObject({ whoami: 'BlueMarble', templates: { [templateKey]: entry } }, { merge: true, backup: false });
+
+      updateMiniTracker();
+      instance.handleDisplayStatus(`🗂️ Restored template "${entry.name || templateKey}"`);
+    } catch (error) {
+      console.error('Failed to restore template:', error);
+      instance.handleDisplayError('Failed to restore template. Check console for details.');
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  const renderList = () => {
+    backupsList.innerHTML = '';
+    title.textContent = `Backups (${backups.length})`;
+
+    backups.forEach(backup => {
+      const item = document.createElement('div');
+      item.style.cssText = `
+        padding: 8px 10px;
+        background: #334155;
+        border-radius: 6px;
+        border: 1px solid #475569;
+      `;
+
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; align-items: center; gap: 6px;';
+
+      const info = document.createElement('div');
+      info.style.cssText = 'flex: 1; min-width: 0;';
+      info.innerHTML = `
+        <div style="font-weight: 600; color: #f1f5f9; font-size: 0.9em;">${new Date(backup.t).toLocaleString()}</div>
+        <div style="font-size: 0.8em; color: #94a3b8; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
+          ${escapeHTML(backup.reason)} • ${backup.templateCount} template${backup.templateCount === 1 ? '' : 's'} • ${formatStorageSize(backup.size)}
+        </div>
+      `;
+
+      const templatesBtn = document.createElement('button');
+      templatesBtn.textContent = 'Templates ▾';
+      templatesBtn.title = 'Restore single templates';
+      templatesBtn.style.cssText = actionBtnStyle + 'background: #475569;';
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.textContent = 'Restore all';
+      restoreBtn.title = 'Restore all templates and settings from this backup';
+      restoreBtn.style.cssText = actionBtnStyle + 'background: linear-gradient(135deg, #10b981, #059669);';
+      restoreBtn.onclick = () => restoreAll(backup);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = '🗑️';
+      deleteBtn.title = 'Delete this backup';
+      deleteBtn.style.cssText = actionBtnStyle + 'background: linear-gradient(135deg, #ef4444, #dc2626);';
+      deleteBtn.onclick = () => {
+        showCustomConfirmDialog(
+          'Delete Backup?',
+          `This deletes the backup from ${new Date(backup.t).toLocaleString()}.`,
+          async () => {
+            try {
+              await deleteBackup(backup.id);
+              backups = backups.filter(other => other.id !== backup.id);
+              if (backups.length === 0) {
+                overlay.remove();
+                instance.handleDisplayStatus('🗂️ All backups deleted');
+                return;
+              }
+              renderList();
+            } catch (error) {
+              console.error('Failed to delete backup:', error);
+              instance.handleDisplayError('Failed to delete backup. Check console for details.');
+            }
+          }
+        );
+      };
+
+      row.appendChild(info);
+      row.appendChild(templatesBtn);
+      row.appendChild(restoreBtn);
+      row.appendChild(deleteBtn);
+      item.appendChild(row);
+
+      // Templates in the backup, each restorable on its own
+      const templatesList = document.createElement('div');
+      templatesList.style.cssText = 'display: none; flex-direction: column; gap: 4px; margin-top: 8px; padding-top: 8px; border-top: 1px solid #475569;';
+      (backup.templates || []).forEach(({ key, name }) => {
+        const templateRow = document.createElement('div');
+        templateRow.style.cssText = 'display: flex; align-items: center; gap: 6px; font-size: 0.85em;';
+
+        const templateName = document.createElement('span');
+        templateName.style.cssText = 'flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+        templateName.textContent = name;
+        templateName.title = templateManager.templatesJSON?.templates?.[key] ? `${name} (replaces the current template)` : `${name} (deleted since)`;
+
+        const restoreTemplateBtn = document.createElement('button');
+        restoreTemplateBtn.textContent = 'Restore';
+        restoreTemplateBtn.style.cssText = actionBtnStyle + 'background: linear-gradient(135deg, #3b82f6, #2563eb);';
+        restoreTemplateBtn.onclick = () => restoreTemplate(backup, key, restoreTemplateBtn);
+
+        templateRow.appendChild(templateName);
+        templateRow.appendChild(restoreTemplateBtn);
+        templatesList.appendChild(templateRow);
+      });
+      item.appendChild(templatesList);
+
+      templatesBtn.onclick = () => {
+        const isOpen = templatesList.style.display === 'flex';
+        templatesList.style.display = isOpen ? 'none' : 'flex';
+        templatesBtn.textContent = isOpen ? 'Templates ▾' : 'Templates ▴';
+      };
+
+      backupsList.appendChild(item);
+    });
+  };
+
+  renderList();
+}
+
+/** Shows what Blue Marble stores in the browser, with warnings near the limits and cleanup actions
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+function showStorageUsageDialog(instance) {
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-storage-usage-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10000;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 460px;
+    width: 90%;
+    max-height: 85vh;
+    overflow: hidden;
+    display: flex;
+    flex-direction: column;
+  `;
+
+  const header = document.createElement('div');
+  header.style.cssText = `
+    display: flex;
+    justify-content: space-between;
+    align-items: center;
+    padding: 14px 16px 12px 16px;
+    border-bottom: 1px solid #334155;
+    background: linear-gradient(135deg, #1e293b, #293548);
+  `;
+
+  const title = document.createElement('h3');
+  title.textContent = 'Storage Usage';
+  title.style.cssText = `
+    margin: 0;
+    font-size: 1.2em;
+    font-weight: 700;
+    background: linear-gradient(135deg, #60a5fa, #3b82f6);
+    -webkit-background-clip: text;
+    -webkit-text-fill-color: transparent;
+    background-clip: text;
+  `;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.textContent = '×';
+  closeBtn.className = 'bm-close-btn';
+  closeBtn.style.cssText = `
+    background: none;
+    border: none;
+    color: #94a3b8;
+    font-size: 20px;
+    cursor: pointer;
+    padding: 0;
+    width: 26px;
+    height: 26px;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+    border-radius: 6px;
+  `;
+  closeBtn.onclick = () => overlay.remove();
+
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+
+  const content = document.createElement('div');
+  content.style.cssText = 'padding: 14px 16px; overflow-y: auto; flex: 1; display: flex; flex-direction: column; gap: 12px;';
+
+  container.appendChild(header);
+  container.appendChild(content);
+  overlay.appendChild(container);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      overlay.remove();
+    }
+  });
+
+  document.body.appendChild(overlay);
+
+  /** Builds a titled section */
+  const createSection = (sectionTitle, summary) => {
+    const section = document.createElement('div');
+    section.style.cssText = 'padding: 10px 12px; background: #334155; border-radius: 8px; border: 1px solid #475569;';
+    section.innerHTML = `
+      <div style="display: flex; justify-content: space-between; gap: 8px; font-weight: 600; font-size: 0.9em; margin-bottom: 6px;">
+        <span>${sectionTitle}</span>
+        <span style="color: #94a3b8; font-weight: 500;">${summary}</span>
+      </div>
+    `;
+    content.appendChild(section);
+    return section;
+  };
+
+  /** Builds a usage bar, red from the warning ratio on */
+  const createBar = (used, limit) => {
+    const ratio = limit > 0 ? Math.min(1, used / limit) : 0;
+    const bar = document.createElement('div');
+    bar.style.cssText = 'height: 8px; background: #1e293b; border-radius: 4px; overflow: hidden; margin-bottom: 4px;';
+    bar.innerHTML = `<div style="height: 100%; width: ${(ratio * 100).toFixed(1)}%; background: ${ratio >= QUOTA_WARNING_RATIO ? '#ef4444' : '#3b82f6'};"></div>`;
+    return bar;
+  };
+
+  /** Builds rows of names and sizes */
+  const createRows = (rows) => {
+    const list = document.createElement('div');
+    list.style.cssText = 'display: flex; flex-direction: column; gap: 2px; max-height: 140px; overflow-y: auto; font-size: 0.8em;';
+    rows.forEach(({ label, detail }) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; justify-content: space-between; gap: 8px; color: #cbd5e1;';
+      row.innerHTML = `
+        <span style="overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">${escapeHTML(label)}</span>
+        <span style="color: #94a3b8; flex-shrink: 0;">${detail}</span>
+      `;
+      list.appendChild(row);
+    });
+    return list;
+  };
+
+  /** Builds a line of warning text */
+  const createWarning = (text) => {
+    const warning = document.createElement('div');
+    warning.style.cssText = 'font-size: 0.8em; color: #f87171; margin-top: 4px;';
+    warning.textContent = `⚠️ ${text}`;
+    return warning;
+  };
+
+  const render = async () => {
+    content.innerHTML = '';
+    const templatesJSON = templateManager.templatesJSON;
+
+    // Browser quota (IndexedDB, caches and localStorage together)
+    const estimate = await getStorageEstimate();
+    if (estimate) {
+      const quotaSection = createSection('Browser quota', `${formatStorageSize(estimate.usage)} of ${formatStorageSize(estimate.quota)}`);
+      quotaSection.appendChild(createBar(estimate.usage, estimate.quota));
+      if (estimate.usage / estimate.quota >= QUOTA_WARNING_RATIO) {
+        quotaSection.appendChild(createWarning('The browser quota is almost full, saves may start failing. Free space below or delete unused templates.'));
+      }
+    }
+
+    // localStorage, which has a much smaller limit than the quota
+    const localUsage = getLocalStorageUsage();
+    const localSection = createSection('localStorage', `${formatStorageSize(localUsage.used)} of ~${formatStorageSize(localUsage.limit)}`);
+    localSection.appendChild(createBar(localUsage.used, localUsage.limit));
+    const templatesLength = JSON.stringify(templatesJSON || {}).length;
+    const room = checkLocalStorageRoom(templatesLength);
+    if (!room.fits) {
+      localSection.appendChild(createWarning(`Templates (${formatStorageSize(room.needed)}) no longer fit in localStorage (${formatStorageSize(Math.max(0, room.available))} free). Saves fail if the template database is unavailable.`));
+    }
+
+    // Templates
+    const templateSizes = getTemplateSizes(templatesJSON);
+    const templatesSection = createSection(`Templates (${templateSizes.length})`, formatStorageSize(templatesLength));
+    templatesSection.appendChild(createRows(templateSizes.map(({ name, size, tileCount, enabled }) => ({
+      label: `${enabled ? '' : '⏸ '}${name}`,
+      detail: `${tileCount} tile${tileCount === 1 ? '' : 's'} • ${formatStorageSize(size)}`
+    }))));
+
+    // Backups
+    let backups = [];
+    try {
+      backups = await listBackups();
+    } catch (error) {
+      console.warn('Failed to read backups:', error);
+    }
+    const backupsSize = backups.reduce((sum, backup) => sum + backup.size, 0);
+    createSection(`Backups (${backups.length})`, formatStorageSize(backupsSize));
+
+    // Tile cache (memory only, gone after a reload)
+    const cacheStats = getSmartCacheStats();
+    createSection('Tile cache (memory)', `${cacheStats.size}/${cacheStats.maxSize} tiles • ${formatStorageSize(cacheStats.bytes)}`);
+
+    // Settings and other data keys
+    const settingKeys = Object.keys(Settings.collectSettings().localStorage);
+    const bmKeys = localUsage.keys;
+    const settingRows = bmKeys.filter(({ key }) => settingKeys.includes(key));
+    const dataRows = bmKeys.filter(({ key }) => !settingKeys.includes(key));
+    const settingsSection = createSection(`Settings keys (${settingRows.length})`, formatStorageSize(settingRows.reduce((sum, { size }) => sum + size, 0)));
+    settingsSection.appendChild(createRows(settingRows.map(({ key, size }) => ({ label: key, detail: formatStorageSize(size) }))));
+    const dataSection = createSection(`Data keys (${dataRows.length})`, formatStorageSize(dataRows.reduce((sum, { size }) => sum + size, 0)));
+    dataSection.appendChild(createRows(dataRows.map(({ key, size }) => ({ label: key, detail: formatStorageSize(size) }))));
+
+    // Cleanup actions
+    const templateKeys = Object.keys(templatesJSON?.templates || {});
+    const staleTiles = [...templateManager.tileProgress.values()].filter(tileData => tileData.stale).length;
+    const orphanedHistory = Object.keys(getProgressHistory()).filter(templateKey => !templateKeys.includes(templateKey)).length;
+    const damageEvents = getDamageLog().length;
+
+    const cleanupSection = createSection('Cleanup', '');
+    const actions = document.createElement('div');
+    actions.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+    cleanupSection.appendChild(actions);
+
+    const addAction = (label, description, isAvailable, run) => {
+      const row = document.createElement('div');
+      row.style.cssText = 'display: flex; align-items: center; gap: 8px; font-size: 0.8em;';
+      const text = document.createElement('span');
+      text.style.cssText = 'flex: 1; color: #cbd5e1;';
+      text.textContent = description;
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.disabled = !isAvailable;
+      button.style.cssText = `padding: 5px 10px; border: none; border-radius: 6px; cursor: pointer; font-weight: 600; color: white; background: linear-gradient(135deg, #ef4444, #dc2626); flex-shrink: 0; opacity: ${isAvailable ? '1' : '0.4'};`;
+      button.onclick = async () => {
+        button.disabled = true;
+        try {
+          instance.handleDisplayStatus(`💾 ${await run()}`);
+        } catch (error) {
+          console.error('Storage cleanup failed:', error);
+          instance.handleDisplayError('Cleanup failed. Check console for details.');
+        }
+        render();
+      };
+      row.appendChild(text);
+      row.appendChild(button);
+      actions.appendChild(row);
+    };
+
+    addAction('Clear', `Tile cache: ${cacheStats.size} cached tile(s)`, cacheStats.size > 0, () => {
+      clearSmartTileCache();
+      return 'Tile cache cleared';
+    });
+    addAction('Forget', `Saved tile analysis: ${staleTiles} tile(s) not seen since the last visit`, staleTiles > 0, () => {
+      return `Forgot ${templateManager.dropStaleTileProgress()} stale tile(s)`;
+    });
+    addAction('Prune', `Progress history: ${orphanedHistory} deleted template(s)`, orphanedHistory > 0, () => {
+      return `Deleted the history of ${pruneProgressHistory(templateKeys)} deleted template(s)`;
+    });
+    addAction('Clear', `Damage log: ${damageEvents} event(s)`, damageEvents > 0, () => {
+      clearDamageLog();
+      return 'Damage log cleared';
+    });
+    addAction('Delete', `Backups: ${Math.max(0, backups.length - 1)} older than the newest`, backups.length > 1, async () => {
+      for (const backup of backups.slice(1)) {
+        await deleteBackup(backup.id);
+      }
+      return `Deleted ${backups.length - 1} old backup(s)`;
+    });
+  };
+
+  content.textContent = 'Measuring...';
+  render();
+}
+
+/** Warns when the browser storage quota is almost full
+ * @since 1.0.0
+ */
+async function warnIfStorageNearlyFull() {
+  const estimate = await getStorageEstimate();
+  if (!estimate || estimate.usage / estimate.quota < QUOTA_WARNING_RATIO) {return;}
+
+  const percent = Math.round(estimate.usage / estimate.quota * 100);
+  console.warn(`⚠️ Browser storage is ${percent}% full (${formatStorageSize(estimate.usage)} of ${formatStorageSize(estimate.quota)})`);
+  overlayMain.handleDisplayError(`Browser storage is ${percent}% full, saves may start failing. Open the storage usage panel (💾) to free space.`);
+}
+
+/** Shows the background tile scanner settings with its live queue status
+ * @param {Object} instance - The overlay instance
+ * @since 1.0.0
+ */
+function showTileScannerDialog(instance) {
+  const settings = Settings.getTileScannerSettings();
+
+  const overlay = document.createElement('div');
+  overlay.id = 'bm-tile-scanner-overlay';
+  overlay.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    background: rgba(0, 0, 0, 0.8);
+    backdrop-filter: blur(8px);
+    display: flex;
+    justify-content: center;
+    align-items: center;
+    z-index: 10000;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+  `;
+
+  const container = document.createElement('div');
+  container.style.cssText = `
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 20px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    max-width: 400px;
+    width: 90%;
+    max-height: 85vh;
+    overflow-y: auto;
+    padding: 16px 20px 20px 20px;
+  `;
+
+  const close = () => {
+    tileScanner.onStatusChange = null;
+    overlay.remove();
+  };
+
+  container.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
+      <h3 style="margin: 0; font-size: 1.2em; font-weight: 700; background: linear-gradient(135deg, #60a5fa, #3b82f6); -webkit-background-clip: text; -webkit-text-fill-color: transparent; background-clip: text;">Tile Scanner</h3>
+      <button class="bm-close-btn" style="background: none; border: none; color: #94a3b8; font-size: 20px; cursor: pointer; padding: 0; width: 26px; height: 26px;">×</button>
+    </div>
+    <p style="margin: 0 0 12px 0; font-size: 0.85em; color: #94a3b8;">
+      Downloads every tile of your enabled templates in the background so progress is complete without panning.
+      One tile at a time, paused while this tab is hidden.
+    </p>
+    <label style="display: flex; align-items: center; gap: 8px; margin-bottom: 12px; cursor: pointer;">
+      <input type="checkbox" id="bm-scanner-enabled" style="accent-color: #3b82f6;">
+      <span style="font-weight: 600;">Enable scanner</span>
+    </label>
+    <div style="display: grid; grid-template-columns: 1fr auto; gap: 8px 12px; align-items: center; font-size: 0.85em; margin-bottom: 12px;">
+      <label for="bm-scanner-interval">Seconds between tiles</label>
+      <input type="number" id="bm-scanner-interval" min="1" max="600" style="width: 70px; padding: 4px 6px; border-radius: 6px; border: 1px solid #475569; background: #0f172a; color: #f1f5f9;">
+      <label for="bm-scanner-rescan">Rescan tiles older than (minutes)</label>
+      <input type="number" id="bm-scanner-rescan" min="1" max="1440" style="width: 70px; padding: 4px 6px; border-radius: 6px; border: 1px solid #475569; background: #0f172a; color: #f1f5f9;">
+    </div>
+    <label for="bm-scanner-server" style="display: block; font-size: 0.85em; margin-bottom: 4px;">Tile server override</label>
+    <input type="text" id="bm-scanner-server" placeholder="Default: the server the site uses" style="width: 100%; box-sizing: border-box; padding: 6px 8px; border-radius: 6px; border: 1px solid #475569; background: #0f172a; color: #f1f5f9; font-size: 0.85em; margin-bottom: 4px;">
+    <div style="font-size: 0.75em; color: #64748b; margin-bottom: 12px;">Tiles are read from &lt;server&gt;/&lt;x&gt;/&lt;y&gt;.png, e.g. http://localhost:8080/tiles for a local stand-in.</div>
+    <div id="bm-scanner-status" style="padding: 10px; background: #334155; border: 1px solid #475569; border-radius: 8px; font-size: 0.85em;"></div>
+  `;
+
+  const enabledInput = container.querySelector('#bm-scanner-enabled');
+  const intervalInput = container.querySelector('#bm-scanner-interval');
+  const rescanInput = container.querySelector('#bm-scanner-rescan');
+  const serverInput = container.querySelector('#bm-scanner-server');
+  const statusDiv = container.querySelector('#bm-scanner-status');
+
+  enabledInput.checked = settings.enabled;
+  intervalInput.value = settings.intervalSeconds;
+  rescanInput.value = settings.rescanMinutes;
+  serverInput.value = settings.tileServer;
+
+  const saveSettings = () => {
+    const next = Settings.normalizeTileScannerSettings({
+      enabled: enabledInput.checked,
+      intervalSeconds: parseInt(intervalInput.value, 10),
+      rescanMinutes: parseInt(rescanInput.value, 10),
+      tileServer: serverInput.value
+    });
+    intervalInput.value = next.intervalSeconds;
+    rescanInput.value = next.rescanMinutes;
+    if (next.tileServer !== serverInput.value.trim()) {
+      instance.handleDisplayError('The tile server must be an http(s) URL, the one the site uses is kept');
+    }
+    serverInput.value = next.tileServer;
+    Settings.saveTileScannerSettings(next);
+    tileScanner.applySettings();
+  };
+  [enabledInput, intervalInput, rescanInput, serverInput].forEach(input => input.addEventListener('change', saveSettings));
+
+  const stateLabels = {
+    'off': '⏹️ Off',
+    'running': '🛰️ Scanning',
+    'hidden': '⏸️ Paused (tab hidden)',
+    'waiting': '✅ All tiles are current',
+    'no-server': '⌛ Waiting for the site to load a tile'
+  };
+  const renderStatus = (status) => {
+    statusDiv.innerHTML = `
+      <div style="font-weight: 600; margin-bottom: 4px;">${stateLabels[status.state] || status.state}</div>
+      <div style="color: #94a3b8;">${status.queued} queued • ${status.scanned} scanned • ${status.failed} failed</div>
+      ${status.lastTile ? `<div style="color: #94a3b8;">Last tile: ${status.lastTile}</div>` : ''}
+      ${status.lastError ? `<div style="color: #f87171;">Last error: ${escapeHTML(status.lastError)}</div>` : ''}
+      ${status.nextPassAt ? `<div style="color: #94a3b8;">Next check in ${formatDuration(Math.max(0, status.nextPassAt - Date.now()))}</div>` : ''}
+    `;
+  };
+  renderStatus(tileScanner.getStatus());
+  tileScanner.onStatusChange = renderStatus;
+
+  container.querySelector('.bm-close-btn').onclick = close;
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      close();
+    }
   });
+
+  overlay.appendChild(container);
+  document.body.appendChild(overlay);
 }
 
+/** Columns the Manage dialog can sort by, with the value each template is sorted on */
+const MANAGE_SORT_COLUMNS = {
+  'order': { label: 'Order', value: null },
+  'percent': { label: '% done', value: totals => totals.painted / totals.required },
+  'remaining': { label: 'Left', value: totals => totals.required - totals.painted },
+  'wrong': { label: 'Wrong', value: totals => totals.wrong },
+  'analyzed': { label: 'Analyzed', value: totals => totals.lastAnalyzed }
+};
+
+/** Current sort of the Manage dialog, kept while the page is open */
+let manageDialogSort = { column: 'order', descending: false };
+
 /** Shows a comprehensive template management dialog
  * @param {Object} instance - The overlay instance
  * @since 1.0.0
  */
 function showTemplateManageDialog(instance) {
   const templates = templateManager?.templatesJSON?.templates || {};
-  const templateKeys = Object.keys(templates);
+  const templateTotals = templateManager.getTemplateProgressTotals(true);
+  // Draw order: the first row is drawn first (bottom), the last row on top
+  const templateKeys = Object.keys(templates).sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+  const isDrawOrder = manageDialogSort.column === 'order';
+  if (!isDrawOrder) {
+    // Templates without analyzed tiles always go last
+    const sortValue = MANAGE_SORT_COLUMNS[manageDialogSort.column].value;
+    const valueOf = (templateKey) => {
+      const totals = templateTotals[templateKey];
+      return totals?.tilesCounted && totals.required > 0 ? sortValue(totals) : null;
+    };
+    templateKeys.sort((a, b) => {
+      const valueA = valueOf(a);
+      const valueB = valueOf(b);
+      if (valueA === null || valueB === null) {return (valueA === null) - (valueB === null);}
+      return manageDialogSort.descending ? valueB - valueA : valueA - valueB;
+    });
+  }
   
   // Create management dialog
   const overlay = document.createElement('div');
@@ -2970,11 +5413,11 @@ function showTemplateManageDialog(instance) {
           width: 100% !important;
         }
         
-        /* Button container - 4x1 grid layout (linha horizontal) */
+        /* Button container - 5x1 grid layout (linha horizontal) */
         #bm-template-manage-overlay .templateInfoControls {
           max-width: 100% !important;
           display: grid !important;
-          grid-template-columns: repeat(4, 1fr) !important;
+          grid-template-columns: repeat(5, 1fr) !important;
           gap: 6px !important;
           justify-items: stretch !important;
           margin-top: 8px !important;
@@ -3205,6 +5648,43 @@ function showTemplateManageDialog(instance) {
   loadingDiv.textContent = 'Loading templates...';
   templateList.appendChild(loadingDiv);
   
+  if (templateKeys.length > 1) {
+    // Sort bar, clicking the active column again flips the direction
+    const sortBar = document.createElement('div');
+    sortBar.style.cssText = 'display: flex; flex-wrap: wrap; align-items: center; gap: 6px; margin-bottom: 10px; font-size: 0.8em; color: #94a3b8;';
+    sortBar.appendChild(document.createTextNode('Sort:'));
+    for (const [column, { label }] of Object.entries(MANAGE_SORT_COLUMNS)) {
+      const isActive = manageDialogSort.column === column;
+      const sortBtn = document.createElement('button');
+      sortBtn.textContent = isActive && column !== 'order' ? `${label} ${manageDialogSort.descending ? '▼' : '▲'}` : label;
+      sortBtn.style.cssText = `
+        padding: 4px 8px;
+        border: 1px solid ${isActive ? '#3b82f6' : '#475569'};
+        border-radius: 6px;
+        cursor: pointer;
+        background: ${isActive ? 'rgba(59, 130, 246, 0.2)' : '#334155'};
+        color: #f1f5f9;
+        font-size: 1em;
+      `;
+      sortBtn.onclick = () => {
+        manageDialogSort = isActive
+          ? { column, descending: !manageDialogSort.descending }
+          : { column, descending: column === 'remaining' || column === 'wrong' || column === 'analyzed' };
+        overlay.remove();
+        showTemplateManageDialog(instance);
+      };
+      sortBar.appendChild(sortBtn);
+    }
+    content.appendChild(sortBar);
+  }
+
+  if (templateKeys.length > 1 && isDrawOrder) {
+    const orderHint = document.createElement('div');
+    orderHint.textContent = 'Drag ⠿ to change the draw order. Templates lower in the list are drawn on top.';
+    orderHint.style.cssText = 'color: #94a3b8; font-size: 0.8em; margin-bottom: 12px; text-align: center;';
+    content.appendChild(orderHint);
+  }
+
   // Build basic structure first
   content.appendChild(templateList);
   
@@ -3254,6 +5734,7 @@ function showTemplateManageDialog(instance) {
     
     const templateItem = document.createElement('div');
     templateItem.className = 'bm-template-item';
+    templateItem.dataset.templateKey = templateKey;
     templateItem.style.cssText = `
       display: flex;
       justify-content: space-between;
@@ -3324,6 +5805,53 @@ function showTemplateManageDialog(instance) {
     };
     renameBtn.onclick = (e) => { e.stopPropagation(); startInlineRename(); };
     nameLabel.onclick = (e) => { e.stopPropagation(); startInlineRename(); };
+    // Drag handle for reordering (pointer events so it works with touch too)
+    const dragHandle = document.createElement('div');
+    dragHandle.textContent = '⠿';
+    dragHandle.title = 'Drag to change draw order';
+    dragHandle.style.cssText = 'cursor: grab; color: #94a3b8; font-size: 18px; padding: 4px 2px; touch-action: none; user-select: none;';
+    dragHandle.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      dragHandle.setPointerCapture(e.pointerId);
+      dragHandle.style.cursor = 'grabbing';
+      templateItem.style.opacity = '0.6';
+    });
+    dragHandle.addEventListener('pointermove', (e) => {
+      if (!dragHandle.hasPointerCapture(e.pointerId)) {return;}
+      const target = document.elementFromPoint(e.clientX, e.clientY)?.closest('.bm-template-item');
+      if (!target || target === templateItem || target.parentElement !== templateList) {return;}
+      const rect = target.getBoundingClientRect();
+      templateList.insertBefore(templateItem, e.clientY < rect.top + rect.height / 2 ? target : target.nextSibling);
+    });
+    const finishDrag = async (e) => {
+      if (!dragHandle.hasPointerCapture(e.pointerId)) {return;}
+      dragHandle.releasePointerCapture(e.pointerId);
+      dragHandle.style.cursor = 'grab';
+      templateItem.style.opacity = '';
+
+      const newOrder = Array.from(templateList.querySelectorAll('.bm-template-item')).map(item => item.dataset.templateKey);
+      if (newOrder.join('|') === templateKeys.join('|')) {return;}
+
+      const keyMap = await templateManager.reorderTemplates(newOrder);
+      if (!keyMap) {
+        instance.handleDisplayError('Failed to reorder templates');
+        return;
+      }
+      invalidateTemplateCache();
+      forceTemplateRedraw();
+      setTimeout(() => updateMiniTracker(), 500);
+      instance.handleDisplayStatus('Template order updated');
+
+      // Rows hold the old template keys, so rebuild the dialog
+      overlay.remove();
+      showTemplateManageDialog(instance);
+    };
+    dragHandle.addEventListener('pointerup', finishDrag);
+    dragHandle.addEventListener('pointercancel', finishDrag);
+
+    if (isDrawOrder) {
+      nameRow.appendChild(dragHandle);
+    }
     nameRow.appendChild(renameBtn);
     nameRow.appendChild(nameLabel);
     
@@ -3360,10 +5888,33 @@ function showTemplateManageDialog(instance) {
       color: #60a5fa;
       font-weight: 500;
     `;
+
+    // Progress of this template alone, from the tiles analyzed so far
+    const statsSpan = document.createElement('div');
+    const totals = templateTotals[templateKey];
+    if (totals?.tilesCounted && totals.required > 0) {
+      const percent = (totals.painted / totals.required) * 100;
+      const formatter = new Intl.NumberFormat();
+      const partial = totals.tilesCounted < totals.tilesTotal ? ` (${totals.tilesCounted}/${totals.tilesTotal} tiles)` : '';
+      statsSpan.innerHTML = `
+        <b style="color: ${percent >= 100 ? '#10b981' : '#f1f5f9'};">${percent.toFixed(1)}%</b>
+        • ${formatter.format(totals.required - totals.painted)} left
+        • <span style="color: ${totals.wrong ? '#f87171' : 'inherit'};">${formatter.format(totals.wrong)} wrong</span>${partial}
+        <div style="color: #64748b;">Analyzed ${formatDuration(Date.now() - totals.lastAnalyzed)} ago${totals.staleTiles ? ` • <span style="color: #fbbf24;" title="Saved on a previous visit, these tiles are counted again when they are viewed or scanned">⏳ ${totals.staleTiles} saved tile${totals.staleTiles === 1 ? '' : 's'} not rechecked</span>` : ''}</div>
+      `;
+    } else {
+      statsSpan.textContent = isEnabled ? 'Not analyzed yet, view the template to count it' : 'Not analyzed (disabled)';
+    }
+    statsSpan.style.cssText = `
+      font-size: 0.75em;
+      color: #94a3b8;
+      margin-top: 4px;
+    `;
     
     templateInfo.appendChild(nameRow);
     templateInfo.appendChild(infoSpan);
     templateInfo.appendChild(coordsSpan);
+    templateInfo.appendChild(statsSpan);
     
     // Button container
     const buttonContainer = document.createElement('div');
@@ -3563,8 +6114,33 @@ function showTemplateManageDialog(instance) {
       );
     };
 
+    // Move button
+    const moveBtn = document.createElement('button');
+    moveBtn.innerHTML = icons.moveIcon;
+    moveBtn.title = 'Move this template (arrow keys or drag)';
+    moveBtn.style.cssText = `
+      padding: 8px;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      min-width: 36px;
+      height: 36px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      background: linear-gradient(135deg, #a855f7, #7c3aed);
+      color: white;
+    `;
+
+    moveBtn.onclick = (e) => {
+      e.stopPropagation();
+      document.body.removeChild(overlay);
+      startTemplateMoveMode(instance, templateKey);
+    };
+
     buttonContainer.appendChild(exportBtn);
     buttonContainer.appendChild(flyBtn);
+    buttonContainer.appendChild(moveBtn);
     buttonContainer.appendChild(deleteBtn);
     buttonContainer.appendChild(toggleBtn);
     
@@ -3609,8 +6185,14 @@ function showTemplateManageDialog(instance) {
           }
         });
       };
+      const conflictsBtn = document.createElement('button');
+      conflictsBtn.textContent = 'Conflicts';
+      conflictsBtn.title = 'Find overlapping templates that want different colors';
+      conflictsBtn.style.cssText = `padding: 10px 16px; border: none; border-radius: 8px; cursor: pointer; font-weight: 600; background: linear-gradient(135deg,#f59e0b,#d97706); color: white;`;
+      conflictsBtn.onclick = () => showTemplateConflictsDialog(instance);
       footer.appendChild(enableAllBtn);
       footer.appendChild(disableAllBtn);
+      footer.appendChild(conflictsBtn);
     }
   };
   
@@ -3618,6 +6200,250 @@ function showTemplateManageDialog(instance) {
   requestAnimationFrame(processBatch);
 }
 
+/** Starts "move" mode for a template.
+ * Shows a floating panel to nudge the template with the arrow keys, the on-screen arrows or by dragging on the map.
+ * The shifted template is previewed immediately and only re-chunked and saved when confirmed.
+ * @param {Object} instance - The overlay instance
+ * @param {string} templateKey - The template key ("sortID authorID")
+ * @since 1.0.0
+ */
+async function startTemplateMoveMode(instance, templateKey) {
+  const entry = templateManager.templatesJSON?.templates?.[templateKey];
+  const originalTemplate = templateManager.templatesArray.find(t => `${t.sortID} ${t.authorID}` === templateKey);
+  if (!entry || !originalTemplate) {
+    instance.handleDisplayError('Template not found');
+    return;
+  }
+  document.getElementById('bm-template-move-panel')?.remove();
+
+  const sourceBlob = await templateManager.buildTemplateImage(templateKey);
+  if (!sourceBlob) {
+    instance.handleDisplayError('This template has no tiles to move');
+    return;
+  }
+
+  const tileSize = templateManager.tileSize || 1000;
+  const [originTx, originTy, originPx, originPy] = entry.coords.split(',').map(Number);
+  const originX = originTx * tileSize + originPx;
+  const originY = originTy * tileSize + originPy;
+  let offsetX = 0;
+  let offsetY = 0;
+
+  // Keeps the template on the board, so the offset shown is where the template lands
+  const setOffset = (x, y) => {
+    offsetX = Math.max(-originX, x);
+    offsetY = Math.max(-originY, y);
+  };
+
+  // Converts the current offset into normalized [tileX, tileY, pixelX, pixelY] coords
+  const getMovedCoords = () => {
+    const x = originX + offsetX;
+    const y = originY + offsetY;
+    return [Math.floor(x / tileSize), Math.floor(y / tileSize), x % tileSize, y % tileSize];
+  };
+
+  const panel = document.createElement('div');
+  panel.id = 'bm-template-move-panel';
+  panel.style.cssText = `
+    position: fixed;
+    bottom: 24px;
+    left: 50%;
+    transform: translateX(-50%);
+    background: #1e293b;
+    color: #f1f5f9;
+    border-radius: 16px;
+    border: 1px solid #334155;
+    box-shadow: 0 25px 50px -12px rgba(0, 0, 0, 0.7);
+    padding: 16px 20px;
+    z-index: 10002;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    display: flex;
+    gap: 16px;
+    align-items: center;
+  `;
+
+  const info = document.createElement('div');
+  info.style.cssText = 'min-width: 190px;';
+  const title = document.createElement('div');
+  title.textContent = `Move "${entry.name}"`;
+  title.style.cssText = 'font-weight: 700; margin-bottom: 6px; max-width: 220px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+  const offsetLabel = document.createElement('div');
+  offsetLabel.style.cssText = 'font-size: 0.85em; color: #cbd5e1;';
+  const coordsLabel = document.createElement('div');
+  coordsLabel.style.cssText = 'font-size: 0.75em; color: #60a5fa; margin-top: 2px;';
+  const hint = document.createElement('div');
+  hint.textContent = 'Arrows: 1px • Shift+Arrows: 10px';
+  hint.style.cssText = 'font-size: 0.7em; color: #94a3b8; margin-top: 6px;';
+  info.appendChild(title);
+  info.appendChild(offsetLabel);
+  info.appendChild(coordsLabel);
+  info.appendChild(hint);
+
+  const arrowButtonStyle = 'width: 32px; height: 32px; border: none; border-radius: 8px; cursor: pointer; background: linear-gradient(135deg, #475569, #334155); color: white; font-size: 14px;';
+  const arrows = document.createElement('div');
+  arrows.style.cssText = 'display: grid; grid-template-columns: repeat(3, 32px); grid-template-rows: repeat(3, 32px); gap: 4px;';
+  [[null], ['↑', 0, -1], [null], ['←', -1, 0], [null], ['→', 1, 0], [null], ['↓', 0, 1], [null]].forEach(([label, dx, dy]) => {
+    const cell = document.createElement(label ? 'button' : 'div');
+    if (label) {
+      cell.textContent = label;
+      cell.style.cssText = arrowButtonStyle;
+      cell.onclick = (e) => nudge(dx, dy, e.shiftKey ? 10 : 1);
+    }
+    arrows.appendChild(cell);
+  });
+
+  const actions = document.createElement('div');
+  actions.style.cssText = 'display: flex; flex-direction: column; gap: 6px;';
+  const actionButtonStyle = 'padding: 8px 14px; border: none; border-radius: 8px; cursor: pointer; font-weight: 600; color: white;';
+  const dragBtn = document.createElement('button');
+  dragBtn.textContent = 'Drag on map';
+  dragBtn.style.cssText = actionButtonStyle + ' background: linear-gradient(135deg, #475569, #334155);';
+  const confirmBtn = document.createElement('button');
+  confirmBtn.textContent = 'Save';
+  confirmBtn.style.cssText = actionButtonStyle + ' background: linear-gradient(135deg, #3b82f6, #2563eb);';
+  const cancelBtn = document.createElement('button');
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.style.cssText = actionButtonStyle + ' background: linear-gradient(135deg, #64748b, #475569);';
+  actions.appendChild(dragBtn);
+  actions.appendChild(confirmBtn);
+  actions.appendChild(cancelBtn);
+
+  panel.appendChild(info);
+  panel.appendChild(arrows);
+  panel.appendChild(actions);
+  document.body.appendChild(panel);
+
+  // Preview: re-chunk in memory after the user stops nudging for a moment
+  let previewTimer = null;
+  let previewSequence = 0;
+  const schedulePreview = () => {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(async () => {
+      const sequence = ++previewSequence;
+      try {
+        // Dropped unswapped when a newer preview started or the move was saved or cancelled meanwhile
+        const shown = await templateManager.previewTemplateAt(templateKey, sourceBlob, getMovedCoords(), () => sequence === previewSequence);
+        if (!shown) {return;}
+        invalidateTemplateCache();
+        forceTemplateRedraw();
+      } catch (error) {
+        console.error('❌ Failed to preview moved template:', error);
+      }
+    }, 150);
+  };
+
+  const updateLabels = () => {
+    offsetLabel.textContent = `Offset: ${offsetX >= 0 ? '+' : ''}${offsetX}, ${offsetY >= 0 ? '+' : ''}${offsetY} px`;
+    const [tx, ty, px, py] = getMovedCoords();
+    coordsLabel.textContent = `📍 Tile ${tx},${ty} • Pixel ${px},${py}`;
+  };
+
+  const nudge = (dx, dy, step = 1) => {
+    setOffset(offsetX + dx * step, offsetY + dy * step);
+    updateLabels();
+    schedulePreview();
+  };
+
+  // Keyboard nudging - captured before the map so arrows don't pan it
+  const onKeyDown = (e) => {
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) {return;}
+    const directions = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+    if (directions[e.key]) {
+      nudge(...directions[e.key], e.shiftKey ? 10 : 1);
+    } else if (e.key === 'Enter') {
+      confirmMove();
+    } else if (e.key === 'Escape') {
+      cancelMove();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  };
+  document.addEventListener('keydown', onKeyDown, true);
+
+  // Dragging: a transparent layer over the map turns pointer movement into board pixel offsets
+  let dragLayer = null;
+  const getBoardPosition = (e) => {
+    const map = unsafeWindow.bmmap;
+    const rect = map.getCanvas().getBoundingClientRect();
+    const { lat, lng } = map.unproject([e.clientX - rect.left, e.clientY - rect.top]);
+    const [tx, ty, px, py] = latLngToCanvasPos(lat, lng);
+    return [tx * tileSize + px, ty * tileSize + py];
+  };
+  const toggleDragLayer = () => {
+    if (dragLayer) {
+      dragLayer.remove();
+      dragLayer = null;
+      dragBtn.textContent = 'Drag on map';
+      return;
+    }
+    if (!unsafeWindow.bmmap) {
+      instance.handleDisplayError('Map not ready yet - use the arrows instead');
+      return;
+    }
+
+    dragLayer = document.createElement('div');
+    dragLayer.style.cssText = 'position: fixed; inset: 0; z-index: 10001; cursor: move; background: rgba(59, 130, 246, 0.05);';
+    let dragStart = null;
+    dragLayer.addEventListener('pointerdown', (e) => {
+      dragLayer.setPointerCapture(e.pointerId);
+      dragStart = { position: getBoardPosition(e), offsetX, offsetY };
+    });
+    dragLayer.addEventListener('pointermove', (e) => {
+      if (!dragStart) {return;}
+      const [x, y] = getBoardPosition(e);
+      setOffset(dragStart.offsetX + (x - dragStart.position[0]), dragStart.offsetY + (y - dragStart.position[1]));
+      updateLabels();
+      schedulePreview();
+    });
+    dragLayer.addEventListener('pointerup', () => dragStart = null);
+    document.body.appendChild(dragLayer);
+    dragBtn.textContent = 'Stop dragging';
+  };
+  dragBtn.onclick = toggleDragLayer;
+
+  const cleanup = () => {
+    clearTimeout(previewTimer);
+    previewSequence++;
+    document.removeEventListener('keydown', onKeyDown, true);
+    dragLayer?.remove();
+    panel.remove();
+  };
+
+  const cancelMove = () => {
+    cleanup();
+    templateManager.restoreTemplateInstance(originalTemplate);
+    invalidateTemplateCache();
+    forceTemplateRedraw();
+    instance.handleDisplayStatus(`Move cancelled for "${entry.name}"`);
+  };
+
+  const confirmMove = async () => {
+    cleanup();
+    if (offsetX === 0 && offsetY === 0) {
+      templateManager.restoreTemplateInstance(originalTemplate);
+      return;
+    }
+
+    const newCoords = getMovedCoords();
+    try {
+      await templateManager.replaceTemplateImage(templateKey, sourceBlob, newCoords);
+      invalidateTemplateCache();
+      forceTemplateRedraw();
+      instance.handleDisplayStatus(`Moved "${entry.name}" to ${newCoords.join(', ')}`);
+    } catch (error) {
+      console.error('❌ Failed to move template:', error);
+      templateManager.restoreTemplateInstance(originalTemplate);
+      instance.handleDisplayError('Failed to move template. Check console for details.');
+    }
+  };
+
+  confirmBtn.onclick = confirmMove;
+  cancelBtn.onclick = cancelMove;
+  updateLabels();
+}
+
 /** Deploys the overlay to the page with minimize/maximize functionality.
  * Creates a responsive overlay UI that can toggle between full-featured and minimized states.
  * 
@@ -3971,6 +6797,18 @@ function buildOverlayMain() {
         .addDiv({'id': 'bm-user-fullcharge-icon', innerHTML: icons.chargeIcon}).buildElement()
         .addP({'id': 'bm-user-fullcharge-content', 'textContent': 'Full Charge in...'}).buildElement()
       .buildElement()
+      .addDiv({'id': 'bm-user-eta'})
+        .addDiv({'id': 'bm-user-eta-icon', innerHTML: icons.chargeIcon}).buildElement()
+        .addP({'id': 'bm-user-eta-content', 'textContent': 'Template done in...'}).buildElement()
+        .addInput({'type': 'number', 'id': 'bm-user-eta-painters', 'min': 1, 'max': 999, 'value': Settings.getPainterCount(), 'title': 'Number of painters working on the template'}, (instance, input) => {
+          input.addEventListener('change', () => {
+            const painters = Math.min(999, Math.max(1, parseInt(input.value, 10) || 1));
+            input.value = painters;
+            Settings.savePainterCount(painters);
+            apiManager.updateTemplateEtaDisplay(instance);
+          });
+        }).buildElement()
+      .buildElement()
     .buildElement()
     
 
@@ -4107,7 +6945,13 @@ function buildOverlayMain() {
             // Kills itself if there is no file
             if (!input?.files[0]) {instance.handleDisplayError(`No file selected!`); return;}
 
-            templateManager.createTemplate(input.files[0], input.files[0]?.name.replace(/\.[^/.]+$/, ''), [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)]);
+            // Snap the image to the palette if a conversion method was chosen in the converter
+            const quantizeSettings = Settings.getTemplateQuantizeSettings();
+            const quantize = quantizeSettings.method !== 'none'
+              ? { method: quantizeSettings.method, palette: getTemplatePalette(quantizeSettings.palette) }
+              : undefined;
+
+            templateManager.createTemplate(input.files[0], input.files[0]?.name.replace(/\.[^/.]+$/, ''), [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)], { quantize });
 
             // Invalidate cache after template creation
             invalidateTemplateCache();
@@ -4167,7 +7011,7 @@ function buildOverlayMain() {
           .addButton({'id': 'bm-button-convert', 'className': 'bm-help', 'innerHTML': '🎨', 'title': 'Template Color Converter'}, 
             (instance, button) => {
             button.addEventListener('click', () => {
-              window.open('https://pepoafonso.github.io/color_converter_wplace/', '_blank', 'noopener noreferrer');
+              showPaletteConverterDialog(instance);
             });
           }).buildElement()
           .addButton({'id': 'bm-search', 'className': 'bm-help', 'innerHTML': '🔍', 'title': 'Location Search'}, 
@@ -4311,6 +7155,73 @@ function buildOverlayMain() {
               });
             }
           ).buildElement()
+          .addButton({'id': 'bm-button-url-template', 'className': 'bm-help', 'innerHTML': '🔗', 'title': 'Create template from image URL'},
+            (instance, button) => {
+              button.addEventListener('click', () => {
+                showUrlTemplateDialog(instance);
+              });
+            }
+          ).buildElement()
+          .addButton({'id': 'bm-button-snapshot', 'className': 'bm-help', 'innerHTML': '🖼️', 'title': 'Snapshot canvas area to a new template'},
+            (instance, button) => {
+              button.addEventListener('click', () => {
+                showSnapshotTemplateDialog(instance);
+              });
+            }
+          ).buildElement()
+          .addButton({'id': 'bm-button-progress-history', 'className': 'bm-help', 'innerHTML': '📈', 'title': 'Progress history and estimated completion'},
+            (instance, button) => {
+              button.addEventListener('click', () => {
+                showProgressHistoryDialog(instance);
+              });
+            }
+          ).buildElement()
+          .addButton({'id': 'bm-button-damage-log', 'className': 'bm-help', 'innerHTML': '🛡️', 'title': 'Damage log: correct pixels that turned wrong'},
+            (instance, button) => {
+              button.addEventListener('click', () => {
+                showDamageLogDialog(instance);
+              });
+            }
+          ).buildElement()
+          .addButton({'id': 'bm-button-next-target', 'className': 'bm-help', 'innerHTML': '🎯', 'title': 'Fly to the nearest wrong or unpainted pixel (N)'},
+            (instance, button) => {
+              button.addEventListener('click', () => {
+                goToNextTarget(instance);
+              });
+            }
+          ).buildElement()
+          .addButton({'id': 'bm-button-hover-inspector', 'className': 'bm-help', 'innerHTML': '🔍', 'title': 'Hover inspector: template vs canvas color under the cursor'},
+            (instance, button) => {
+              button.style.opacity = Settings.getHoverInspectorEnabled() ? '1' : '0.6';
+              button.addEventListener('click', () => {
+                const enabled = !Settings.getHoverInspectorEnabled();
+                setHoverInspectorEnabled(enabled);
+                button.style.opacity = enabled ? '1' : '0.6';
+                instance.handleDisplayStatus(`🔍 Hover inspector ${enabled ? 'enabled' : 'disabled'}`);
+              });
+            }
+          ).buildElement()
+          .addButton({'id': 'bm-button-tile-scanner', 'className': 'bm-help', 'innerHTML': '🛰️', 'title': 'Background tile scanner'},
+            (instance, button) => {
+              button.addEventListener('click', () => {
+                showTileScannerDialog(instance);
+              });
+            }
+          ).buildElement()
+          .addButton({'id': 'bm-button-backups', 'className': 'bm-help', 'innerHTML': '🗂️', 'title': 'Backups: restore templates and settings'},
+            (instance, button) => {
+              button.addEventListener('click', () => {
+                showBackupsDialog(instance);
+              });
+            }
+          ).buildElement()
+          .addButton({'id': 'bm-button-storage-usage', 'className': 'bm-help', 'innerHTML': '💾', 'title': 'Storage usage and cleanup'},
+            (instance, button) => {
+              button.addEventListener('click', () => {
+                showStorageUsageDialog(instance);
+              });
+            }
+          ).buildElement()
           // Clear All Storage button
           .addButton({'id': 'bm-button-clear-storage', 'className': 'bm-help', innerHTML: icons.clearStorageIcon, 'title': 'Clear All Storage'}, (instance, button) => {
             button.addEventListener('click', () => {
@@ -4364,6 +7275,28 @@ function buildOverlayTabTemplate() {
 
 
 
+/** Excluded colors edited in the color filter but not applied yet (for the color filter template)
+ * @type {string[]|null}
+ */
+let colorFilterPendingExcluded = null;
+
+/** Applies the pending excluded colors to the color filter template.
+ * Templates are redrawn when the list changed, so the dropped tiles are counted again.
+ * @since 1.0.0
+ */
+async function applyColorFilterPendingExcluded() {
+  if (!colorFilterPendingExcluded) {return;}
+  const template = templateManager.getColorFilterTemplate();
+  if (template) {
+    const isChanged = await templateManager.setTemplateExcludedColors(`${template.sortID} ${template.authorID}`, colorFilterPendingExcluded);
+    if (isChanged) {
+      invalidateTemplateCache();
+      forceTemplateRedraw();
+    }
+  }
+  colorFilterPendingExcluded = null;
+}
+
 /** Builds and displays the color filter overlay
  * @since 1.0.0
  */
@@ -4407,9 +7340,6 @@ function buildColorFilterOverlay() {
     let totalNeedCrosshair = 0;
     let totalWrong = 0;
     
-    // Get excluded colors from localStorage (used for both wrong pixels and main calculation)
-    const excludedColors = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
-    
     // Get wrong pixels from tile progress data (only once) - FILTERED BY ENABLED TEMPLATES
     if (templateManager.tileProgress && templateManager.tileProgress.size > 0) {
       // Get list of enabled templates for filtering (same logic as calculateRemainingPixelsByColor)
@@ -4451,27 +7381,22 @@ function buildColorFilterOverlay() {
         if (!shouldIncludeTile) continue;
         
         if (tileStats.colorBreakdown) {
-          for (const [colorKey, colorStats] of Object.entries(tileStats.colorBreakdown)) {
-            // Skip excluded colors from wrong pixels calculation too
-            if (excludedColors.includes(colorKey)) {
-              continue;
-            }
+          // Excluded colors are not counted in the tiles, so they have no breakdown to add
+          for (const colorStats of Object.values(tileStats.colorBreakdown)) {
             totalWrong += colorStats.wrong || 0;
           }
         }
       }
     }
     
-    for (const [colorKey, stats] of Object.entries(pixelStats)) {
-      // Skip excluded colors from progress calculation
-      if (excludedColors.includes(colorKey)) {
-        continue;
-      }
-      
+    for (const stats of Object.values(pixelStats)) {
       totalRequired += stats.totalRequired || 0;
       totalPainted += stats.painted || 0;
       totalNeedCrosshair += stats.needsCrosshair || 0;
     }
+
+    // Split remaining pixels into what the user can paint with their colors and what is locked
+    const paintableStats = templateManager.getPaintableByMeStats(pixelStats);
     
     // Apply wrong color logic based on settings
     let overallProgress, displayPainted, displayRequired;
@@ -4581,10 +7506,13 @@ function buildColorFilterOverlay() {
       document.head.appendChild(s);
     }
 
-    // Initialize pending excluded colors (copy from applied if not exists)
-    if (!localStorage.getItem('bmcf-excluded-colors-pending')) {
-      const appliedExcluded = localStorage.getItem('bmcf-excluded-colors') || '[]';
-      localStorage.setItem('bmcf-excluded-colors-pending', appliedExcluded);
+    // Template whose colors this overlay edits
+    const currentTemplate = templateManager.getColorFilterTemplate();
+    const currentTemplateKey = `${currentTemplate.sortID} ${currentTemplate.authorID}`;
+
+    // Initialize pending excluded colors (copy from the template if not exists)
+    if (!colorFilterPendingExcluded) {
+      colorFilterPendingExcluded = [...templateManager.getTemplateExcludedColors(currentTemplateKey)];
     }
     
     // Create the color filter overlay
@@ -4693,7 +7621,7 @@ function buildColorFilterOverlay() {
     
     closeButton.onclick = () => {
       // Discard pending changes when closing without applying
-      localStorage.removeItem('bmcf-excluded-colors-pending');
+      colorFilterPendingExcluded = null;
       colorFilterOverlay.remove();
     };
 
@@ -4889,9 +7817,43 @@ function buildColorFilterOverlay() {
     titleContainer.appendChild(settingsButton);
     titleContainer.appendChild(closeButton);
 
+    // Template picker - every template keeps its own disabled, excluded and enhanced colors
+    const templatePicker = document.createElement('select');
+    templatePicker.title = 'Template to filter';
+    templatePicker.style.cssText = `
+      margin-top: 10px;
+      width: 100%;
+      height: 36px;
+      padding: 0 12px;
+      border-radius: 10px;
+      border: 1px solid var(--bmcf-border);
+      background: var(--slate-800);
+      color: var(--bmcf-text);
+      font-size: 0.9em;
+      cursor: pointer;
+    `;
+    for (const template of templateManager.templatesArray) {
+      const templateKey = `${template.sortID} ${template.authorID}`;
+      const option = document.createElement('option');
+      option.value = templateKey;
+      option.textContent = `${template.displayName || templateKey}${templateManager.isTemplateEnabled(templateKey) ? '' : ' (disabled)'}`;
+      option.selected = templateKey === currentTemplateKey;
+      templatePicker.appendChild(option);
+    }
+    templatePicker.addEventListener('mousedown', (e) => e.stopPropagation()); // Don't start dragging the overlay
+    templatePicker.onchange = async () => {
+      // Keep exclusions made for the previous template
+      await applyColorFilterPendingExcluded();
+      templateManager.setColorFilterTemplate(templatePicker.value);
+      buildColorFilterOverlay();
+    };
+
     // Add drag bar and titleContainer to header
     header.appendChild(dragBar);
     header.appendChild(titleContainer);
+    if (templateManager.templatesArray.length > 1) {
+      header.appendChild(templatePicker);
+    }
 
     // Progress Summary
     const progressSummary = document.createElement('div');
@@ -4954,6 +7916,10 @@ function buildColorFilterOverlay() {
         ">
           ${totalNeedCrosshair.toLocaleString()} Pixels Remaining
         </div>
+        ${paintableStats.known ? `
+        <div style="font-size: 0.8em; color: var(--bmcf-text-muted); margin-top: 6px;">
+          🖌️ ${paintableStats.paintableRemaining.toLocaleString()} paintable by me now${paintableStats.lockedRemaining > 0 ? ` · 🔒 ${paintableStats.lockedRemaining.toLocaleString()} need ${paintableStats.lockedColors} color${paintableStats.lockedColors === 1 ? '' : 's'} you don't own` : ''}
+        </div>` : ''}
       </div>
       <style>
         @keyframes shimmer {
@@ -5428,9 +8394,6 @@ function buildColorFilterOverlay() {
     colorViewContainer.appendChild(colorGrid);
     colorViewContainer.appendChild(colorList);
 
-    // Get current template
-    const currentTemplate = templateManager.templatesArray[0];
-
     // Create color items
     colorPalette.forEach((colorInfo, index) => {
       // Flag to prevent sync loops between grid and list
@@ -5579,7 +8542,9 @@ function buildColorFilterOverlay() {
       `;
 
       const dropletIcon = document.createElement('div');
-      dropletIcon.textContent = "💧";
+      const isColorOwned = templateManager.isColorOwned(colorKey);
+      dropletIcon.textContent = isColorOwned ? "💧" : "🔒";
+      dropletIcon.title = isColorOwned ? 'Premium color' : "Premium color you don't own yet";
       dropletIcon.style.cssText = `
         font-size: 0.7em;
         position: absolute;
@@ -5610,10 +8575,8 @@ function buildColorFilterOverlay() {
         justify-content: center;
       `;
 
-      // Check if color is excluded from progress (check both applied and pending)
-      const appliedExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
-      const pendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(appliedExcluded));
-      const isExcluded = pendingExcluded.includes(colorKey);
+      // Check if color is excluded from progress (pending changes included)
+      const isExcluded = colorFilterPendingExcluded.includes(colorKey);
       
       if (isExcluded) {
         excludeIcon.textContent = "🚫";
@@ -5633,12 +8596,11 @@ function buildColorFilterOverlay() {
 
       excludeIcon.onclick = (e) => {
         e.stopPropagation();
-        const pendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]')));
+        const pendingExcluded = colorFilterPendingExcluded;
         
         if (pendingExcluded.includes(colorKey)) {
           // Remove from pending excluded list
-          const newPendingExcluded = pendingExcluded.filter(c => c !== colorKey);
-          localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(newPendingExcluded));
+          colorFilterPendingExcluded = pendingExcluded.filter(c => c !== colorKey);
           excludeIcon.textContent = "👁️";
           excludeIcon.style.background = 'rgba(0,0,0,0.3)';
           excludeIcon.style.opacity = '0.7';
@@ -5649,7 +8611,6 @@ function buildColorFilterOverlay() {
         } else {
           // Add to pending excluded list
           pendingExcluded.push(colorKey);
-          localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(pendingExcluded));
           excludeIcon.textContent = "🚫";
           excludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
           excludeIcon.style.opacity = '1';
@@ -5661,7 +8622,7 @@ function buildColorFilterOverlay() {
         
         // Show status message (no automatic refresh)
         if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-          overlayMain.handleDisplayStatus(`Color ${pendingExcluded.includes(colorKey) ? 'excluded from' : 'included in'} progress calculation - click Apply Colors to confirm`);
+          overlayMain.handleDisplayStatus(`Color ${colorFilterPendingExcluded.includes(colorKey) ? 'excluded from' : 'included in'} progress calculation - click Apply Colors to confirm`);
         }
       };
 
@@ -6172,9 +9133,7 @@ function buildColorFilterOverlay() {
       `;
 
       // Check if color is excluded (check pending changes)
-      const listAppliedExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
-      const listPendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(listAppliedExcluded));
-      const listIsExcluded = listPendingExcluded.includes(colorKey);
+      const listIsExcluded = colorFilterPendingExcluded.includes(colorKey);
       
       if (listIsExcluded) {
         listExcludeIcon.textContent = "🚫";
@@ -6194,12 +9153,11 @@ function buildColorFilterOverlay() {
 
       listExcludeIcon.onclick = (e) => {
         e.stopPropagation();
-        const pendingExcluded = JSON.parse(localStorage.getItem('bmcf-excluded-colors-pending') || JSON.stringify(JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]')));
+        const pendingExcluded = colorFilterPendingExcluded;
         
         if (pendingExcluded.includes(colorKey)) {
           // Remove from pending excluded list
-          const newPendingExcluded = pendingExcluded.filter(c => c !== colorKey);
-          localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(newPendingExcluded));
+          colorFilterPendingExcluded = pendingExcluded.filter(c => c !== colorKey);
           listExcludeIcon.textContent = "👁️";
           listExcludeIcon.style.background = 'rgba(0,0,0,0.3)';
           listExcludeIcon.style.opacity = '0.7';
@@ -6210,7 +9168,6 @@ function buildColorFilterOverlay() {
         } else {
           // Add to pending excluded list
           pendingExcluded.push(colorKey);
-          localStorage.setItem('bmcf-excluded-colors-pending', JSON.stringify(pendingExcluded));
           listExcludeIcon.textContent = "🚫";
           listExcludeIcon.style.background = 'rgba(244, 67, 54, 0.8)';
           listExcludeIcon.style.opacity = '1';
@@ -6222,7 +9179,7 @@ function buildColorFilterOverlay() {
         
         // Show status message (no automatic refresh)
         if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-          overlayMain.handleDisplayStatus(`Color ${pendingExcluded.includes(colorKey) ? 'excluded from' : 'included in'} progress calculation - click Apply Colors to confirm`);
+          overlayMain.handleDisplayStatus(`Color ${colorFilterPendingExcluded.includes(colorKey) ? 'excluded from' : 'included in'} progress calculation - click Apply Colors to confirm`);
         }
       };
       
@@ -6466,7 +9423,7 @@ function buildColorFilterOverlay() {
       disableAllEnhancedButton.style.transition = 'all 0.1s ease';
       
       try {
-        const tmpl = templateManager.templatesArray?.[0];
+        const tmpl = templateManager.getColorFilterTemplate();
         if (tmpl && tmpl.enhancedColors && tmpl.enhancedColors.size > 0) {
           tmpl.enhancedColors.clear();
           
@@ -6547,25 +9504,17 @@ function buildColorFilterOverlay() {
       applyButton.style.boxShadow = '0 2px 8px rgba(33, 150, 243, 0.3)';
     };
     
-    refreshStatsButton.onclick = () => {
+    refreshStatsButton.onclick = async () => {
       debugLog('[Color Filter] Refreshing statistics...');
       // Apply pending excluded colors changes
-      const pendingExcluded = localStorage.getItem('bmcf-excluded-colors-pending');
-      if (pendingExcluded) {
-        localStorage.setItem('bmcf-excluded-colors', pendingExcluded);
-        localStorage.removeItem('bmcf-excluded-colors-pending');
-      }
+      await applyColorFilterPendingExcluded();
       // Update mini tracker to reflect excluded colors
       updateMiniTracker();
       buildColorFilterOverlay(); // Rebuild overlay with fresh data
     };
     applyButton.onclick = async () => {
       // Apply pending excluded colors changes before closing
-      const pendingExcluded = localStorage.getItem('bmcf-excluded-colors-pending');
-      if (pendingExcluded) {
-        localStorage.setItem('bmcf-excluded-colors', pendingExcluded);
-        localStorage.removeItem('bmcf-excluded-colors-pending');
-      }
+      await applyColorFilterPendingExcluded();
       
       colorFilterOverlay.remove();
       overlayMain.handleDisplayStatus('Applying color filter...');
@@ -6938,7 +9887,7 @@ function buildColorFilterOverlay() {
     
     // Add click handlers usando a lógica que já existe
     disableAllBtn.addEventListener('click', () => {
-      const currentTemplate = templateManager.templatesArray?.[0];
+      const currentTemplate = templateManager.getColorFilterTemplate();
       if (!currentTemplate) return;
       
       // Usar a mesma lógica que já existe no código para desabilitar cores
@@ -6958,7 +9907,7 @@ function buildColorFilterOverlay() {
     });
     
     enableAllBtn.addEventListener('click', () => {
-      const currentTemplate = templateManager.templatesArray?.[0];
+      const currentTemplate = templateManager.getColorFilterTemplate();
       if (!currentTemplate) return;
       
       // Usar a mesma lógica que já existe no código para habilitar cores
@@ -7367,7 +10316,7 @@ function buildColorFilterOverlay() {
       const stats = pixelStats[colorKey] || {};
 
       // Check if color is currently disabled in template
-      const templateInstance = templateManager.templatesArray?.[0];
+      const templateInstance = templateManager.getColorFilterTemplate();
       const isDisabled = templateInstance ? templateInstance.isColorDisabled(color.rgb) : false;
 
       // Get progress data first
@@ -7460,7 +10409,7 @@ function buildColorFilterOverlay() {
       
       enhancedCheckbox.onchange = (e) => {
         e.stopPropagation();
-        const currentTemplate = templateManager.templatesArray?.[0];
+        const currentTemplate = templateManager.getColorFilterTemplate();
         if (!currentTemplate) return;
         
         if (enhancedCheckbox.checked) {
@@ -7526,7 +10475,7 @@ function buildColorFilterOverlay() {
         e.stopPropagation();
         
         // Get current template
-        const currentTemplate = templateManager.templatesArray?.[0];
+        const currentTemplate = templateManager.getColorFilterTemplate();
         if (!currentTemplate) {
           overlayMain.handleDisplayStatus(`No template loaded`);
           return;
@@ -7722,7 +10671,7 @@ function buildColorFilterOverlay() {
       
       // Get fresh data
       const freshPixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
-      const templateInstance = templateManager.templatesArray?.[0];
+      const templateInstance = templateManager.getColorFilterTemplate();
       
       // Update each item
       utils.colorpalette.forEach((color, index) => {
@@ -8080,6 +11029,8 @@ let eKeyModeActive = false;
  * - Status messages appear to confirm actions
  * - Color filter overlay automatically refreshes if open
  * 
+ * Pressing 'N' (outside of text fields) flies to the next wrong or unpainted pixel.
+ * 
  * @since 1.0.0
  */
 function initializeKeyboardShortcuts() {
@@ -8117,6 +11068,17 @@ function initializeKeyboardShortcuts() {
   
   // Handle clicks on color palette buttons when X is pressed
   document.addEventListener('click', handleEKeyColorClick, true);
+
+  // N flies to the next wrong or unpainted pixel
+  document.addEventListener('keydown', (event) => {
+    if (event.code !== 'KeyN' || event.repeat || event.ctrlKey || event.altKey || event.metaKey || event.shiftKey) return;
+    const target = event.target;
+    if (target?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)) return;
+    if (typeof overlayMain === 'undefined') return;
+
+    event.preventDefault();
+    goToNextTarget(overlayMain);
+  });
   
   debugLog('[Keyboard Shortcuts] X+Click shortcut initialized successfully');
 }
@@ -8151,30 +11113,174 @@ function handleEKeyColorClick(event) {
   
   debugLog(`🎹 [X-Mode] Processing color: ${colorId} -> RGB(${rgbColor.join(', ')})`);
   
-  // Get current template
-  const currentTemplate = templateManager.templatesArray?.[0];
-  if (!currentTemplate) {
+  // Target the template(s) on screen, same as smart detection does for progress
+  const targets = templateManager.getDisplayedTemplates();
+  if (targets.length === 0) {
     if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayError) {
       overlayMain.handleDisplayError('🎹 X-Mode: No template loaded');
     }
     return;
   }
   
+  const colorName = colorButton.getAttribute('aria-label') || colorId;
+  if (targets.length === 1) {
+    applyXModeEnhancedColor(targets, rgbColor, colorName);
+  } else {
+    showXModeTemplateChooser(event.clientX, event.clientY, targets, (chosen) => applyXModeEnhancedColor(chosen, rgbColor, colorName));
+  }
+}
+
+/** Whether clicking a template pixel on the map selects its palette color (see initializeAutoSelectColor) */
+let autoSelectColorEnabled = Settings.getAutoSelectColorEnabled();
+
+/** Selects the palette color a template requires when a map pixel covered by it is clicked.
+ * Runs before the site handles the press, so the pixel is placed with the selected color.
+ * Does nothing while the mode is off, in X-Mode, or when the site's palette is not open.
+ * @since 1.0.0
+ */
+function initializeAutoSelectColor() {
+  document.addEventListener('pointerdown', (event) => {
+    if (!autoSelectColorEnabled || eKeyModeActive || event.button !== 0) return;
+
+    const map = unsafeWindow.bmmap;
+    const mapCanvas = map?.getCanvas?.();
+    if (!mapCanvas || event.target !== mapCanvas) return;
+
+    const rect = mapCanvas.getBoundingClientRect();
+    const lngLat = map.unproject([event.clientX - rect.left, event.clientY - rect.top]);
+    const colorKey = templateManager.getTemplateColorAt(latLngToCanvasPos(lngLat.lat, lngLat.lng));
+    if (!colorKey) return;
+
+    const colorId = Object.keys(COLOR_PALETTE_MAP).find(id => COLOR_PALETTE_MAP[id].join(',') === colorKey);
+    const colorButton = colorId && document.getElementById(colorId);
+    if (!colorButton || colorButton.disabled) return;
+
+    colorButton.click();
+    debugLog(`[Auto Color] Selected ${colorId} (${getColorName(colorKey)})`);
+  }, true);
+}
+
+/** Whether the hover inspector follows the cursor over the map (see initializeHoverInspector) */
+let hoverInspectorEnabled = Settings.getHoverInspectorEnabled();
+
+/** Turns the hover inspector on or off and remembers the choice
+ * @param {boolean} enabled - True to show the inspector
+ * @since 1.0.0
+ */
+function setHoverInspectorEnabled(enabled) {
+  hoverInspectorEnabled = enabled;
+  Settings.saveHoverInspectorEnabled(enabled);
+  if (!enabled) {document.getElementById('bm-hover-inspector')?.remove();}
+}
+
+/** Shows a tooltip next to the cursor over the map comparing the template color of the hovered pixel with the canvas.
+ * The canvas color comes from the last tile analysis, so it is only known for analyzed template pixels.
+ * @since 1.0.0
+ */
+function initializeHoverInspector() {
+  let pendingEvent = null;
+
+  const update = () => {
+    const event = pendingEvent;
+    pendingEvent = null;
+
+    const map = unsafeWindow.bmmap;
+    const mapCanvas = map?.getCanvas?.();
+    let tooltip = document.getElementById('bm-hover-inspector');
+    if (!hoverInspectorEnabled || !mapCanvas || event.target !== mapCanvas) {
+      tooltip?.remove();
+      return;
+    }
+
+    const rect = mapCanvas.getBoundingClientRect();
+    const lngLat = map.unproject([event.clientX - rect.left, event.clientY - rect.top]);
+    const coords = latLngToCanvasPos(lngLat.lat, lngLat.lng);
+    const [tileX, tileY, pixelX, pixelY] = coords;
+    const pixel = templateManager.inspectPixel(coords);
+
+    if (!tooltip) {
+      tooltip = document.createElement('div');
+      tooltip.id = 'bm-hover-inspector';
+      tooltip.style.cssText = `
+        position: fixed;
+        padding: 6px 8px;
+        background: rgba(30, 41, 59, 0.95);
+        color: #f1f5f9;
+        border: 1px solid #334155;
+        border-radius: 8px;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.4);
+        z-index: 9999;
+        pointer-events: none;
+        font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 0.75em;
+        line-height: 1.4;
+        white-space: nowrap;
+      `;
+      document.body.appendChild(tooltip);
+    }
+
+    const swatch = (colorKey) => `<span style="display: inline-block; width: 10px; height: 10px; border-radius: 2px; background: rgb(${colorKey}); border: 1px solid rgba(255, 255, 255, 0.3); vertical-align: -1px; margin-right: 4px;"></span>`;
+    const statusLabels = {
+      correct: '<span style="color: #4ade80;">✅ Matches</span>',
+      wrong: '<span style="color: #f87171;">❌ Wrong color</span>',
+      unpainted: '<span style="color: #fbbf24;">⬜ Not painted</span>',
+      unknown: '<span style="color: #94a3b8;">Tile not analyzed yet</span>',
+      none: '<span style="color: #94a3b8;">No template pixel</span>'
+    };
+
+    let canvasLine = '';
+    if (pixel.status === 'correct' || pixel.status === 'wrong') {
+      canvasLine = `<div>Canvas: ${swatch(pixel.actual)}${getColorName(pixel.actual)}</div>`;
+    } else if (pixel.status === 'unpainted') {
+      canvasLine = '<div>Canvas: Transparent</div>';
+    }
+
+    tooltip.innerHTML = `
+      <div style="color: #94a3b8;">Tile ${tileX},${tileY} · Pixel ${pixelX},${pixelY}</div>
+      <div style="color: #94a3b8;">Global ${tileX * templateManager.tileSize + pixelX}, ${tileY * templateManager.tileSize + pixelY}</div>
+      ${pixel.expected ? `<div>Template: ${swatch(pixel.expected)}${getColorName(pixel.expected)}</div>` : ''}
+      ${canvasLine}
+      <div>${statusLabels[pixel.status]}</div>
+    `;
+
+    // Keep the tooltip inside the window
+    const left = Math.min(event.clientX + 16, window.innerWidth - tooltip.offsetWidth - 4);
+    const top = Math.min(event.clientY + 16, window.innerHeight - tooltip.offsetHeight - 4);
+    tooltip.style.left = `${Math.max(0, left)}px`;
+    tooltip.style.top = `${Math.max(0, top)}px`;
+  };
+
+  // At most one update per frame
+  document.addEventListener('pointermove', (event) => {
+    if (!hoverInspectorEnabled) return;
+    if (!pendingEvent) {requestAnimationFrame(update);}
+    pendingEvent = event;
+  }, { passive: true });
+}
+
+/** Makes one color the only enhanced color of the given templates
+ * @param {Array<Template>} templates - Templates to change
+ * @param {Array<number>} rgbColor - The color as [r, g, b]
+ * @param {string} colorName - Name of the color for the status message
+ * @since 1.0.0
+ */
+async function applyXModeEnhancedColor(templates, rgbColor, colorName) {
   try {
-    // Clear all enhanced colors first
-    currentTemplate.enhancedColors.clear();
-    debugLog('🎹 [X-Mode] Cleared all enhanced colors');
-    
-    // Enable enhanced mode for the selected color
-    currentTemplate.enableColorEnhanced(rgbColor);
-    debugLog(`🎹 [X-Mode] Enhanced mode enabled for RGB(${rgbColor.join(', ')})`);
+    for (const template of templates) {
+      // Clear all enhanced colors first
+      template.enhancedColors.clear();
+      
+      // Enable enhanced mode for the selected color
+      template.enableColorEnhanced(rgbColor);
+      await templateManager.updateTemplateWithColorFilter(templateManager.templatesArray.indexOf(template));
+      debugLog(`🎹 [X-Mode] Enhanced mode enabled for RGB(${rgbColor.join(', ')}) on ${template.displayName}`);
+    }
     
     invalidateTemplateCache();
     
     // Visual feedback
-    const colorName = colorButton.getAttribute('aria-label') || colorId;
     if (typeof overlayMain !== 'undefined' && overlayMain.handleDisplayStatus) {
-      overlayMain.handleDisplayStatus(`✅ Enhanced mode enabled for: ${colorName}`);
+      overlayMain.handleDisplayStatus(`✅ Enhanced mode enabled for: ${colorName}${templates.length > 1 ? ` on ${templates.length} templates` : ` on ${templates[0].displayName}`}`);
     }
     
     // Refresh template to apply changes
@@ -8202,6 +11308,85 @@ function handleEKeyColorClick(event) {
   }
 }
 
+/** Shows a small menu at the click position to pick which visible template X-mode should change
+ * @param {number} x - Client X of the click
+ * @param {number} y - Client Y of the click
+ * @param {Array<Template>} templates - The visible templates
+ * @param {function(Array<Template>): void} onChoose - Called with the chosen templates
+ * @since 1.0.0
+ */
+function showXModeTemplateChooser(x, y, templates, onChoose) {
+  document.getElementById('bm-xmode-chooser')?.remove();
+
+  const menu = document.createElement('div');
+  menu.id = 'bm-xmode-chooser';
+  menu.style.cssText = `
+    position: fixed;
+    left: ${Math.min(x, window.innerWidth - 240)}px;
+    top: ${Math.max(10, y - 12 - (templates.length + 2) * 36)}px;
+    width: 220px;
+    background: #1e293b;
+    color: #f1f5f9;
+    border: 1px solid #334155;
+    border-radius: 12px;
+    box-shadow: 0 10px 30px rgba(0, 0, 0, 0.5);
+    padding: 8px;
+    z-index: 10002;
+    display: flex;
+    flex-direction: column;
+    gap: 4px;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 0.85em;
+  `;
+
+  const heading = document.createElement('div');
+  heading.textContent = 'Enhance on which template?';
+  heading.style.cssText = 'color: #94a3b8; padding: 4px 6px;';
+  menu.appendChild(heading);
+
+  const close = () => {
+    menu.remove();
+    document.removeEventListener('mousedown', handleOutside, true);
+    document.removeEventListener('keydown', handleEscape, true);
+  };
+  const handleOutside = (e) => {
+    if (!menu.contains(e.target)) {close();}
+  };
+  const handleEscape = (e) => {
+    if (e.key === 'Escape') {close();}
+  };
+
+  const addOption = (label, chosen, highlight = false) => {
+    const option = document.createElement('button');
+    option.textContent = label;
+    option.style.cssText = `
+      text-align: left;
+      padding: 8px 10px;
+      border: none;
+      border-radius: 8px;
+      cursor: pointer;
+      color: white;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      white-space: nowrap;
+      background: ${highlight ? 'linear-gradient(135deg, #3b82f6, #2563eb)' : '#334155'};
+    `;
+    option.onclick = (e) => {
+      e.stopPropagation();
+      close();
+      onChoose(chosen);
+    };
+    menu.appendChild(option);
+  };
+
+  templates.forEach(template => addOption(template.displayName || `${template.sortID} ${template.authorID}`, [template]));
+  addOption(`All ${templates.length} visible templates`, templates, true);
+
+  document.body.appendChild(menu);
+  document.addEventListener('mousedown', handleOutside, true);
+  document.addEventListener('keydown', handleEscape, true);
+}
+
 // Make functions globally available
 window.refreshColorFilterOverlay = refreshColorFilterOverlay;
 window.forceTemplateRedraw = forceTemplateRedraw;
@@ -8332,7 +11517,7 @@ async function refreshTemplateDisplay() {
       debugLog('Starting template refresh with color filter...');
       
       // Get the current template
-      const currentTemplate = templateManager.templatesArray[0];
+      const currentTemplate = templateManager.getColorFilterTemplate();
       debugLog('Current disabled colors:', currentTemplate.getDisabledColors());
       
       // Invalidate enhanced cache when colors change
@@ -8346,7 +11531,7 @@ async function refreshTemplateDisplay() {
       
       // Force recreation of template tiles with current color filter
       debugLog('Recreating template tiles with color filter...');
-      await templateManager.updateTemplateWithColorFilter(0);
+      await templateManager.updateTemplateWithColorFilter();
       
       // Re-enable templates to show the updated version
       templateManager.setTemplatesShouldBeDrawn(true);
@@ -8972,20 +12157,16 @@ function updateMiniTracker() {
   let totalRequired = 0;
   let totalPainted = 0;
   let totalNeedCrosshair = 0;
+  let paintableStats = null;
   
   if (templateManager.templatesArray && templateManager.templatesArray.length > 0) {
     // Use templateManager.calculateRemainingPixelsByColor() like the main progress bar does
     const pixelStats = templateManager.calculateRemainingPixelsByColor(0, true); // Only enabled templates
     
-    // Get excluded colors from localStorage (same as main progress bar)
-    const excludedColors = JSON.parse(localStorage.getItem('bmcf-excluded-colors') || '[]');
+    // Excluded colors are left out of the per-color stats (see calculateRemainingPixelsByColor)
+    paintableStats = templateManager.getPaintableByMeStats(pixelStats);
     
-    for (const [colorKey, stats] of Object.entries(pixelStats)) {
-      // Skip excluded colors from mini tracker calculation too
-      if (excludedColors.includes(colorKey)) {
-        continue;
-      }
-      
+    for (const stats of Object.values(pixelStats)) {
       totalRequired += stats.totalRequired || 0;
       totalPainted += stats.painted || 0;
       totalNeedCrosshair += stats.needsCrosshair || 0;
@@ -8994,6 +12175,7 @@ function updateMiniTracker() {
   
   const progressPercentage = totalRequired > 0 ? Math.round((totalPainted / totalRequired) * 100) : 0;
   const remaining = totalRequired - totalPainted;
+  const staleTiles = templateManager.getStaleTileSummary();
   
   // Create or update tracker
   let tracker = existingTracker;
@@ -9070,6 +12252,8 @@ function updateMiniTracker() {
         <div class="tracker-bar" style="width: ${progressPercentage}%;"></div>
       </div>
       <div class="tracker-left">${totalNeedCrosshair.toLocaleString()} Pixels Left</div>
+      ${paintableStats?.known && paintableStats.lockedRemaining > 0 ? `<div class="tracker-paintable">🖌️ ${paintableStats.paintableRemaining.toLocaleString()} paintable by me now · 🔒 ${paintableStats.lockedRemaining.toLocaleString()} locked</div>` : ''}
+      ${staleTiles.count > 0 ? `<div class="tracker-stale" title="Saved on a previous visit, these tiles are counted again when they are viewed or scanned">⏳ ${staleTiles.count} tile${staleTiles.count === 1 ? '' : 's'} from ${formatDuration(Date.now() - staleTiles.oldest)} ago, not rechecked yet</div>` : ''}
     `;
   }
   
@@ -9121,6 +12305,21 @@ function updateMiniTracker() {
       font-weight: 600;
       line-height: 1.2;
     }
+    .tracker-paintable {
+      font-size: 0.75rem;
+      color: #94a3b8;
+      grid-row: 5;
+      width: 100%;
+      text-align: left;
+      line-height: 1.2;
+    }
+    .tracker-stale {
+      font-size: 0.75rem;
+      color: #fbbf24;
+      width: 100%;
+      text-align: left;
+      line-height: 1.2;
+    }
   `;
   // Remove existing styles and add updated ones to ensure state changes are reflected
   const existingStyle = document.getElementById('tracker-styles');
@@ -9275,12 +12474,32 @@ function startCompactListAutoUpdate() {
   debugLog('📌 Compact list auto-update started (every 5 seconds)');
 }
 
+// Auto-update template completion estimate every 5 seconds while it is shown
+let templateEtaAutoUpdateInterval = null;
+
+function startTemplateEtaAutoUpdate() {
+  // Clear existing interval if any
+  if (templateEtaAutoUpdateInterval) {
+    clearInterval(templateEtaAutoUpdateInterval);
+  }
+
+  templateEtaAutoUpdateInterval = setInterval(() => {
+    const eta = document.getElementById('bm-user-eta');
+    if (eta && eta.style.display !== 'none' && templateManager?.templatesArray?.length > 0) {
+      apiManager.updateTemplateEtaDisplay(overlayMain);
+    }
+  }, 5000); // Update every 5 seconds
+
+  debugLog('Template ETA auto-update started (every 5 seconds)');
+}
+
 // Start auto-update when page loads
 setTimeout(() => {
   startMiniTrackerAutoUpdate();
   startLeftBadgesAutoUpdate();
   startColorMenuAutoUpdate();
   startCompactListAutoUpdate();
+  startTemplateEtaAutoUpdate();
   
   // Pin functionality removed - Color Toggle is now just a simple toggle without persistence
 }, 2000); // Start after 2 seconds to let everything initialize
@@ -9362,7 +12581,7 @@ let skipNextColorMenuUpdate = false;
  * @since 1.0.0
  */
 function hasColorDataChanged() {
-  const currentTemplate = templateManager?.templatesArray?.[0];
+  const currentTemplate = templateManager?.getColorFilterTemplate();
   
   if (!currentTemplate) {
     // If no template now but had one before, data changed
@@ -9403,7 +12622,7 @@ function hasColorDataChanged() {
  * @since 1.0.0
  */
 function updateColorMenuCache() {
-  const currentTemplate = templateManager?.templatesArray?.[0];
+  const currentTemplate = templateManager?.getColorFilterTemplate();
   
   if (!currentTemplate) {
     clearColorMenuCache();
@@ -9517,7 +12736,7 @@ function updateColorMenuDisplay(resetFilters = true, forceUpdate = false) {
   colorList.innerHTML = '';
   
   // Get current template (use global templateManager like color filter does)
-  const currentTemplate = templateManager?.templatesArray?.[0];
+  const currentTemplate = templateManager?.getColorFilterTemplate();
   
   if (!currentTemplate) {
     colorList.innerHTML = '<p style="margin: 0; color: #888; text-align: center;">No template loaded</p>';
@@ -9623,7 +12842,7 @@ function updateColorMenuDisplay(resetFilters = true, forceUpdate = false) {
         }
         
         invalidateTemplateCache();
-        templateManager.updateTemplateWithColorFilter(0);
+        templateManager.updateTemplateWithColorFilter();
         
         colorItem.setAttribute('data-enhanced', enhancedCheckbox.checked ? '1' : '0');
         
@@ -9679,7 +12898,7 @@ function updateColorMenuDisplay(resetFilters = true, forceUpdate = false) {
         colorItem.setAttribute('data-disabled', newDisabled ? '1' : '0');
         
         invalidateTemplateCache();
-        templateManager.updateTemplateWithColorFilter(0);
+        templateManager.updateTemplateWithColorFilter();
         
         if (colorMenuCache.templateId) {
           const newDisabledColors = (currentTemplate.getDisabledColors?.() || []).sort().join(',');
@@ -9891,7 +13110,7 @@ function setupColorMenuFilters(resetFilters) {
   const toggleAllBtn = document.getElementById('bm-color-toggle-all');
   if (toggleAllBtn && !toggleAllBtn._bmToggleListenerAdded) {
     toggleAllBtn.addEventListener('click', () => {
-      const currentTemplate = templateManager?.templatesArray?.[0];
+      const currentTemplate = templateManager?.getColorFilterTemplate();
       if (!currentTemplate) return;
       
       const items = Array.from(colorList.querySelectorAll('.bm-color-item'));
@@ -9920,7 +13139,7 @@ function setupColorMenuFilters(resetFilters) {
       });
       
       invalidateTemplateCache();
-      templateManager.updateTemplateWithColorFilter(0);
+      templateManager.updateTemplateWithColorFilter();
       
       if (colorMenuCache.templateId) {
         const newDisabledColors = (currentTemplate.getDisabledColors?.() || []).sort().join(',');
@@ -10167,6 +13386,7 @@ function buildCrosshairSettingsOverlay() {
     let tempMiniTrackerEnabled = getMiniTrackerEnabled();
     let tempMobileMode = getMobileMode();
     let tempShowLeftOnColor = getShowLeftOnColorEnabled();
+    let tempAutoSelectColor = Settings.getAutoSelectColorEnabled();
 
     // Create the settings overlay
     const settingsOverlay = document.createElement('div');
@@ -11560,6 +14780,7 @@ function buildCrosshairSettingsOverlay() {
       tempCollapseMinEnabled !== currentCollapseSaved ||
       tempMobileMode !== currentMobileSaved ||
       tempShowLeftOnColor !== getShowLeftOnColorEnabled() ||
+      tempAutoSelectColor !== Settings.getAutoSelectColorEnabled() ||
       tempNavigationMethod !== Settings.getNavigationMethod();
     
     if (hasChanges) {
@@ -11622,6 +14843,8 @@ function buildCrosshairSettingsOverlay() {
       saveCollapseMinEnabled(tempCollapseMinEnabled);
       saveMobileMode(tempMobileMode);
       saveShowLeftOnColorEnabled(tempShowLeftOnColor);
+      Settings.saveAutoSelectColorEnabled(tempAutoSelectColor);
+      autoSelectColorEnabled = tempAutoSelectColor;
       Settings.saveNavigationMethod(tempNavigationMethod);
       saveDebugLoggingEnabled(tempDebugEnabled);
       
@@ -11792,6 +15015,7 @@ function buildCrosshairSettingsOverlay() {
   checkboxContainer.appendChild(createVisibilityCheckbox('bmShowDroplets', 'Droplets', 'bm-user-droplets'));
   checkboxContainer.appendChild(createVisibilityCheckbox('bmShowNextLevel', 'Next Level', 'bm-user-nextlevel'));
   checkboxContainer.appendChild(createVisibilityCheckbox('bmShowFullCharge', 'Full Charge', 'bm-user-fullcharge'));
+  checkboxContainer.appendChild(createVisibilityCheckbox('bmShowTemplateEta', 'Template ETA', 'bm-user-eta'));
   checkboxContainer.appendChild(createVisibilityCheckbox('bmShowColorMenu', 'Color Menu (Beta Test)', 'bm-color-menu'));
   
 
@@ -11894,8 +15118,79 @@ function buildCrosshairSettingsOverlay() {
   leftOnColorSection.appendChild(leftOnColorLabel);
   leftOnColorSection.appendChild(leftOnColorDescription);
   leftOnColorSection.appendChild(leftOnColorToggle);
+
+  // Auto select color section
+  const autoColorSection = document.createElement('div');
+  autoColorSection.style.cssText = `
+    background: linear-gradient(135deg, var(--slate-800), var(--slate-750));
+    border: 1px solid var(--slate-700);
+    border-radius: ${sectionBorderRadius};
+    padding: ${sectionPadding};
+    margin-bottom: ${sectionMargin};
+    position: relative;
+    z-index: 1;
+  `;
+  const autoColorLabel = document.createElement('div');
+  autoColorLabel.textContent = 'Auto Select Template Color:';
+  autoColorLabel.style.cssText = `
+    font-size: 1em; 
+    margin-bottom: 12px; 
+    color: var(--slate-200);
+    font-weight: 600;
+    letter-spacing: -0.01em;
+  `;
+  const autoColorDescription = document.createElement('div');
+  autoColorDescription.textContent = 'Clicking a map pixel covered by a template selects the palette color the template requires there.';
+  autoColorDescription.style.cssText = `
+    font-size: 0.9em; 
+    color: var(--slate-300); 
+    margin-bottom: 16px; 
+    line-height: 1.4;
+    letter-spacing: -0.005em;
+  `;
+  const autoColorToggle = document.createElement('div');
+  autoColorToggle.style.cssText = `
+    display: flex;
+    align-items: center;
+    gap: 8px;
+  `;
+  const autoColorCheckbox = document.createElement('input');
+  autoColorCheckbox.type = 'checkbox';
+  autoColorCheckbox.checked = tempAutoSelectColor;
+  autoColorCheckbox.style.cssText = `
+    width: 16px;
+    height: 16px;
+    cursor: pointer;
+  `;
+  const autoColorToggleText = document.createElement('span');
+  autoColorToggleText.textContent = tempAutoSelectColor ? 'Enabled' : 'Disabled';
+  autoColorToggleText.style.cssText = `
+    color: ${tempAutoSelectColor ? '#4caf50' : '#f44336'};
+    font-weight: bold;
+    cursor: pointer;
+  `;
+  // Only update visual state, actual saving happens on Apply
+  const updateAutoColorState = () => {
+    tempAutoSelectColor = autoColorCheckbox.checked;
+    autoColorToggleText.textContent = tempAutoSelectColor ? 'Enabled' : 'Disabled';
+    autoColorToggleText.style.color = tempAutoSelectColor ? '#4caf50' : '#f44336';
+  };
+  autoColorCheckbox.addEventListener('change', updateAutoColorState);
+  autoColorToggleText.onclick = (e) => {
+    e.stopPropagation();
+    autoColorCheckbox.checked = !autoColorCheckbox.checked;
+    updateAutoColorState();
+  };
+  autoColorToggle.style.cursor = 'default';
+  autoColorToggle.appendChild(autoColorCheckbox);
+  autoColorToggle.appendChild(autoColorToggleText);
+  autoColorSection.appendChild(autoColorLabel);
+  autoColorSection.appendChild(autoColorDescription);
+  autoColorSection.appendChild(autoColorToggle);
+
   contentContainer.appendChild(mobileSection);
   contentContainer.appendChild(leftOnColorSection);
+  contentContainer.appendChild(autoColorSection);
   contentContainer.appendChild(collapseSection);
 
   // Navigation method section
@@ -12280,6 +15575,120 @@ function buildCrosshairSettingsOverlay() {
   debugSection.appendChild(debugToggle);
   contentContainer.appendChild(debugSection);
 
+  // Settings profile section
+  const profileSection = document.createElement('div');
+  profileSection.style.cssText = `
+    background: linear-gradient(135deg, var(--slate-800), var(--slate-750));
+    border: 1px solid var(--slate-700);
+    border-radius: ${sectionBorderRadius};
+    padding: ${sectionPadding};
+    margin-bottom: ${sectionMargin};
+    position: relative;
+    z-index: 1;
+  `;
+
+  const profileLabel = document.createElement('h3');
+  profileLabel.textContent = 'Settings Profile';
+  profileLabel.style.cssText = `
+    margin: 0 0 8px 0;
+    color: var(--slate-100);
+    font-size: 1em;
+    font-weight: 700;
+    letter-spacing: -0.01em;
+  `;
+
+  const profileDescription = document.createElement('p');
+  profileDescription.textContent = 'Export all saved settings as one file and import them in another browser. Templates are not included.';
+  profileDescription.style.cssText = `
+    margin: 0 0 16px 0;
+    color: var(--slate-400);
+    font-size: 0.85em;
+    line-height: 1.4;
+  `;
+
+  const profileButtons = document.createElement('div');
+  profileButtons.style.cssText = 'display: flex; gap: 8px;';
+
+  const profileButtonStyle = `
+    flex: 1;
+    padding: 8px 12px;
+    border: 1px solid var(--slate-600);
+    border-radius: 6px;
+    cursor: pointer;
+    font-size: 0.9em;
+    font-weight: 600;
+    background: var(--slate-900);
+    color: var(--slate-300);
+  `;
+
+  const profileExportButton = document.createElement('button');
+  profileExportButton.textContent = 'Export';
+  profileExportButton.style.cssText = profileButtonStyle;
+  profileExportButton.onclick = () => {
+    const profile = Settings.exportSettingsProfile(version);
+    const url = URL.createObjectURL(new Blob([JSON.stringify(profile, null, 2)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `bluemarble_settings_${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    overlayMain.handleDisplayStatus(`Exported ${Object.keys(profile.settings).length} settings`);
+  };
+
+  const profileFileInput = document.createElement('input');
+  profileFileInput.type = 'file';
+  profileFileInput.accept = '.json,application/json';
+  profileFileInput.style.display = 'none';
+  profileFileInput.onchange = async () => {
+    const file = profileFileInput.files?.[0];
+    profileFileInput.value = '';
+    if (!file) {return;}
+
+    let checked;
+    try {
+      checked = Settings.validateSettingsProfile(JSON.parse(await file.text()));
+    } catch (error) {
+      console.error('Failed to read settings profile:', error);
+      overlayMain.handleDisplayError(error instanceof SyntaxError ? 'This file is not valid JSON' : error.message);
+      return;
+    }
+
+    const count = Object.keys(checked.settings).length;
+    if (count === 0) {
+      overlayMain.handleDisplayError('The profile has no settings this version can use');
+      return;
+    }
+    const scannerServer = checked.settings.bmTileScanner?.tileServer;
+    const details = [
+      scannerServer ? `Tile scanner server:\n• ${scannerServer}` : '',
+      checked.migrated.length ? `Updated:\n${checked.migrated.map(change => `• ${change}`).join('\n')}` : '',
+      checked.skipped.length ? `Left out:\n${checked.skipped.map(({ key, reason }) => `• ${key} (${reason})`).join('\n')}` : ''
+    ].filter(Boolean).join('\n\n');
+
+    showCustomConfirmDialog(
+      'Import Settings?',
+      `This replaces ${count} setting${count === 1 ? '' : 's'} with the ones from ${file.name}.${details ? `\n\n${details}` : ''}\n\nThe page reloads afterwards.`,
+      () => {
+        Settings.importSettingsProfile(checked.settings);
+        overlayMain.handleDisplayStatus(`Imported ${count} settings. Reloading...`);
+        setTimeout(() => window.location.reload(), 1000);
+      }
+    );
+  };
+
+  const profileImportButton = document.createElement('button');
+  profileImportButton.textContent = 'Import';
+  profileImportButton.style.cssText = profileButtonStyle;
+  profileImportButton.onclick = () => profileFileInput.click();
+
+  profileButtons.appendChild(profileExportButton);
+  profileButtons.appendChild(profileImportButton);
+  profileSection.appendChild(profileLabel);
+  profileSection.appendChild(profileDescription);
+  profileSection.appendChild(profileButtons);
+  profileSection.appendChild(profileFileInput);
+  contentContainer.appendChild(profileSection);
+
   settingsOverlay.appendChild(contentContainer);
   settingsOverlay.appendChild(footerContainer);
   document.body.appendChild(settingsOverlay);
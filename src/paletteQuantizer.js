@@ -0,0 +1,195 @@
+/** @file Palette quantizer for template images
+ * Snaps arbitrary images to the Wplace palette with optional dithering
+ * @since 1.0.0
+ */
+
+import { colorpalette } from './utils.js';
+
+/** Supported quantization methods, keyed by the value stored in settings/options */
+export const QUANTIZE_METHODS = {
+  'nearest': 'Nearest color',
+  'floyd-steinberg': 'Floyd–Steinberg dithering',
+  'ordered': 'Ordered (Bayer 4×4) dithering'
+};
+
+/** Alpha values below this are treated as transparent (matches template drawing) */
+const ALPHA_THRESHOLD = 64;
+
+/** 4×4 Bayer matrix used by ordered dithering */
+const BAYER_4X4 = [
+  [ 0,  8,  2, 10],
+  [12,  4, 14,  6],
+  [ 3, 11,  1,  9],
+  [15,  7, 13,  5]
+];
+
+/** Strength of the ordered dithering offset (in RGB units) */
+const ORDERED_SPREAD = 48;
+
+/** Returns the palette colors that the quantizer may use.
+ * Transparent (index 0) is never part of the result.
+ * @param {Object} [options={}] - Palette options
+ * @param {boolean} [options.freeOnly=false] - Only include free colors
+ * @param {Array<string>} [options.allowedColors] - Optional whitelist of "r,g,b" keys
+ * @returns {Array<Array<number>>} Array of [r, g, b] colors
+ * @since 1.0.0
+ */
+export function getQuantizePalette({ freeOnly = false, allowedColors } = {}) {
+  const allowed = allowedColors ? new Set(allowedColors) : null;
+  return colorpalette
+    .filter(color => color.name !== 'Transparent')
+    .filter(color => !freeOnly || color.free)
+    .filter(color => !allowed || allowed.has(color.rgb.join(',')))
+    .map(color => color.rgb);
+}
+
+/** Finds the palette color closest to the given RGB value.
+ * Uses the "redmean" weighted distance, which tracks perceived difference better than plain RGB.
+ * @param {number} r - Red channel
+ * @param {number} g - Green channel
+ * @param {number} b - Blue channel
+ * @param {Array<Array<number>>} palette - Array of [r, g, b] colors
+ * @returns {Array<number>} The closest [r, g, b] color
+ * @since 1.0.0
+ */
+export function findNearestPaletteColor(r, g, b, palette) {
+  let best = palette[0];
+  let bestDistance = Infinity;
+
+  for (const color of palette) {
+    const rMean = (r + color[0]) / 2;
+    const dr = r - color[0];
+    const dg = g - color[1];
+    const db = b - color[2];
+    const distance = (2 + rMean / 256) * dr * dr + 4 * dg * dg + (2 + (255 - rMean) / 256) * db * db;
+
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = color;
+      if (distance === 0) {break;}
+    }
+  }
+
+  return best;
+}
+
+/** Clamps a channel value to 0-255
+ * @param {number} value - Channel value
+ * @returns {number} Clamped value
+ * @since 1.0.0
+ */
+function clampChannel(value) {
+  return value < 0 ? 0 : value > 255 ? 255 : value;
+}
+
+/** Quantizes image data to the palette.
+ * Pixels below the alpha threshold become fully transparent, all others become fully opaque palette colors.
+ * @param {ImageData} imageData - Source image data (left untouched)
+ * @param {Object} [options={}] - Quantization options
+ * @param {string} [options.method='nearest'] - One of the keys of {@link QUANTIZE_METHODS}
+ * @param {Array<Array<number>>} [options.palette] - Palette to use, defaults to the full palette
+ * @returns {{imageData: ImageData, changedPixels: number, opaquePixels: number}} Quantized copy and statistics
+ * @since 1.0.0
+ */
+export function quantizeImageData(imageData, { method = 'nearest', palette = getQuantizePalette() } = {}) {
+  if (!palette.length) {throw new Error('Cannot quantize with an empty palette');}
+  if (!QUANTIZE_METHODS[method]) {throw new Error(`Unknown quantize method "${method}"`);}
+
+  const { width, height, data: source } = imageData;
+  const output = new ImageData(new Uint8ClampedArray(source), width, height);
+  const data = output.data;
+
+  // Floyd–Steinberg works on a float copy so the diffused error is not rounded away
+  const work = method === 'floyd-steinberg' ? Float32Array.from(source) : null;
+
+  let changedPixels = 0;
+  let opaquePixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+
+      if (source[i + 3] < ALPHA_THRESHOLD) {
+        if (source[i + 3] !== 0) {changedPixels++;}
+        data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+        continue;
+      }
+      opaquePixels++;
+
+      let r = source[i];
+      let g = source[i + 1];
+      let b = source[i + 2];
+
+      if (work) {
+        r = clampChannel(work[i]);
+        g = clampChannel(work[i + 1]);
+        b = clampChannel(work[i + 2]);
+      } else if (method === 'ordered') {
+        const offset = (BAYER_4X4[y % 4][x % 4] / 16 - 0.5) * ORDERED_SPREAD;
+        r = clampChannel(r + offset);
+        g = clampChannel(g + offset);
+        b = clampChannel(b + offset);
+      }
+
+      const [nr, ng, nb] = findNearestPaletteColor(r, g, b, palette);
+      data[i] = nr;
+      data[i + 1] = ng;
+      data[i + 2] = nb;
+      data[i + 3] = 255;
+
+      if (nr !== source[i] || ng !== source[i + 1] || nb !== source[i + 2] || source[i + 3] !== 255) {
+        changedPixels++;
+      }
+
+      if (work) {
+        const errR = r - nr;
+        const errG = g - ng;
+        const errB = b - nb;
+        const spread = (dx, dy, factor) => {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height) {return;}
+          const j = (ny * width + nx) * 4;
+          if (source[j + 3] < ALPHA_THRESHOLD) {return;} // Don't bleed error into transparent areas
+          work[j] += errR * factor;
+          work[j + 1] += errG * factor;
+          work[j + 2] += errB * factor;
+        };
+        spread(1, 0, 7 / 16);
+        spread(-1, 1, 3 / 16);
+        spread(0, 1, 5 / 16);
+        spread(1, 1, 1 / 16);
+      }
+    }
+  }
+
+  return { imageData: output, changedPixels, opaquePixels };
+}
+
+/** Quantizes an image file/blob to the palette and re-encodes it as PNG.
+ * @param {Blob} blob - The source image
+ * @param {Object} [options={}] - Options passed to {@link quantizeImageData}
+ * @returns {Promise<{blob: Blob, changedPixels: number, opaquePixels: number, width: number, height: number}>} The quantized PNG and statistics
+ * @since 1.0.0
+ */
+export async function quantizeImageBlob(blob, options = {}) {
+  const bitmap = await createImageBitmap(blob);
+  const { width, height } = bitmap;
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.imageSmoothingEnabled = false;
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+
+  const result = quantizeImageData(context.getImageData(0, 0, width, height), options);
+  context.putImageData(result.imageData, 0, 0);
+
+  return {
+    blob: await canvas.convertToBlob({ type: 'image/png' }),
+    changedPixels: result.changedPixels,
+    opaquePixels: result.opaquePixels,
+    width,
+    height
+  };
+}
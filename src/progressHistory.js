@@ -0,0 +1,139 @@
+/** @file Progress history for templates
+ * Records painted/required/wrong totals over time and projects a completion date
+ * @since 1.0.0
+ */
+
+import { debugLog } from './utils.js';
+import { readStoredJSON, writeStoredJSON } from './storedJSON.js';
+
+/** Storage key of the history ({ [templateKey]: Array<Sample> }) */
+const HISTORY_KEY = 'bmProgressHistory';
+
+/** Minimum time between two samples of the same template unless the totals changed */
+const MIN_SAMPLE_INTERVAL_MS = 60 * 60 * 1000;
+
+/** Minimum time between two samples of the same template */
+const MIN_CHANGE_INTERVAL_MS = 5 * 60 * 1000;
+
+/** Maximum samples kept per template, oldest are dropped first */
+const MAX_SAMPLES = 2000;
+
+/** Time window used for the painting rate */
+const RATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/** Reads the whole history from storage
+ * Changes to the returned value must be written back, it can be the copy waiting to be saved
+ * @returns {Object<string, Array<{t: number, painted: number, required: number, wrong: number}>>} Samples per template key
+ * @since 1.0.0
+ */
+export function getProgressHistory() {
+  return readStoredJSON(HISTORY_KEY, {});
+}
+
+/** Writes the whole history to storage
+ * @param {Object<string, Array<Object>>} history - Samples per template key
+ * @since 1.0.0
+ */
+function saveProgressHistory(history) {
+  writeStoredJSON(HISTORY_KEY, history);
+}
+
+/** Records progress samples for several templates at once.
+ * A template gets a new sample when its totals changed (at most every 5 minutes) or once an hour otherwise.
+ * @param {Object<string, {painted: number, required: number, wrong: number}>} totals - Current totals per template key
+ * @param {number} [now=Date.now()] - Timestamp of the samples
+ * @returns {number} Number of samples recorded
+ * @since 1.0.0
+ */
+export function recordProgressSamples(totals, now = Date.now()) {
+  const history = getProgressHistory();
+  let recorded = 0;
+
+  for (const [templateKey, { painted, required, wrong }] of Object.entries(totals)) {
+    const samples = history[templateKey] || (history[templateKey] = []);
+    const last = samples[samples.length - 1];
+
+    if (last) {
+      const elapsed = now - last.t;
+      const changed = last.painted !== painted || last.required !== required || last.wrong !== wrong;
+      if (elapsed < MIN_CHANGE_INTERVAL_MS || (!changed && elapsed < MIN_SAMPLE_INTERVAL_MS)) {continue;}
+    }
+
+    samples.push({ t: now, painted, required, wrong });
+    if (samples.length > MAX_SAMPLES) {samples.splice(0, samples.length - MAX_SAMPLES);}
+    recorded++;
+  }
+
+  if (recorded > 0) {
+    saveProgressHistory(history);
+    debugLog(`[Progress History] Recorded ${recorded} sample(s)`);
+  }
+  return recorded;
+}
+
+/** Moves history to new template keys (after templates were reordered)
+ * @param {Object<string, string>} keyMap - Old template key to new template key
+ * @since 1.0.0
+ */
+export function remapProgressHistory(keyMap) {
+  const history = getProgressHistory();
+  const remapped = {};
+  for (const [templateKey, samples] of Object.entries(history)) {
+    remapped[keyMap[templateKey] || templateKey] = samples;
+  }
+  saveProgressHistory(remapped);
+}
+
+/** Deletes the history of a template
+ * @param {string} templateKey - The template key ("sortID authorID")
+ * @since 1.0.0
+ */
+export function deleteProgressHistory(templateKey) {
+  const history = getProgressHistory();
+  if (!history[templateKey]) {return;}
+  delete history[templateKey];
+  saveProgressHistory(history);
+}
+
+/** Deletes the history of templates that no longer exist
+ * @param {Array<string>} templateKeys - Keys of the templates to keep
+ * @returns {number} Number of templates whose history was deleted
+ * @since 1.0.0
+ */
+export function pruneProgressHistory(templateKeys) {
+  const history = getProgressHistory();
+  const removed = Object.keys(history).filter(templateKey => !templateKeys.includes(templateKey));
+  if (!removed.length) {return 0;}
+  removed.forEach(templateKey => delete history[templateKey]);
+  saveProgressHistory(history);
+  return removed.length;
+}
+
+/** Projects when a template will be finished from its recent painting rate.
+ * The rate is the net change of correctly painted pixels over the last 24 hours of samples.
+ * @param {Array<{t: number, painted: number, required: number}>} samples - The template's samples, oldest first
+ * @returns {{rate: number, remaining: number, eta: Date|null}|null} Pixels per hour, remaining pixels and estimated completion (null when not progressing), or null without enough samples
+ * @since 1.0.0
+ */
+export function estimateCompletion(samples) {
+  if (!samples || samples.length < 2) {return null;}
+
+  const latest = samples[samples.length - 1];
+  const windowStart = latest.t - RATE_WINDOW_MS;
+  const first = samples.find(sample => sample.t >= windowStart && sample.t < latest.t) || samples[samples.length - 2];
+
+  const hours = (latest.t - first.t) / (60 * 60 * 1000);
+  if (hours <= 0) {return null;}
+
+  const rate = (latest.painted - first.painted) / hours;
+  const remaining = Math.max(0, latest.required - latest.painted);
+
+  let eta = null;
+  if (remaining === 0) {
+    eta = new Date(latest.t);
+  } else if (rate > 0) {
+    eta = new Date(latest.t + (remaining / rate) * 60 * 60 * 1000);
+  }
+
+  return { rate, remaining, eta };
+}
@@ -4,6 +4,7 @@
  */
 
 import { debugLog } from './utils.js';
+import { QUANTIZE_METHODS } from './paletteQuantizer.js';
 
 /** Helper function to invalidate tile cache when settings change
  * @since 1.0.0
@@ -648,3 +649,598 @@ export function saveCompactSort(sortValue) {
         localStorage.setItem('bmcf-compact-sort', sortValue); // keep old key as backup
     } catch { }
 }
+
+/** Gets the palette conversion settings applied when creating templates
+ * @returns {{method: string, palette: string}} Method ('none' or a paletteQuantizer method) and palette ('all', 'free' or 'owned')
+ * @since 1.0.0
+ */
+export function getTemplateQuantizeSettings() {
+  const defaults = { method: 'none', palette: 'all' };
+  try {
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmTemplateQuantize', null);
+      if (saved !== null) return { ...defaults, ...JSON.parse(saved) };
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem('bmTemplateQuantize');
+    if (saved !== null) return { ...defaults, ...JSON.parse(saved) };
+  } catch (error) {
+    console.warn('Failed to load template quantize settings:', error);
+  }
+  return defaults;
+}
+
+/** Saves the palette conversion settings applied when creating templates
+ * @param {{method: string, palette: string}} settings - The settings to save
+ * @since 1.0.0
+ */
+export function saveTemplateQuantizeSettings(settings) {
+  try {
+    const settingsString = JSON.stringify(settings);
+
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmTemplateQuantize', settingsString);
+    }
+
+    // Also save to localStorage as backup
+    localStorage.setItem('bmTemplateQuantize', settingsString);
+
+    debugLog('Template quantize settings saved:', settings);
+  } catch (error) {
+    console.error('Failed to save template quantize settings:', error);
+  }
+}
+
+/** Gets how often URL templates are re-downloaded
+ * @returns {number} Minutes between checks (0 = never)
+ * @since 1.0.0
+ */
+export function getRemoteTemplateRefreshMinutes() {
+  try {
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmRemoteTemplateRefresh', null);
+      if (saved !== null) return JSON.parse(saved);
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem('bmRemoteTemplateRefresh');
+    if (saved !== null) return JSON.parse(saved);
+  } catch (error) {
+    console.warn('Failed to load remote template refresh setting:', error);
+  }
+  return 10;
+}
+
+/** Saves how often URL templates are re-downloaded
+ * @param {number} minutes - Minutes between checks (0 = never)
+ * @since 1.0.0
+ */
+export function saveRemoteTemplateRefreshMinutes(minutes) {
+  try {
+    const minutesString = JSON.stringify(minutes);
+
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmRemoteTemplateRefresh', minutesString);
+    }
+
+    // Also save to localStorage as backup
+    localStorage.setItem('bmRemoteTemplateRefresh', minutesString);
+
+    debugLog('Remote template refresh interval saved:', minutes);
+  } catch (error) {
+    console.error('Failed to save remote template refresh setting:', error);
+  }
+}
+
+/** Gets how many painters the template completion estimate assumes
+ * @returns {number} Number of painters (at least 1)
+ * @since 1.0.0
+ */
+export function getPainterCount() {
+  try {
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmPainterCount', null);
+      if (saved !== null) return JSON.parse(saved);
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem('bmPainterCount');
+    if (saved !== null) return JSON.parse(saved);
+  } catch (error) {
+    console.warn('Failed to load painter count:', error);
+  }
+  return 1;
+}
+
+/** Saves how many painters the template completion estimate assumes
+ * @param {number} count - Number of painters (at least 1)
+ * @since 1.0.0
+ */
+export function savePainterCount(count) {
+  try {
+    const countString = JSON.stringify(count);
+
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmPainterCount', countString);
+    }
+
+    // Also save to localStorage as backup
+    localStorage.setItem('bmPainterCount', countString);
+
+    debugLog('Painter count saved:', count);
+  } catch (error) {
+    console.error('Failed to save painter count:', error);
+  }
+}
+
+/** Default background tile scanner settings */
+const DEFAULT_TILE_SCANNER_SETTINGS = {
+  enabled: false, // Opt-in, the scanner downloads tiles on its own
+  intervalSeconds: 5, // Time between two tile downloads
+  rescanMinutes: 10, // Tiles analyzed more recently than this are skipped
+  tileServer: '' // Tile server override (e.g. a local stand-in), empty = the one the site uses
+};
+
+/** Fills in and clamps background tile scanner settings.
+ * Used for stored, edited and imported settings alike, so they all share the same limits.
+ * Values that are missing or invalid fall back to the defaults.
+ * @param {Object} settings - The scanner settings to check
+ * @returns {{enabled: boolean, intervalSeconds: number, rescanMinutes: number, tileServer: string}} The scanner settings
+ * @since 1.0.0
+ */
+export function normalizeTileScannerSettings(settings) {
+  return {
+    enabled: isBoolean(settings?.enabled) ?? DEFAULT_TILE_SCANNER_SETTINGS.enabled,
+    intervalSeconds: isNumberIn(1, 600, true)(settings?.intervalSeconds) ?? DEFAULT_TILE_SCANNER_SETTINGS.intervalSeconds,
+    rescanMinutes: isNumberIn(1, 24 * 60, true)(settings?.rescanMinutes) ?? DEFAULT_TILE_SCANNER_SETTINGS.rescanMinutes,
+    tileServer: isTileServer(settings?.tileServer) ?? DEFAULT_TILE_SCANNER_SETTINGS.tileServer
+  };
+}
+
+/** Gets the background tile scanner settings
+ * @returns {{enabled: boolean, intervalSeconds: number, rescanMinutes: number, tileServer: string}} The scanner settings
+ * @since 1.0.0
+ */
+export function getTileScannerSettings() {
+  try {
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmTileScanner', null);
+      if (saved !== null) return normalizeTileScannerSettings(JSON.parse(saved));
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem('bmTileScanner');
+    if (saved !== null) return normalizeTileScannerSettings(JSON.parse(saved));
+  } catch (error) {
+    console.warn('Failed to load tile scanner settings:', error);
+  }
+  return { ...DEFAULT_TILE_SCANNER_SETTINGS };
+}
+
+/** Saves the background tile scanner settings
+ * @param {{enabled: boolean, intervalSeconds: number, rescanMinutes: number, tileServer: string}} settings - The scanner settings
+ * @since 1.0.0
+ */
+export function saveTileScannerSettings(settings) {
+  try {
+    const settingsString = JSON.stringify(normalizeTileScannerSettings(settings));
+
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmTileScanner', settingsString);
+    }
+
+    // Also save to localStorage as backup
+    localStorage.setItem('bmTileScanner', settingsString);
+
+    debugLog('Tile scanner settings saved:', settings);
+  } catch (error) {
+    console.error('Failed to save tile scanner settings:', error);
+  }
+}
+
+/** Gets whether clicking a template pixel on the map selects the palette color it requires
+ * @returns {boolean} True if the color is selected automatically
+ * @since 1.0.0
+ */
+export function getAutoSelectColorEnabled() {
+  try {
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmAutoSelectColor', null);
+      if (saved !== null) return JSON.parse(saved);
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem('bmAutoSelectColor');
+    if (saved !== null) return JSON.parse(saved);
+  } catch (error) {
+    console.warn('Failed to load auto select color setting:', error);
+  }
+  return false;
+}
+
+/** Saves whether clicking a template pixel on the map selects the palette color it requires
+ * @param {boolean} enabled - True to select the color automatically
+ * @since 1.0.0
+ */
+export function saveAutoSelectColorEnabled(enabled) {
+  try {
+    const enabledString = JSON.stringify(enabled);
+
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmAutoSelectColor', enabledString);
+    }
+
+    // Also save to localStorage as backup
+    localStorage.setItem('bmAutoSelectColor', enabledString);
+
+    debugLog('Auto select color setting saved:', enabled);
+  } catch (error) {
+    console.error('Failed to save auto select color setting:', error);
+  }
+}
+
+/** Gets whether the hover inspector tooltip is shown over the map
+ * @returns {boolean} True if the inspector is on
+ * @since 1.0.0
+ */
+export function getHoverInspectorEnabled() {
+  try {
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue('bmHoverInspector', null);
+      if (saved !== null) return JSON.parse(saved);
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem('bmHoverInspector');
+    if (saved !== null) return JSON.parse(saved);
+  } catch (error) {
+    console.warn('Failed to load hover inspector setting:', error);
+  }
+  return false;
+}
+
+/** Saves whether the hover inspector tooltip is shown over the map
+ * @param {boolean} enabled - True to show the inspector
+ * @since 1.0.0
+ */
+export function saveHoverInspectorEnabled(enabled) {
+  try {
+    const enabledString = JSON.stringify(enabled);
+
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue('bmHoverInspector', enabledString);
+    }
+
+    // Also save to localStorage as backup
+    localStorage.setItem('bmHoverInspector', enabledString);
+
+    debugLog('Hover inspector setting saved:', enabled);
+  } catch (error) {
+    console.error('Failed to save hover inspector setting:', error);
+  }
+}
+
+/** Storage keys starting with "bm" that hold data rather than settings */
+const NON_SETTING_KEYS = [
+  'bmTemplates',
+  'bmTemplates_timestamp',
+  'bmTemplates_chunkCount',
+  'bmProgressHistory',
+  'bmDamageLog',
+  'bmTileProgress'
+];
+
+/** Checks whether a storage key holds a Blue Marble setting
+ * @param {string} key - The storage key
+ * @returns {boolean} True for settings, false for template data, caches and foreign keys
+ * @since 1.0.0
+ */
+function isSettingKey(key) {
+  return key.startsWith('bm') && !NON_SETTING_KEYS.includes(key) && !key.startsWith('bmTemplates_part_');
+}
+
+/** Collects every saved setting as stored, so it can be written back later
+ * @returns {{localStorage: Object<string, string>, gm: Object<string, *>}} Raw values per key in localStorage and TamperMonkey storage
+ * @since 1.0.0
+ */
+export function collectSettings() {
+  const settings = { localStorage: {}, gm: {} };
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (isSettingKey(key)) {settings.localStorage[key] = localStorage.getItem(key);}
+    }
+
+    // Some settings are stored differently in TamperMonkey storage, so both copies are kept
+    if (typeof GM_getValue !== 'undefined') {
+      for (const key of Object.keys(settings.localStorage)) {
+        const value = GM_getValue(key, null);
+        if (value !== null) {settings.gm[key] = value;}
+      }
+    }
+  } catch (error) {
+    console.warn('Failed to collect settings:', error);
+  }
+  return settings;
+}
+
+/** Writes settings collected by collectSettings() back to storage.
+ * Settings that were not collected are left as they are.
+ * @param {{localStorage: Object<string, string>, gm: Object<string, *>}} settings - Raw values per key
+ * @returns {number} Number of settings written
+ * @since 1.0.0
+ */
+export function applySettings(settings) {
+  let written = 0;
+  try {
+    for (const [key, value] of Object.entries(settings?.localStorage || {})) {
+      if (!isSettingKey(key)) {continue;}
+      localStorage.setItem(key, value);
+      written++;
+    }
+
+    if (typeof GM_setValue !== 'undefined') {
+      for (const [key, value] of Object.entries(settings?.gm || {})) {
+        if (isSettingKey(key)) {GM_setValue(key, value);}
+      }
+    }
+
+    debugLog(`Applied ${written} setting(s)`);
+    invalidateCache();
+  } catch (error) {
+    console.error('Failed to apply settings:', error);
+  }
+  return written;
+}
+
+/** Version of the settings profile format, raise it when a setting changes meaning */
+export const SETTINGS_PROFILE_VERSION = 1;
+
+/** Marks a JSON file as a settings profile */
+const SETTINGS_PROFILE_TYPE = 'BlueMarbleSettings';
+
+/** Checks for a boolean */
+const isBoolean = (value) => typeof value === 'boolean' ? value : undefined;
+
+/** Checks for a number in a range, clamping it into the range */
+const isNumberIn = (min, max, integer = false) => (value) => {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {return undefined;}
+  const clamped = Math.max(min, Math.min(max, value));
+  return integer ? Math.round(clamped) : clamped;
+};
+
+/** Checks for one of a list of strings */
+const isOneOf = (...options) => (value) => options.includes(value) ? value : undefined;
+
+/** Checks for a tile server override: empty, or an http(s) URL */
+const isTileServer = (value) => {
+  if (typeof value !== 'string') {return undefined;}
+  const server = value.trim();
+  return server === '' || /^https?:\/\/[^\s/]+\S*$/i.test(server) ? server : undefined;
+};
+
+/** Checks for a short string */
+const isShortString = (value) => typeof value === 'string' && value.length <= 64 ? value : undefined;
+
+/** Every setting a profile can carry, with how it is checked and stored.
+ * raw settings are kept as plain strings in localStorage, everything else as JSON.
+ * TamperMonkey storage always gets JSON.
+ */
+const SETTINGS_SCHEMA = {
+  bmCrosshairColor: {
+    validate: (value) => {
+      if (!value || typeof value !== 'object' || !Array.isArray(value.rgb) || value.rgb.length !== 3) {return undefined;}
+      if (!value.rgb.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255)) {return undefined;}
+      const alpha = isNumberIn(0, 255, true)(value.alpha ?? 255);
+      if (alpha === undefined) {return undefined;}
+      // Old profiles have the 71% default that was raised to 100%
+      return { name: isShortString(value.name) ?? 'Custom', rgb: [...value.rgb], alpha: alpha === 180 ? 255 : alpha };
+    }
+  },
+  bmCrosshairBorder: { validate: isBoolean },
+  bmCrosshairEnhancedSize: { validate: isBoolean },
+  bmCrosshairRadius: { validate: isNumberIn(12, 512, true) },
+  bmMiniTracker: { validate: isBoolean },
+  bmCollapseMin: { validate: isBoolean },
+  bmMobileMode: { validate: isBoolean },
+  bmTileRefreshPaused: { validate: isBoolean },
+  bmSmartTileCache: { validate: isBoolean },
+  bmSmartDetectionEnabled: { validate: isBoolean },
+  bmNavigationMethod: { validate: isOneOf('flyto', 'openurl') },
+  bmDragMode: { validate: isBoolean },
+  bmTemplateColorSort: { validate: isShortString },
+  'bmcf-compact-sort': { validate: isShortString, raw: true },
+  'bmcf-view-preference': { validate: isOneOf('list', 'grid'), raw: true },
+  bmColorMenuHeight: { validate: isNumberIn(50, 2000, true), raw: true },
+  bmTemplateQuantize: {
+    validate: (value) => {
+      if (!value || typeof value !== 'object') {return undefined;}
+      const method = isOneOf('none', ...Object.keys(QUANTIZE_METHODS))(value.method);
+      const palette = isOneOf('all', 'free', 'owned')(value.palette);
+      return method && palette ? { method, palette } : undefined;
+    }
+  },
+  bmRemoteTemplateRefresh: { validate: isNumberIn(0, 24 * 60, true) },
+  bmPainterCount: { validate: isNumberIn(1, 1000, true) },
+  bmTileScanner: {
+    validate: (value) => {
+      if (!value || typeof value !== 'object') {return undefined;}
+      // Tiles are fetched from this server, so anything else than a web URL rejects the whole setting
+      if (value.tileServer !== undefined && isTileServer(value.tileServer) === undefined) {return undefined;}
+      return normalizeTileScannerSettings(value);
+    }
+  },
+  bmAutoSelectColor: { validate: isBoolean },
+  bmHoverInspector: { validate: isBoolean },
+  bmErrorMap: { validate: isBoolean },
+  bmShowLeftOnColor: { validate: isBoolean },
+  bmIncludeWrongColors: { validate: isBoolean },
+  bmEnhanceWrongColors: { validate: isBoolean },
+  bmDebugLoggingEnabled: { validate: isBoolean },
+  bmShowInformationHeader: { validate: isBoolean },
+  bmShowTemplateHeader: { validate: isBoolean },
+  bmShowColorMenu: { validate: isBoolean },
+  bmShowUsername: { validate: isBoolean },
+  bmShowDroplets: { validate: isBoolean },
+  bmShowNextLevel: { validate: isBoolean },
+  bmShowFullCharge: { validate: isBoolean },
+  bmShowTemplateEta: { validate: isBoolean }
+};
+
+/** Keys older versions used for a setting, and the key that replaced them */
+const RENAMED_SETTING_KEYS = {
+  bmMiniTrackerEnabled: 'bmMiniTracker',
+  bmCollapseMinEnabled: 'bmCollapseMin'
+};
+
+/** Keys older versions wrote that no longer mean anything */
+const RETIRED_SETTING_KEYS = [
+  'bmCrosshairThickness',
+  'bmShowWrongOnColor',
+  'bmQuickfillEnabled',
+  'bmQuickfillPixels',
+  'bmQuickfillSelectedColor',
+  'bmcf-excluded-colors', // Moved into each template
+  'bmcf-excluded-colors-pending'
+];
+
+/** Reads a setting the way its getter would, TamperMonkey storage first
+ * @param {string} key - The storage key
+ * @returns {*} The setting value, or undefined if it was never saved or cannot be read
+ * @since 1.0.0
+ */
+function readSetting(key) {
+  const { raw } = SETTINGS_SCHEMA[key];
+  try {
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue(key, null);
+      if (saved !== null) return JSON.parse(saved);
+    }
+  } catch (_) {
+    // Fall through to localStorage
+  }
+  const saved = localStorage.getItem(key);
+  if (saved === null) {return undefined;}
+  if (raw) {return key === 'bmColorMenuHeight' ? Number(saved) : saved;}
+  try {
+    return JSON.parse(saved);
+  } catch (_) {
+    return undefined;
+  }
+}
+
+/** Builds a settings profile with every saved setting, to move settings to another browser
+ * @param {string} scriptVersion - Version of the userscript writing the profile
+ * @returns {{whoami: string, profileVersion: number, scriptVersion: string, exportedAt: string, settings: Object<string, *>}} The profile
+ * @since 1.0.0
+ */
+export function exportSettingsProfile(scriptVersion) {
+  const settings = {};
+  for (const [key, { validate }] of Object.entries(SETTINGS_SCHEMA)) {
+    const value = validate(readSetting(key));
+    if (value !== undefined) {settings[key] = value;}
+  }
+  return {
+    whoami: SETTINGS_PROFILE_TYPE,
+    profileVersion: SETTINGS_PROFILE_VERSION,
+    scriptVersion,
+    exportedAt: new Date().toISOString(),
+    settings
+  };
+}
+
+/** Checks a settings profile and brings it up to the current format without saving anything.
+ * Renamed keys are moved to their new key, retired and unknown keys and invalid values are dropped.
+ * @param {Object} profile - The parsed profile
+ * @returns {{settings: Object<string, *>, migrated: Array<string>, skipped: Array<{key: string, reason: string}>}} The settings to save, and what was changed or left out
+ * @throws {Error} When the file is not a settings profile or was written by a newer version
+ * @since 1.0.0
+ */
+export function validateSettingsProfile(profile) {
+  if (profile?.whoami !== SETTINGS_PROFILE_TYPE || !profile.settings || typeof profile.settings !== 'object') {
+    throw new Error('This file is not a Blue Marble settings profile');
+  }
+  const version = Number(profile.profileVersion) || 0;
+  if (version > SETTINGS_PROFILE_VERSION) {
+    throw new Error(`This profile was exported by a newer version (profile version ${version}), update the script first`);
+  }
+
+  const settings = {};
+  const migrated = [];
+  const skipped = [];
+  for (const [originalKey, originalValue] of Object.entries(profile.settings)) {
+    let key = originalKey;
+    if (RENAMED_SETTING_KEYS[key]) {
+      key = RENAMED_SETTING_KEYS[key];
+      if (profile.settings[key] !== undefined) {
+        skipped.push({ key: originalKey, reason: `replaced by ${key}` });
+        continue;
+      }
+      migrated.push(`${originalKey} → ${key}`);
+    }
+
+    if (RETIRED_SETTING_KEYS.includes(key)) {
+      skipped.push({ key, reason: 'no longer used' });
+      continue;
+    }
+    if (!SETTINGS_SCHEMA[key]) {
+      skipped.push({ key, reason: 'unknown setting' });
+      continue;
+    }
+
+    const value = SETTINGS_SCHEMA[key].validate(originalValue);
+    if (value === undefined) {
+      skipped.push({ key, reason: 'invalid value' });
+      continue;
+    }
+    if (JSON.stringify(value) !== JSON.stringify(originalValue) && key === originalKey) {
+      migrated.push(`${key} adjusted`);
+    }
+    settings[key] = value;
+  }
+  return { settings, migrated, skipped };
+}
+
+/** Saves the settings of a profile checked by validateSettingsProfile(). Settings missing from the profile are left as they are.
+ * @param {Object<string, *>} settings - Checked settings per key
+ * @returns {number} Number of settings saved
+ * @since 1.0.0
+ */
+export function importSettingsProfile(settings) {
+  let saved = 0;
+  for (const [key, value] of Object.entries(settings)) {
+    const schema = SETTINGS_SCHEMA[key];
+    if (!schema) {continue;}
+    try {
+      const valueString = JSON.stringify(value);
+
+      // Save to TamperMonkey storage
+      if (typeof GM_setValue !== 'undefined') {
+        GM_setValue(key, valueString);
+      }
+
+      // Also save to localStorage as backup
+      localStorage.setItem(key, schema.raw ? String(value) : valueString);
+      saved++;
+    } catch (error) {
+      console.error(`Failed to save setting ${key}:`, error);
+    }
+  }
+
+  debugLog(`Imported ${saved} setting(s) from profile`);
+  invalidateCache();
+  return saved;
+}
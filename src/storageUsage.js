@@ -0,0 +1,92 @@
+/** @file Storage usage of templates, settings and caches
+ * Measures what Blue Marble keeps in the browser and whether templates still fit in localStorage
+ * @since 1.0.0
+ */
+
+/** Characters most browsers allow in localStorage per site */
+const LOCAL_STORAGE_LIMIT = 5 * 1024 * 1024;
+
+/** Share of the browser quota above which the dashboard warns */
+export const QUOTA_WARNING_RATIO = 0.8;
+
+/** Checks whether a localStorage key belongs to the legacy template storage
+ * @param {string} key - The storage key
+ * @returns {boolean} True for bmTemplates and its timestamp, chunk count and chunks
+ * @since 1.0.0
+ */
+function isTemplateStorageKey(key) {
+  return key === 'bmTemplates' || key.startsWith('bmTemplates_');
+}
+
+/** Measures localStorage.
+ * Sizes are in characters of key and value, which is what the browser limit counts.
+ * @returns {{used: number, limit: number, keys: Array<{key: string, size: number}>}} Characters used by the whole site, the usual limit, and the Blue Marble keys largest first
+ * @since 1.0.0
+ */
+export function getLocalStorageUsage() {
+  let used = 0;
+  const keys = [];
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      const size = key.length + (localStorage.getItem(key)?.length || 0);
+      used += size;
+      if (key.startsWith('bm')) {keys.push({ key, size });}
+    }
+  } catch (error) {
+    console.warn('Failed to measure localStorage:', error);
+  }
+  keys.sort((a, b) => b.size - a.size);
+  return { used, limit: LOCAL_STORAGE_LIMIT, keys };
+}
+
+/** Checks whether templates (or other data) of a given size can still be written to localStorage.
+ * The keys replaced by the write count as free space, by default the templates already stored there.
+ * @param {number} dataLength - Length of the JSON string
+ * @param {function(string): boolean} [isReplacedKey] - Checks whether a key is overwritten by the write
+ * @returns {{fits: boolean, needed: number, available: number}} Whether the write fits, and the characters needed and available
+ * @since 1.0.0
+ */
+export function checkLocalStorageRoom(dataLength, isReplacedKey = isTemplateStorageKey) {
+  const { used, limit, keys } = getLocalStorageUsage();
+  const replacedKeysSize = keys
+    .filter(({ key }) => isReplacedKey(key))
+    .reduce((sum, { size }) => sum + size, 0);
+
+  // Chunk keys and the timestamp add a little on top of the data
+  const needed = dataLength + Math.ceil(dataLength / 900000) * 32 + 64;
+  const available = limit - (used - replacedKeysSize);
+  return { fits: needed <= available, needed, available };
+}
+
+/** Measures how much each template takes in storage
+ * @param {Object} templatesJSON - The templates JSON
+ * @returns {Array<{key: string, name: string, size: number, tileCount: number, enabled: boolean}>} Templates largest first, size is the length of the template's JSON
+ * @since 1.0.0
+ */
+export function getTemplateSizes(templatesJSON) {
+  return Object.entries(templatesJSON?.templates || {})
+    .map(([key, entry]) => ({
+      key,
+      name: entry?.name || key,
+      size: JSON.stringify(entry).length,
+      tileCount: Object.keys(entry?.tiles || {}).length,
+      enabled: entry?.enabled !== false
+    }))
+    .sort((a, b) => b.size - a.size);
+}
+
+/** Asks the browser how much storage the site uses and may use
+ * @returns {Promise<{usage: number, quota: number}|null>} Bytes used and allowed, or null if the browser does not tell
+ * @since 1.0.0
+ */
+export async function getStorageEstimate() {
+  try {
+    if (!navigator.storage?.estimate) {return null;}
+    const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+    return quota ? { usage, quota } : null;
+  } catch (error) {
+    console.warn('Failed to read storage estimate:', error);
+    return null;
+  }
+}
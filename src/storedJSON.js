@@ -0,0 +1,95 @@
+/** @file JSON values kept in TamperMonkey storage with a localStorage backup
+ * Writes are batched: a value changed several times in a row is serialized once, shortly after the last change
+ * @since 1.0.0
+ */
+
+import { debugLog } from './utils.js';
+import { checkLocalStorageRoom } from './storageUsage.js';
+
+/** Delay between the last change of a value and its write */
+const WRITE_DELAY_MS = 2000;
+
+/** Values waiting to be written ({ [key]: {value, timer} }) */
+const pendingWrites = new Map();
+
+/** Reads a JSON value from storage.
+ * A value that is still waiting to be written is returned as is, so callers must not change it without writing it back.
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned when nothing is stored or the value can't be parsed
+ * @returns {*} The stored value
+ * @since 1.0.0
+ */
+export function readStoredJSON(key, fallback) {
+  if (pendingWrites.has(key)) return pendingWrites.get(key).value;
+
+  try {
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue(key, null);
+      if (saved) return JSON.parse(saved);
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem(key);
+    if (saved) return JSON.parse(saved);
+  } catch (error) {
+    console.warn(`Failed to load ${key}:`, error);
+  }
+  return fallback;
+}
+
+/** Schedules a JSON value to be written to storage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @since 1.0.0
+ */
+export function writeStoredJSON(key, value) {
+  clearTimeout(pendingWrites.get(key)?.timer);
+  const timer = setTimeout(() => writeNow(key), WRITE_DELAY_MS);
+  pendingWrites.set(key, { value, timer });
+}
+
+/** Writes every value that is still waiting, e.g. before the page is left
+ * @since 1.0.0
+ */
+export function flushStoredJSON() {
+  for (const key of [...pendingWrites.keys()]) {writeNow(key);}
+}
+
+/** Drops every value that is still waiting, e.g. when all storage is cleared
+ * @since 1.0.0
+ */
+export function discardPendingJSON() {
+  pendingWrites.forEach(({ timer }) => clearTimeout(timer));
+  pendingWrites.clear();
+}
+
+/** Writes a waiting value to storage
+ * @param {string} key - Storage key
+ * @since 1.0.0
+ */
+function writeNow(key) {
+  const pending = pendingWrites.get(key);
+  if (!pending) return;
+  clearTimeout(pending.timer);
+  pendingWrites.delete(key);
+
+  try {
+    const valueString = JSON.stringify(pending.value);
+
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue(key, valueString);
+    }
+
+    // Also save to localStorage as backup, if there is room for it
+    if (checkLocalStorageRoom(valueString.length, storedKey => storedKey === key).fits) {
+      localStorage.setItem(key, valueString);
+    } else {
+      localStorage.removeItem(key); // A stale copy would be read where TamperMonkey storage is missing
+      debugLog(`[Storage] ${key} does not fit in localStorage, not saved there`);
+    }
+  } catch (error) {
+    console.error(`Failed to save ${key}:`, error);
+  }
+}
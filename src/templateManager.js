@@ -1,6 +1,14 @@
 import Template from "./Template.js";
-import { base64ToUint8, uint8ToBase64, numberToEncoded, debugLog } from "./utils.js";
+import { uint8ToBase64, numberToEncoded, debugLog, isRemoteTemplateHost, remoteTemplateHosts } from "./utils.js";
 import { clearFrozenTileCache } from "./tileManager.js";
+import { quantizeImageBlob, QUANTIZE_METHODS } from "./paletteQuantizer.js";
+import { recordProgressSamples, remapProgressHistory, deleteProgressHistory, pruneProgressHistory } from "./progressHistory.js";
+import { recordDamage, remapDamageLog, deleteDamageForTemplate, attachPainterToDamage } from "./damageLog.js";
+import { loadSavedTileProgress, saveTileProgress, hashString } from "./tileProgressStore.js";
+import { isTemplateStoreAvailable, saveTemplatesToStore } from "./templateStore.js";
+import { createBackup } from "./backups.js";
+import { checkLocalStorageRoom } from "./storageUsage.js";
+import { isSupportedTile } from "./tileCodec.js";
 
 /** Manages the template system.
  * This class handles all external requests for template modification, creation, and analysis.
@@ -12,14 +20,14 @@ import { clearFrozenTileCache } from "./tileManager.js";
  * {
  *   "whoami": "BlueMarble",
  *   "scriptVersion": "1.13.0",
- *   "schemaVersion": "2.1.0",
+ *   "schemaVersion": "3.0.0",
  *   "templates": {
  *     "0 $Z": {
  *       "name": "My Template",
  *       "enabled": true,
  *       "tiles": {
- *         "1231,0047,183,593": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA",
- *         "1231,0048,183,000": "data:image/png;AAAFCAYAAACNbyblAAAAHElEQVQI12P4"
+ *         "1231,0047,183,593": { "e": "rle1", "w": 40, "h": 407, "p": ["0,0,0", "255,255,255"], "d": "KAGoBQIB" },
+ *         "1231,0048,183,000": { "e": "rle1", "w": 40, "h": 12, "p": ["0,0,0"], "d": "4AMB" }
  *       }
  *     },
  *     "1 $Z": {
@@ -28,6 +36,7 @@ import { clearFrozenTileCache } from "./tileManager.js";
  *       "URLType": "template",
  *       "enabled": false,
  *       "tiles": {
+ *         // Older versions store base64 PNGs of the 3× display bitmap, they are still read
  *         "375,1846,276,188": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA",
  *         "376,1846,000,188": "data:image/png;AAAFCAYAAACNbyblAAAAHElEQVQI12P4"
  *       }
@@ -46,12 +55,18 @@ export default class TemplateManager {
     this.name = name; // Name of userscript
     this.version = version; // Version of userscript
     this.overlay = overlay; // The main instance of the Overlay class
-    this.templatesVersion = '1.0.0'; // Version of JSON schema
+    this.templatesVersion = '3.0.0'; // Version of JSON schema, 3.x stores tiles palette-indexed and run-length encoded (older versions cannot read them)
     this.userID = null; // The ID of the current user
     this.encodingBase = '!#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[]^_`abcdefghijklmnopqrstuvwxyz{|}~'; // Characters to use for encoding/decoding
     this.tileSize = 1000; // The number of pixels in a tile. Assumes the tile is square
     this.drawMult = 3; // The enlarged size for each pixel. E.g. when "3", a 1x1 pixel becomes a 1x1 pixel inside a 3x3 area. MUST BE ODD
     this.tileProgress = new Map(); // Tracks per-tile progress stats {painted, required, wrong}
+    this.lastHistoryRecord = 0; // When per-template progress was last offered to the history
+    this.onDamageDetected = null; // Called with the new damage events when correct pixels turn wrong
+    this.pixelPainters = new Map(); // Who painted clicked wrong pixels, "tileX,tileY,pixelX,pixelY" -> {painter, actual}
+    this.tileSignatureCache = new WeakMap(); // Hash of a template's stored tiles, keyed by its "tiles" object
+    this.tileProgressSaveTimer = null; // Pending save of the tile analysis
+    this.templatePixelsCache = new WeakMap(); // 1:1 template pixels (or the pending read) per Template instance
     
     // Smart Template Detection Properties
     this.currentlyDisplayedTemplates = new Set(); // Tracks which templates are currently being rendered
@@ -70,6 +85,17 @@ export default class TemplateManager {
     
     // Load wrong color settings from storage on initialization
     this.loadWrongColorSettings();
+
+    // Colors the logged in user can paint with ("r,g,b" keys), null until /me has been seen
+    this.ownedColors = null;
+
+    // Template the color filter currently edits ("sortID authorID"), falls back to the first template
+    this.colorFilterTemplateKey = null;
+
+    // Remote (URL) template refresh
+    this.remoteRefreshTimer = null; // Interval ID of the periodic URL template check
+    this.remoteRefreshInProgress = false; // Prevents overlapping refreshes
+    this.reportedRemoteHosts = new Set(); // URLs already reported as not on a supported host
     
     // Template
     this.canvasTemplate = null; // Our canvas
@@ -169,9 +195,13 @@ export default class TemplateManager {
    * @param {File} blob - The file blob to create a template from
    * @param {string} name - The display name of the template
    * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
+   * @param {Object} [options={}] - Creation options
+   * @param {Object} [options.quantize] - When set, the image is snapped to the palette first ({method, palette}, see paletteQuantizer.js)
+   * @param {{url: string, hash: string}} [options.remote] - When set, the template is kept in sync with this image URL
+   * @returns {Promise<string>} The key of the created template
    * @since 0.65.77
    */
-  async createTemplate(blob, name, coords) {
+  async createTemplate(blob, name, coords, options = {}) {
 
     // Creates the JSON object if it does not already exist
     if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
@@ -180,6 +210,15 @@ export default class TemplateManager {
 
     this.overlay.handleDisplayStatus(`Creating template at ${coords.join(', ')}...`);
 
+    // Snap the image to the palette before chunking, if requested
+    let quantizeSummary = '';
+    if (options.quantize?.method && QUANTIZE_METHODS[options.quantize.method]) {
+      const quantized = await quantizeImageBlob(blob, options.quantize);
+      blob = quantized.blob;
+      quantizeSummary = ` | Palette conversion changed ${new Intl.NumberFormat().format(quantized.changedPixels)} pixels`;
+      debugLog(`Quantized template "${name}" with ${options.quantize.method}: ${quantized.changedPixels} pixels changed`);
+    }
+
     // Create a temporary template instance to get pixel count for duplicate detection
     const tempTemplate = new Template({
       displayName: name,
@@ -220,6 +259,8 @@ export default class TemplateManager {
         delete this.templatesJSON.templates[duplicateKey];
         debugLog(` Removed old duplicate template from JSON: ${duplicateKey}`);
       }
+      deleteProgressHistory(duplicateKey); // The new image starts its own history
+      deleteDamageForTemplate(duplicateKey);
     } else {
       // Create new template with next available sortID
       // Find the highest existing sortID and increment by 1
@@ -250,9 +291,19 @@ export default class TemplateManager {
       "enabled": true,
       "disabledColors": template.getDisabledColors(),
       "enhancedColors": template.getEnhancedColors(),
+      "excludedColors": [], // Colors left out of this template's progress
       "tiles": templateTilesBuffers
     };
 
+    if (options.remote?.url) {
+      Object.assign(this.templatesJSON.templates[`${template.sortID} ${template.authorID}`], {
+        "URL": options.remote.url,
+        "URLType": 'template',
+        "URLHash": options.remote.hash,
+        "URLCheckedAt": new Date().toISOString()
+      });
+    }
+
     // Update JSON metadata
     this.templatesJSON.lastModified = new Date().toISOString();
     this.templatesJSON.templateCount = Object.keys(this.templatesJSON.templates).length;
@@ -270,10 +321,11 @@ export default class TemplateManager {
     const pixelCountFormatted = new Intl.NumberFormat().format(template.pixelCount);
     const totalTemplates = Object.keys(this.templatesJSON.templates).length;
     const actionText = duplicateKey ? 'replaced' : 'created';
-    this.overlay.handleDisplayStatus(`Template #${template.sortID} ${actionText} at ${coords.join(', ')}! Total pixels: ${pixelCountFormatted} | Total templates: ${totalTemplates}`);
+    this.overlay.handleDisplayStatus(`Template #${template.sortID} ${actionText} at ${coords.join(', ')}! Total pixels: ${pixelCountFormatted} | Total templates: ${totalTemplates}${quantizeSummary}`);
 
 
     await this.#storeTemplates();
+    return `${template.sortID} ${template.authorID}`;
   }
 
   /** Generates a {@link Template} class instance from the JSON object template
@@ -283,7 +335,7 @@ export default class TemplateManager {
   }
 
   /** Stores the JSON object of the loaded templates into storage with fallback system.
-   * Tries TamperMonkey first, falls back to localStorage if that fails.
+   * Tries IndexedDB (one record per template) first, then TamperMonkey, then localStorage.
    * @since 0.72.7
    */
   async #storeTemplates() {
@@ -291,6 +343,15 @@ export default class TemplateManager {
       console.error('❌ Cannot store templates: this.templatesJSON is null/undefined');
       return;
     }
+
+    if (isTemplateStoreAvailable()) {
+      try {
+        await saveTemplatesToStore(this.templatesJSON);
+        return;
+      } catch (error) {
+        console.warn('⚠️ IndexedDB storage failed, falling back to TamperMonkey/localStorage:', error);
+      }
+    }
     
     const data = JSON.stringify(this.templatesJSON);
     const timestamp = Date.now();
@@ -332,7 +393,13 @@ export default class TemplateManager {
       console.warn('⚠️ TamperMonkey storage failed:', error);
     }
     
-    // Fallback to localStorage
+    // Fallback to localStorage, unless it is too full to take the templates
+    const room = checkLocalStorageRoom(data.length);
+    if (!room.fits) {
+      console.error(`❌ localStorage is too full for templates: ${room.needed} needed, ${room.available} available`);
+      this.overlay.handleDisplayError('Templates could not be saved, localStorage is full. Open the storage usage panel (💾) to free space.');
+      return;
+    }
     try {
       const CHUNK_SIZE = 900000; // ~0.9MB
       if (data.length > CHUNK_SIZE) {
@@ -363,14 +430,19 @@ export default class TemplateManager {
   /** Deletes a template from the JSON object.
    * Also delete's the corrosponding {@link Template} class instance
    * @param {string} templateKey - The key of the template to delete (e.g., "0 $Z")
+   * @param {{backup?: boolean}} [options] - Take a backup before deleting (on by default)
    * @since 1.0.0
    */
-  async deleteTemplate(templateKey) {
+  async deleteTemplate(templateKey, { backup = true } = {}) {
     if (!templateKey || !this.templatesJSON?.templates) {
       console.warn('⚠️ Invalid template key or no templates available');
       return false;
     }
 
+    if (backup) {
+      await createBackup(this.templatesJSON, 'Before deleting a template');
+    }
+
     try {
       debugLog(` Starting complete deletion of template: ${templateKey}`);
 
@@ -403,8 +475,8 @@ export default class TemplateManager {
         }
       }
 
-      // 2. Clear tile progress cache to remove any cached data from this template
-      this.clearTileProgressCache();
+      // 2. Clear tile progress of this template to remove any cached data from it
+      this.clearTileProgressForTemplates([templateKey]);
 
       // 3. Clear any frozen tile cache from tileManager
       try {
@@ -418,6 +490,17 @@ export default class TemplateManager {
         debugLog(` Removed template ${templateKey} from JSON storage`);
       }
 
+      // Drop the history of every template that is gone, including ones deleted before history was cleaned up
+      pruneProgressHistory(Object.keys(this.templatesJSON.templates));
+      deleteDamageForTemplate(templateKey);
+
+      // Forget conflict winners chosen for pairs with this template
+      for (const pairKey of Object.keys(this.templatesJSON.conflictWinners || {})) {
+        if (pairKey.split('|').includes(templateKey)) {
+          delete this.templatesJSON.conflictWinners[pairKey];
+        }
+      }
+
       // 5. Remove from templatesArray
       const templateIndex = this.templatesArray.findIndex(template => {
         const templateKeyFromInstance = `${template.sortID} ${template.authorID}`;
@@ -468,6 +551,314 @@ export default class TemplateManager {
     }
   }
 
+  /** Gets the chunk of every enabled template that lies on a tile, in draw order
+   * @param {string} tileCoords - Padded tile coordinates "xxxx,yyyy"
+   * @returns {Array<{templateKey: string, bitmap: ImageBitmap, tileCoords: Array<string>, pixelCoords: Array<string>}>} The chunks to draw and analyze
+   * @since 1.0.0
+   */
+  #getTemplatesOnTile(tileCoords) {
+    return this.templatesArray
+      .filter(template => {
+        // Check if template is enabled
+        const templateKey = `${template.sortID} ${template.authorID}`;
+        const isEnabled = this.isTemplateEnabled(templateKey);
+        if (!isEnabled) {
+          debugLog(`⏸️ Skipping disabled template: ${templateKey}`);
+        }
+        return isEnabled;
+      })
+      .map(template => {
+        const matchingTiles = Object.keys(template.chunked).filter(tile =>
+          tile.startsWith(tileCoords)
+        );
+
+        if (matchingTiles.length === 0) {return null;} // Return null when nothing is found
+
+        // Retrieves the blobs of the templates for this tile
+        const matchingTileBlobs = matchingTiles.map(tile => {
+
+          const coords = tile.split(','); // [x, y, x, y] Tile/pixel coordinates
+          
+          return {
+            templateKey: `${template.sortID} ${template.authorID}`,
+            bitmap: template.chunked[tile],
+            tileCoords: [coords[0], coords[1]],
+            pixelCoords: [coords[2], coords[3]]
+          }
+        });
+
+        return matchingTileBlobs?.[0];
+      })
+      .filter(Boolean);
+  }
+
+  /** Analyzes a tile against the enabled templates without drawing it.
+   * Unlike {@link drawTemplateOnTile} this leaves the display state alone (status line, smart detection), so it can be used for tiles that are not on screen.
+   * @param {Blob} tileBlob - The tile image from the server
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @returns {Promise<boolean>} True if the tile was analyzed, false if no enabled template lies on it or the analysis failed
+   * @since 1.0.0
+   */
+  async analyzeTile(tileBlob, tileCoords) {
+    tileCoords = tileCoords[0].toString().padStart(4, '0') + ',' + tileCoords[1].toString().padStart(4, '0');
+    this.templatesArray.sort((a, b) => a.sortID - b.sortID);
+    return await this.#analyzeTilePixels(tileBlob, tileCoords, this.#getTemplatesOnTile(tileCoords));
+  }
+
+  /** Counts painted, wrong and required pixels of a tile and stores them in {@link tileProgress}
+   * @param {Blob} tileBlob - The tile image from the server
+   * @param {string} tileCoords - Padded tile coordinates "xxxx,yyyy"
+   * @param {Array<Object>} templatesToDraw - The template chunks on this tile (see #getTemplatesOnTile)
+   * @returns {Promise<boolean>} True if the tile was analyzed
+   * @since 1.0.0
+   */
+  async #analyzeTilePixels(tileBlob, tileCoords, templatesToDraw) {
+    const drawSize = this.tileSize * this.drawMult;
+    let analyzed = false;
+
+    // ==================== PIXEL COUNTING (Storage Fork Logic) ====================
+    // Count painted/wrong/required pixels for this tile
+    if (templatesToDraw.length > 0) {
+      let paintedCount = 0;
+      let wrongCount = 0;
+      let requiredCount = 0;
+      
+      try {
+        // CRITICAL FIX: Always use fresh tile blob data (no cache for pixel analysis)
+        // Extract tileX and tileY from tileCoords parameter
+        const coordsParts = tileCoords.split(',');
+        const tileX = parseInt(coordsParts[0]);
+        const tileY = parseInt(coordsParts[1]);
+        const tileKey = `${tileX},${tileY}`;
+        let tileImageData;
+        
+        // ALWAYS get fresh data for accurate pixel counting
+        {
+          // CRITICAL FIX: Use the actual tile blob data (from server)
+          // This represents the real pixels painted on the server, not our template overlay
+          
+          // Get the raw tile data directly from tileBlob parameter
+          const realTileBitmap = await createImageBitmap(tileBlob);
+          const realTileCanvas = document.createElement('canvas');
+          realTileCanvas.width = drawSize;
+          realTileCanvas.height = drawSize;
+          const realTileCtx = realTileCanvas.getContext('2d', { willReadFrequently: true });
+          realTileCtx.imageSmoothingEnabled = false;
+          realTileCtx.clearRect(0, 0, drawSize, drawSize);
+          realTileCtx.drawImage(realTileBitmap, 0, 0, drawSize, drawSize);
+          
+          tileImageData = realTileCtx.getImageData(0, 0, drawSize, drawSize);
+          debugLog(`[Fresh Analysis] Using fresh tile data for ${tileKey}`);
+        }
+        
+        const tilePixels = tileImageData.data;
+        
+        debugLog(` [Real Tile Analysis] Using actual tile data from server: ${drawSize}x${drawSize}`);
+        
+        // Prepare per-color breakdown that will be populated from template bitmap comparisons
+        const colorBreakdown = {};
+        const wrongPixels = []; // Every wrong pixel in this tile with its expected and actual color
+        const templateStats = {}; // Painted/required/wrong per template key
+        let correctMask = null; // One bit per tile pixel that matches its template, compared on the next analysis
+
+        // Read every template bitmap once, both passes below need it
+        const templateData = templatesToDraw.map(template => {
+          const tempCanvas = document.createElement('canvas');
+          tempCanvas.width = template.bitmap.width;
+          tempCanvas.height = template.bitmap.height;
+          const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
+          tempCtx.imageSmoothingEnabled = false;
+          tempCtx.drawImage(template.bitmap, 0, 0);
+          return tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height).data;
+        });
+
+        // Overlapping templates: every pixel is counted for one template only.
+        // Identical colors are shared, different colors go to the chosen conflict winner.
+        let pixelOwners = null;
+        if (templatesToDraw.length > 1) {
+          pixelOwners = new Int16Array(this.tileSize * this.tileSize).fill(-1);
+          const ownerColors = new Int32Array(this.tileSize * this.tileSize);
+
+          templatesToDraw.forEach((template, index) => {
+            const tData = templateData[index];
+            const tempW = template.bitmap.width;
+            const offsetX = Number(template.pixelCoords[0]);
+            const offsetY = Number(template.pixelCoords[1]);
+
+            for (let y = 1; y < template.bitmap.height; y += this.drawMult) {
+              for (let x = 1; x < tempW; x += this.drawMult) {
+                const px = offsetX + Math.floor(x / this.drawMult);
+                const py = offsetY + Math.floor(y / this.drawMult);
+                if (px >= this.tileSize || py >= this.tileSize) { continue; }
+
+                const tIdx = (y * tempW + x) * 4;
+                const isDeface = tData[tIdx + 3] === 32 && tData[tIdx] === 0 && tData[tIdx + 1] === 0 && tData[tIdx + 2] === 0;
+                if (tData[tIdx + 3] < 64 && !isDeface) { continue; }
+
+                const color = isDeface ? 0xDEFACE : (tData[tIdx] << 16) | (tData[tIdx + 1] << 8) | tData[tIdx + 2];
+                const pixelIndex = py * this.tileSize + px;
+                const owner = pixelOwners[pixelIndex];
+
+                if (owner === -1
+                  || (ownerColors[pixelIndex] !== color
+                    && this.getConflictWinner(templatesToDraw[owner].templateKey, template.templateKey) === template.templateKey)) {
+                  pixelOwners[pixelIndex] = index;
+                  ownerColors[pixelIndex] = color;
+                }
+              }
+            }
+          });
+        }
+
+        for (let templateIndex = 0; templateIndex < templatesToDraw.length; templateIndex++) {
+          const template = templatesToDraw[templateIndex];
+
+          // Count pixels using Storage fork logic (center pixels only)
+          const tempW = template.bitmap.width;
+          const tempH = template.bitmap.height;
+          const tData = templateData[templateIndex];
+
+          const offsetX = Number(template.pixelCoords[0]) * this.drawMult;
+          const offsetY = Number(template.pixelCoords[1]) * this.drawMult;
+          const excludedColors = new Set(this.getTemplateExcludedColors(template.templateKey));
+          const stats = templateStats[template.templateKey] || (templateStats[template.templateKey] = { painted: 0, required: 0, wrong: 0 });
+
+          for (let y = 0; y < tempH; y++) {
+            for (let x = 0; x < tempW; x++) {
+              // Only evaluate the center pixel of each 3x3 block
+              if ((x % this.drawMult) !== 1 || (y % this.drawMult) !== 1) { continue; }
+              
+              const gx = x + offsetX;
+              const gy = y + offsetY;
+              if (gx < 0 || gy < 0 || gx >= drawSize || gy >= drawSize) { continue; }
+
+              // Pixel belongs to another overlapping template
+              if (pixelOwners && pixelOwners[Math.floor(gy / this.drawMult) * this.tileSize + Math.floor(gx / this.drawMult)] !== templateIndex) { continue; }
+              
+              const tIdx = (y * tempW + x) * 4;
+              const tr = tData[tIdx];
+              const tg = tData[tIdx + 1];
+              const tb = tData[tIdx + 2];
+              const ta = tData[tIdx + 3];
+              
+              // Ignore transparent and semi-transparent (deface uses alpha 32)
+              if (ta < 64) { continue; }
+              // Ignore #deface explicitly
+              if (tr === 222 && tg === 250 && tb === 206) { continue; }
+              
+              const colorKey = `${tr},${tg},${tb}`;
+              // Colors this template leaves out of its progress
+              if (excludedColors.has(colorKey)) { continue; }
+              if (!colorBreakdown[colorKey]) {
+                colorBreakdown[colorKey] = { painted: 0, required: 0, wrong: 0, firstWrongPixel: null };
+              }
+              colorBreakdown[colorKey].required++;
+              requiredCount++;
+              stats.required++;
+
+              const tileIdx = (gy * drawSize + gx) * 4;
+              const pr = tilePixels[tileIdx];
+              const pg = tilePixels[tileIdx + 1];
+              const pb = tilePixels[tileIdx + 2];
+              const pa = tilePixels[tileIdx + 3];
+
+              if (pa < 64) {
+              } else if (pr === tr && pg === tg && pb === tb) {
+                paintedCount++;
+                colorBreakdown[colorKey].painted++;
+                stats.painted++;
+                const pixelIndex = Math.floor(gy / this.drawMult) * this.tileSize + Math.floor(gx / this.drawMult);
+                correctMask = correctMask || new Uint8Array(Math.ceil(this.tileSize * this.tileSize / 8));
+                correctMask[pixelIndex >> 3] |= 1 << (pixelIndex & 7);
+              } else {
+                wrongCount++;
+                colorBreakdown[colorKey].wrong++;
+                stats.wrong++;
+                const pixelX = Math.floor(gx / this.drawMult);
+                const pixelY = Math.floor(gy / this.drawMult);
+                if (!colorBreakdown[colorKey].firstWrongPixel) {
+                  colorBreakdown[colorKey].firstWrongPixel = [pixelX, pixelY];
+                }
+                wrongPixels.push({ x: pixelX, y: pixelY, expected: colorKey, actual: `${pr},${pg},${pb}`, templateKey: template.templateKey });
+              }
+            }
+          }
+        }
+        
+        // Pixels that were correct in the previous analysis of this tile and are wrong now
+        const previousMask = this.tileProgress.get(tileCoords)?.correctMask;
+        if (previousMask && wrongPixels.length) {
+          const damaged = wrongPixels
+            .filter(pixel => {
+              const pixelIndex = pixel.y * this.tileSize + pixel.x;
+              return previousMask[pixelIndex >> 3] & (1 << (pixelIndex & 7));
+            })
+            .map(pixel => ({ tileX, tileY, pixelX: pixel.x, pixelY: pixel.y, expected: pixel.expected, actual: pixel.actual, templateKey: pixel.templateKey }));
+
+          if (damaged.length) {
+            const events = recordDamage(damaged);
+            try {
+              this.onDamageDetected?.(events);
+            } catch (error) {
+              console.warn('Damage alert failed:', error);
+            }
+          }
+        }
+
+        this.tileProgress.set(tileCoords, {
+          painted: paintedCount,
+          required: requiredCount,
+          wrong: wrongCount,
+          colorBreakdown: colorBreakdown, // NEW: Per-color detailed stats
+          wrongPixels: wrongPixels,
+          templateStats: templateStats,
+          correctMask: correctMask,
+          analyzedAt: Date.now()
+        });
+        this.#scheduleTileProgressSave();
+        analyzed = true;
+
+        // Offer complete per-template totals to the progress history (at most once a minute)
+        if (Date.now() - this.lastHistoryRecord > 60 * 1000) {
+          this.lastHistoryRecord = Date.now();
+          // Tiles restored from the last visit would date old progress as current
+          const complete = Object.fromEntries(
+            Object.entries(this.getTemplateProgressTotals()).filter(([, totals]) => totals.tilesCounted === totals.tilesTotal && !totals.staleTiles)
+          );
+          recordProgressSamples(complete);
+        }
+        
+        // DETAILED ACCURACY DEBUG: Show change from last analysis
+        const lastProgressKey = `lastProgress_${tileX}_${tileY}`;
+        const lastProgress = this[lastProgressKey] || { painted: 0, required: 0, wrong: 0 };
+        const paintedDiff = paintedCount - lastProgress.painted;
+        const wrongDiff = wrongCount - lastProgress.wrong;
+        
+        if (paintedDiff !== 0 || wrongDiff !== 0) {
+          debugLog(`[Accuracy Debug] Change detected:`);
+          debugLog(`   Painted: ${paintedDiff > 0 ? '+' : ''}${paintedDiff} (${lastProgress.painted} → ${paintedCount})`);
+          debugLog(`   ❌ Wrong: ${wrongDiff > 0 ? '+' : ''}${wrongDiff} (${lastProgress.wrong} → ${wrongCount})`);
+          debugLog(`   Net Progress: ${paintedDiff - wrongDiff} pixels`);
+        }
+        
+        // Store current progress for next comparison
+        this[lastProgressKey] = { painted: paintedCount, required: requiredCount, wrong: wrongCount };
+        
+        debugLog(`[Tile Progress] ${tileCoords}: ${paintedCount}/${requiredCount} painted, ${wrongCount} wrong`);
+        
+        // CROSSHAIR COMPARISON DEBUG: Compare with enhanced mode logic
+        const missingPixels = requiredCount - paintedCount;
+        const totalProblems = missingPixels + wrongCount;
+        debugLog(`[Crosshair Debug] Missing: ${missingPixels}, Wrong: ${wrongCount}, Total problems: ${totalProblems}`);
+        
+      } catch (error) {
+        console.warn('Failed to compute tile progress stats:', error);
+      }
+    }
+
+    return analyzed;
+  }
+
   /** Disables the template from view
    */
   async disableTemplate() {
@@ -507,38 +898,7 @@ export default class TemplateManager {
     debugLog(templateArray);
 
     // Retrieves the relavent template tile blobs
-    const templatesToDraw = templateArray
-      .filter(template => {
-        // Check if template is enabled
-        const templateKey = `${template.sortID} ${template.authorID}`;
-        const isEnabled = this.isTemplateEnabled(templateKey);
-        if (!isEnabled) {
-          debugLog(`⏸️ Skipping disabled template: ${templateKey}`);
-        }
-        return isEnabled;
-      })
-      .map(template => {
-        const matchingTiles = Object.keys(template.chunked).filter(tile =>
-          tile.startsWith(tileCoords)
-        );
-
-        if (matchingTiles.length === 0) {return null;} // Return null when nothing is found
-
-        // Retrieves the blobs of the templates for this tile
-        const matchingTileBlobs = matchingTiles.map(tile => {
-
-          const coords = tile.split(','); // [x, y, x, y] Tile/pixel coordinates
-          
-          return {
-            bitmap: template.chunked[tile],
-            tileCoords: [coords[0], coords[1]],
-            pixelCoords: [coords[2], coords[3]]
-          }
-        });
-
-        return matchingTileBlobs?.[0];
-      })
-    .filter(Boolean);
+    const templatesToDraw = this.#getTemplatesOnTile(tileCoords);
 
     debugLog(templatesToDraw);
 
@@ -622,7 +982,7 @@ export default class TemplateManager {
       debugLog(template);
 
       // Get the corresponding template instance to check for disabled colors
-      const currentTemplate = templateArray[i]; // Use the correct template from the array
+      const currentTemplate = templateArray.find(t => `${t.sortID} ${t.authorID}` === template.templateKey);
       const hasDisabledColors = currentTemplate && currentTemplate.getDisabledColors().length > 0;
       
                      // Check if any colors have enhanced mode enabled OR if wrong colors should be enhanced
@@ -1006,148 +1366,7 @@ export default class TemplateManager {
       }
     }
 
-    // ==================== PIXEL COUNTING (Storage Fork Logic) ====================
-    // Count painted/wrong/required pixels for this tile
-    if (templatesToDraw.length > 0) {
-      let paintedCount = 0;
-      let wrongCount = 0;
-      let requiredCount = 0;
-      
-      try {
-        // CRITICAL FIX: Always use fresh tile blob data (no cache for pixel analysis)
-        // Extract tileX and tileY from tileCoords parameter
-        const coordsParts = tileCoords.split(',');
-        const tileX = parseInt(coordsParts[0]);
-        const tileY = parseInt(coordsParts[1]);
-        const tileKey = `${tileX},${tileY}`;
-        let tileImageData;
-        
-        // ALWAYS get fresh data for accurate pixel counting
-        {
-          // CRITICAL FIX: Use the actual tile blob data (from server)
-          // This represents the real pixels painted on the server, not our template overlay
-          
-          // Get the raw tile data directly from tileBlob parameter
-          const realTileBitmap = await createImageBitmap(tileBlob);
-          const realTileCanvas = document.createElement('canvas');
-          realTileCanvas.width = drawSize;
-          realTileCanvas.height = drawSize;
-          const realTileCtx = realTileCanvas.getContext('2d', { willReadFrequently: true });
-          realTileCtx.imageSmoothingEnabled = false;
-          realTileCtx.clearRect(0, 0, drawSize, drawSize);
-          realTileCtx.drawImage(realTileBitmap, 0, 0, drawSize, drawSize);
-          
-          tileImageData = realTileCtx.getImageData(0, 0, drawSize, drawSize);
-          debugLog(`[Fresh Analysis] Using fresh tile data for ${tileKey}`);
-        }
-        
-        const tilePixels = tileImageData.data;
-        
-        debugLog(` [Real Tile Analysis] Using actual tile data from server: ${drawSize}x${drawSize}`);
-        
-        // Prepare per-color breakdown that will be populated from template bitmap comparisons
-        const colorBreakdown = {};
-
-        for (const template of templatesToDraw) {
-          // Count pixels using Storage fork logic (center pixels only)
-          const tempW = template.bitmap.width;
-          const tempH = template.bitmap.height;
-          const tempCanvas = document.createElement('canvas');
-          tempCanvas.width = tempW;
-          tempCanvas.height = tempH;
-          const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
-          tempCtx.imageSmoothingEnabled = false;
-          tempCtx.drawImage(template.bitmap, 0, 0);
-          const tImg = tempCtx.getImageData(0, 0, tempW, tempH);
-          const tData = tImg.data;
-
-          const offsetX = Number(template.pixelCoords[0]) * this.drawMult;
-          const offsetY = Number(template.pixelCoords[1]) * this.drawMult;
-
-          for (let y = 0; y < tempH; y++) {
-            for (let x = 0; x < tempW; x++) {
-              // Only evaluate the center pixel of each 3x3 block
-              if ((x % this.drawMult) !== 1 || (y % this.drawMult) !== 1) { continue; }
-              
-              const gx = x + offsetX;
-              const gy = y + offsetY;
-              if (gx < 0 || gy < 0 || gx >= drawSize || gy >= drawSize) { continue; }
-              
-              const tIdx = (y * tempW + x) * 4;
-              const tr = tData[tIdx];
-              const tg = tData[tIdx + 1];
-              const tb = tData[tIdx + 2];
-              const ta = tData[tIdx + 3];
-              
-              // Ignore transparent and semi-transparent (deface uses alpha 32)
-              if (ta < 64) { continue; }
-              // Ignore #deface explicitly
-              if (tr === 222 && tg === 250 && tb === 206) { continue; }
-              
-              const colorKey = `${tr},${tg},${tb}`;
-              if (!colorBreakdown[colorKey]) {
-                colorBreakdown[colorKey] = { painted: 0, required: 0, wrong: 0, firstWrongPixel: null };
-              }
-              colorBreakdown[colorKey].required++;
-              requiredCount++;
-
-              const tileIdx = (gy * drawSize + gx) * 4;
-              const pr = tilePixels[tileIdx];
-              const pg = tilePixels[tileIdx + 1];
-              const pb = tilePixels[tileIdx + 2];
-              const pa = tilePixels[tileIdx + 3];
-
-              if (pa < 64) {
-              } else if (pr === tr && pg === tg && pb === tb) {
-                paintedCount++;
-                colorBreakdown[colorKey].painted++;
-              } else {
-                wrongCount++;
-                colorBreakdown[colorKey].wrong++;
-                if (!colorBreakdown[colorKey].firstWrongPixel) {
-                  const pixelX = Math.floor(gx / this.drawMult);
-                  const pixelY = Math.floor(gy / this.drawMult);
-                  colorBreakdown[colorKey].firstWrongPixel = [pixelX, pixelY];
-                }
-              }
-            }
-          }
-        }
-        
-        this.tileProgress.set(tileCoords, {
-          painted: paintedCount,
-          required: requiredCount,
-          wrong: wrongCount,
-          colorBreakdown: colorBreakdown // NEW: Per-color detailed stats
-        });
-        
-        // DETAILED ACCURACY DEBUG: Show change from last analysis
-        const lastProgressKey = `lastProgress_${tileX}_${tileY}`;
-        const lastProgress = this[lastProgressKey] || { painted: 0, required: 0, wrong: 0 };
-        const paintedDiff = paintedCount - lastProgress.painted;
-        const wrongDiff = wrongCount - lastProgress.wrong;
-        
-        if (paintedDiff !== 0 || wrongDiff !== 0) {
-          debugLog(`[Accuracy Debug] Change detected:`);
-          debugLog(`   Painted: ${paintedDiff > 0 ? '+' : ''}${paintedDiff} (${lastProgress.painted} → ${paintedCount})`);
-          debugLog(`   ❌ Wrong: ${wrongDiff > 0 ? '+' : ''}${wrongDiff} (${lastProgress.wrong} → ${wrongCount})`);
-          debugLog(`   Net Progress: ${paintedDiff - wrongDiff} pixels`);
-        }
-        
-        // Store current progress for next comparison
-        this[lastProgressKey] = { painted: paintedCount, required: requiredCount, wrong: wrongCount };
-        
-        debugLog(`[Tile Progress] ${tileCoords}: ${paintedCount}/${requiredCount} painted, ${wrongCount} wrong`);
-        
-        // CROSSHAIR COMPARISON DEBUG: Compare with enhanced mode logic
-        const missingPixels = requiredCount - paintedCount;
-        const totalProblems = missingPixels + wrongCount;
-        debugLog(`[Crosshair Debug] Missing: ${missingPixels}, Wrong: ${wrongCount}, Total problems: ${totalProblems}`);
-        
-      } catch (error) {
-        console.warn('Failed to compute tile progress stats:', error);
-      }
-    }
+    await this.#analyzeTilePixels(tileBlob, tileCoords, templatesToDraw);
 
     // ==================== ERROR MAP MODE (LURK INTEGRATION) ====================
     // Apply green/red overlay when error map mode is enabled (based on lurk logic)
@@ -1348,6 +1567,7 @@ export default class TemplateManager {
     const templates = json.templates;
 
     debugLog(`BlueMarble length: ${Object.keys(templates).length}`);
+    let convertedTemplates = 0; // Templates whose tiles were still stored as PNGs
 
     if (Object.keys(templates).length > 0) {
 
@@ -1362,22 +1582,6 @@ export default class TemplateManager {
           const authorID = templateKeyArray?.[1] || '0'; // User ID of the person who exported the template
           const displayName = templateValue.name || `Template ${sortID || ''}`; // Display name of the template
           const coords = templateValue?.coords?.split(', ').map(Number); // "1, 2, 3, 4" -> [1, 2, 3, 4]
-          const tilesbase64 = templateValue.tiles;
-          const templateTiles = {}; // Stores the template bitmap tiles for each tile.
-          let totalPixelCount = 0; // Calculate total pixels across all tiles
-
-          // Process tiles in parallel for better performance
-          const tilePromises = Object.entries(tilesbase64).map(async ([tile, encodedTemplateBase64]) => {
-            const templateUint8Array = base64ToUint8(encodedTemplateBase64); // Base 64 -> Uint8Array
-            const templateBlob = new Blob([templateUint8Array], { type: "image/png" }); // Uint8Array -> Blob
-            const templateBitmap = await createImageBitmap(templateBlob) // Blob -> Bitmap
-            return [tile, templateBitmap];
-          });
-          
-          const processedTiles = await Promise.all(tilePromises);
-          for (const [tile, bitmap] of processedTiles) {
-            templateTiles[tile] = bitmap;
-          }
 
           const template = new Template({
             displayName: displayName,
@@ -1385,7 +1589,14 @@ export default class TemplateManager {
             authorID: authorID || '',
             coords: coords
           });
+
+          // Rebuilds the display bitmaps, tiles stored in the old PNG format are converted to the compact format
+          const { templateTiles, templateTilesBuffers, converted } = await template.createTemplateTilesFromStorage(templateValue.tiles);
           template.chunked = templateTiles;
+          if (converted) {
+            templateValue.tiles = templateTilesBuffers;
+            convertedTemplates++;
+          }
           // Restore pixel count from stored data for fast loading
           template.pixelCount = templateValue.pixelCount || 0;
           
@@ -1410,90 +1621,971 @@ export default class TemplateManager {
         }
       }
     }
+
+    if (convertedTemplates > 0) {
+      debugLog(`Converted the tiles of ${convertedTemplates} template(s) to the compact format`);
+      await this.#storeTemplates();
+    }
+  }
+
+  /** Parses the OSU! Place JSON object
+   */
+  #parseOSU() {
+
+  }
+
+  /** Sets the `templatesShouldBeDrawn` boolean to a value.
+   * @param {boolean} value - The value to set the boolean to
+   * @since 0.73.7
+   */
+  setTemplatesShouldBeDrawn(value) {
+    this.templatesShouldBeDrawn = value;
+  }
+
+  /** Enables or disables a specific template by its key
+   * @param {string} templateKey - The template key (e.g., "0 I+`")
+   * @param {boolean} enabled - Whether to enable or disable the template
+   * @since 1.0.0
+   */
+  setTemplateEnabled(templateKey, enabled) {
+    if (!this.templatesJSON?.templates?.[templateKey]) {
+      console.warn(`Template not found: ${templateKey}`);
+      return false;
+    }
+
+    // Update JSON
+    this.templatesJSON.templates[templateKey].enabled = enabled;
+    
+    // Update metadata
+    this.templatesJSON.lastModified = new Date().toISOString();
+    
+    // Save to storage
+    this.#storeTemplates();
+    
+    // CRITICAL FIX: Clear the tiles of this template when its enabled state changes
+    // This prevents disabled template data from leaking into progress calculations
+    this.clearTileProgressForTemplates([templateKey]);
+    
+    debugLog(`${enabled ? 'Enabled' : 'Disabled'} template: ${templateKey} - cleared its tile progress`);
+    return true;
+  }
+
+  /** Rename a template and persist the change
+   * @param {string} templateKey
+   * @param {string} newName
+   * @since 1.0.0
+   */
+  async renameTemplate(templateKey, newName) {
+    try {
+      if (!this.templatesJSON?.templates?.[templateKey]) return false;
+      const safeName = String(newName || '').trim();
+      if (!safeName) return false;
+
+      this.templatesJSON.templates[templateKey].name = safeName;
+      this.templatesJSON.lastModified = new Date().toISOString();
+
+      // Update in-memory Template instance if present
+      const [sortIdStr, authorId] = templateKey.split(' ');
+      const sortId = parseInt(sortIdStr, 10);
+      const idx = this.templatesArray?.findIndex(t => t.sortID === sortId && t.authorID === authorId) ?? -1;
+      if (idx !== -1) {
+        this.templatesArray[idx].displayName = safeName;
+      }
+
+      await this.#storeTemplates();
+      return true;
+    } catch (e) {
+      console.error('Failed to rename template', e);
+      return false;
+    }
+  }
+
+  /** Changes the draw order of all templates and persists it.
+   * sortIDs are rewritten to 0..n-1 in the given order, so the template keys change as well.
+   * @param {Array<string>} orderedKeys - Every template key, from drawn first (bottom) to drawn last (top)
+   * @returns {Promise<Object<string, string>|null>} Map of old key to new key, or null if the keys don't match the stored templates
+   * @since 1.0.0
+   */
+  async reorderTemplates(orderedKeys) {
+    const templates = this.templatesJSON?.templates;
+    if (!templates) {return null;}
+
+    const existingKeys = Object.keys(templates);
+    if (orderedKeys.length !== existingKeys.length
+      || new Set(orderedKeys).size !== orderedKeys.length
+      || !orderedKeys.every(key => templates[key])) {
+      console.warn('⚠️ Template order does not match the stored templates');
+      return null;
+    }
+
+    // Resolve every instance before any sortID changes, old and new keys can overlap
+    const instances = new Map(orderedKeys.map(key => [key, this.templatesArray.find(t => `${t.sortID} ${t.authorID}` === key)]));
+
+    const keyMap = {};
+    const reordered = {};
+    orderedKeys.forEach((oldKey, sortID) => {
+      const authorID = oldKey.split(' ')[1] || '';
+      const newKey = `${sortID} ${authorID}`;
+      keyMap[oldKey] = newKey;
+      reordered[newKey] = templates[oldKey];
+
+      const instance = instances.get(oldKey);
+      if (instance) {instance.sortID = sortID;}
+    });
+    this.templatesJSON.templates = reordered;
+
+    // Conflict winners are stored by key
+    if (this.templatesJSON.conflictWinners) {
+      const winners = {};
+      for (const [pairKey, winnerKey] of Object.entries(this.templatesJSON.conflictWinners)) {
+        const [keyA, keyB] = pairKey.split('|');
+        if (keyMap[keyA] && keyMap[keyB] && keyMap[winnerKey]) {
+          winners[this.#getConflictPairKey(keyMap[keyA], keyMap[keyB])] = keyMap[winnerKey];
+        }
+      }
+      this.templatesJSON.conflictWinners = winners;
+    }
+
+    if (this.colorFilterTemplateKey) {
+      this.colorFilterTemplateKey = keyMap[this.colorFilterTemplateKey] || null;
+    }
+
+    this.templatesArray.sort((a, b) => a.sortID - b.sortID);
+    this.currentlyDisplayedTemplates.clear();
+    this.#remapTileProgress(keyMap);
+    try {
+      clearFrozenTileCache();
+    } catch (error) {
+      console.warn('Failed to clear frozen tile cache:', error);
+    }
+
+    this.templatesJSON.lastModified = new Date().toISOString();
+    await this.#storeTemplates();
+    remapProgressHistory(keyMap);
+    remapDamageLog(keyMap);
+    return keyMap;
+  }
+
+
+
+  /** Builds a {@link Template} instance for an existing template key from a new image and/or coords.
+   * Disabled and enhanced colors are copied from the stored JSON entry.
+   * @param {string} templateKey - The template key ("sortID authorID")
+   * @param {Blob} blob - The template image
+   * @param {Array<number>} coords - Top left coords as [tileX, tileY, pixelX, pixelY]
+   * @returns {Promise<{template: Template, templateTilesBuffers: Object}>} The chunked template and its tile buffers
+   * @since 1.0.0
+   */
+  async #chunkTemplateForKey(templateKey, blob, coords) {
+    const entry = this.templatesJSON.templates[templateKey];
+    const [sortIdStr, authorId] = templateKey.split(' ');
+
+    const template = new Template({
+      displayName: entry.name,
+      sortID: parseInt(sortIdStr, 10),
+      authorID: authorId || '',
+      url: entry.URL || '',
+      file: blob,
+      coords: coords
+    });
+    const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.tileSize);
+    template.chunked = templateTiles;
+    template.setDisabledColors(entry.disabledColors || []);
+    template.setEnhancedColors(entry.enhancedColors || []);
+
+    return { template, templateTilesBuffers };
+  }
+
+  /** Swaps a template instance into templatesArray and drops everything cached for the old one
+   * @param {Template} template - The template instance to use for its key
+   * @since 1.0.0
+   */
+  #swapTemplateInstance(template) {
+    const templateKey = `${template.sortID} ${template.authorID}`;
+    const index = this.templatesArray.findIndex(t => `${t.sortID} ${t.authorID}` === templateKey);
+
+    if (index !== -1) {
+      this.templatesArray[index] = template;
+    } else {
+      this.templatesArray.push(template);
+    }
+
+    // Old tiles and progress no longer match the template
+    this.clearTileProgressForTemplates([templateKey]);
+    clearFrozenTileCache();
+  }
+
+  /** Replaces the image of an existing template and re-chunks it.
+   * Keeps the key, name, enabled state and color filter/enhanced settings of the template.
+   * @param {string} templateKey - The template key ("sortID authorID")
+   * @param {Blob} blob - The new template image
+   * @param {Array<number>} [coords=null] - New top left coords, or null to keep the current ones
+   * @returns {Promise<boolean>} Whether the template was updated
+   * @since 1.0.0
+   */
+  async replaceTemplateImage(templateKey, blob, coords = null) {
+    const entry = this.templatesJSON?.templates?.[templateKey];
+    if (!entry) {
+      console.warn(`Template not found: ${templateKey}`);
+      return false;
+    }
+
+    const newCoords = coords || entry.coords.split(',').map(Number);
+    const { template, templateTilesBuffers } = await this.#chunkTemplateForKey(templateKey, blob, newCoords);
+
+    Object.assign(entry, {
+      "coords": newCoords.join(', '),
+      "pixelCount": template.pixelCount,
+      "validPixelCount": template.validPixelCount,
+      "transparentPixelCount": template.transparentPixelCount,
+      "tiles": templateTilesBuffers
+    });
+
+    this.#swapTemplateInstance(template);
+
+    this.templatesJSON.lastModified = new Date().toISOString();
+    this.templatesJSON.totalPixels = this.templatesArray.reduce((total, t) => total + (t.pixelCount || 0), 0);
+
+    await this.#storeTemplates();
+    debugLog(`Replaced image of template ${templateKey} at ${newCoords.join(', ')}`);
+    return true;
+  }
+
+  /** Draws a template at different coords without saving anything.
+   * Used for live previews; call {@link restoreTemplateInstance} or {@link replaceTemplateImage} afterwards.
+   * @param {string} templateKey - The template key ("sortID authorID")
+   * @param {Blob} blob - The template image (see {@link buildTemplateImage})
+   * @param {Array<number>} coords - Top left coords to preview at
+   * @param {Function} [isCurrent] - Checked once the preview is chunked, the preview is dropped when it returns false (e.g. it was cancelled or a newer preview started)
+   * @returns {Promise<boolean>} True if the preview is shown
+   * @since 1.0.0
+   */
+  async previewTemplateAt(templateKey, blob, coords, isCurrent = () => true) {
+    if (!this.templatesJSON?.templates?.[templateKey]) {return false;}
+    const { template } = await this.#chunkTemplateForKey(templateKey, blob, coords);
+    if (!isCurrent()) {return false;}
+    this.#swapTemplateInstance(template);
+    return true;
+  }
+
+  /** Puts a previously saved template instance back, e.g. when a preview is cancelled
+   * @param {Template} template - The original template instance
+   * @since 1.0.0
+   */
+  restoreTemplateInstance(template) {
+    if (template) {this.#swapTemplateInstance(template);}
+  }
+
+  /** Reads the 1:1 pixels of a template back out of its chunked tiles.
+   * The #deface checkerboard is turned back into #deface pixels.
+   * @param {Template} template - The template instance
+   * @returns {Promise<{x: number, y: number, width: number, height: number, data: Uint8ClampedArray}|null>} Board position, size and RGBA data, or null if the template has no tiles
+   * @since 1.0.0
+   */
+  async #getTemplatePixels(template) {
+    const chunks = Object.entries(template?.chunked || {});
+    if (!chunks.length) {return null;}
+
+    // Board pixel bounds of every chunk
+    const placed = chunks.map(([tileName, bitmap]) => {
+      const [tx, ty, px, py] = tileName.split(',').map(Number);
+      return {
+        bitmap,
+        x: tx * this.tileSize + px,
+        y: ty * this.tileSize + py,
+        width: Math.floor(bitmap.width / this.drawMult),
+        height: Math.floor(bitmap.height / this.drawMult)
+      };
+    });
+    const originX = Math.min(...placed.map(chunk => chunk.x));
+    const originY = Math.min(...placed.map(chunk => chunk.y));
+    const width = Math.max(...placed.map(chunk => chunk.x + chunk.width)) - originX;
+    const height = Math.max(...placed.map(chunk => chunk.y + chunk.height)) - originY;
+
+    const output = new Uint8ClampedArray(width * height * 4);
+    const center = Math.floor(this.drawMult / 2);
+
+    for (const chunk of placed) {
+      const chunkCanvas = new OffscreenCanvas(chunk.bitmap.width, chunk.bitmap.height);
+      const chunkContext = chunkCanvas.getContext('2d', { willReadFrequently: true });
+      chunkContext.drawImage(chunk.bitmap, 0, 0);
+      const data = chunkContext.getImageData(0, 0, chunk.bitmap.width, chunk.bitmap.height).data;
+
+      for (let y = 0; y < chunk.height; y++) {
+        for (let x = 0; x < chunk.width; x++) {
+          const target = ((chunk.y - originY + y) * width + (chunk.x - originX + x)) * 4;
+
+          // #deface blocks are a checkerboard of translucent black, the middle pixel may be one of the gaps
+          let isDeface = false;
+          for (let dy = 0; dy < this.drawMult && !isDeface; dy++) {
+            for (let dx = 0; dx < this.drawMult && !isDeface; dx++) {
+              const i = ((y * this.drawMult + dy) * chunk.bitmap.width + (x * this.drawMult + dx)) * 4;
+              isDeface = data[i] === 0 && data[i + 1] === 0 && data[i + 2] === 0 && data[i + 3] === 32;
+            }
+          }
+          if (isDeface) {
+            output.set([222, 250, 206, 255], target);
+            continue;
+          }
+
+          const source = ((y * this.drawMult + center) * chunk.bitmap.width + (x * this.drawMult + center)) * 4;
+          output.set(data.subarray(source, source + 4), target);
+        }
+      }
+    }
+
+    return { x: originX, y: originY, width, height, data: output };
+  }
+
+  /** Gets the 1:1 pixels of a template, reading them from its chunked tiles only once per template instance
+   * @param {Template} template - The template instance
+   * @returns {Promise<{x: number, y: number, width: number, height: number, data: Uint8ClampedArray}|null>} Same as #getTemplatePixels
+   * @since 1.0.0
+   */
+  #getCachedTemplatePixels(template) {
+    let cached = this.templatePixelsCache.get(template);
+    if (!cached) {
+      cached = this.#getTemplatePixels(template).then(pixels => {
+        this.templatePixelsCache.set(template, pixels);
+        return pixels;
+      }, error => {
+        this.templatePixelsCache.delete(template); // Read again on the next call
+        throw error;
+      });
+      this.templatePixelsCache.set(template, cached);
+    }
+    return Promise.resolve(cached);
+  }
+
+  /** Gets the color enabled templates require at a board pixel, without waiting.
+   * Templates whose pixels have not been read yet are skipped and read in the background, so they are known on the next call.
+   * @param {Array<number>} coords - The pixel as [tileX, tileY, pixelX, pixelY]
+   * @returns {string|null} The required color "r,g,b" of the template that owns the pixel, or null
+   * @since 1.0.0
+   */
+  getTemplateColorAt(coords) {
+    return this.#findTemplatePixel(coords)?.colorKey || null;
+  }
+
+  /** Finds the enabled template that owns a board pixel.
+   * Overlaps are resolved like the tile analysis does: identical colors stay with the first template in draw order, different colors go to the conflict winner.
+   * Templates whose pixels have not been read yet are skipped and read in the background, the result is then marked incomplete.
+   * @param {Array<number>} coords - The pixel as [tileX, tileY, pixelX, pixelY]
+   * @returns {{templateKey: string, colorKey: string, isComplete: boolean}|null} The template, the color "r,g,b" it requires and whether every template was checked, or null
+   * @since 1.0.0
+   */
+  #findTemplatePixel([tileX, tileY, pixelX, pixelY]) {
+    const boardX = tileX * this.tileSize + pixelX;
+    const boardY = tileY * this.tileSize + pixelY;
+    let owner = null;
+    let isComplete = true;
+
+    for (const template of this.templatesArray) {
+      const templateKey = `${template.sortID} ${template.authorID}`;
+      if (!this.isTemplateEnabled(templateKey)) {continue;}
+
+      const pixels = this.templatePixelsCache.get(template);
+      if (!pixels || pixels instanceof Promise) {
+        this.#getCachedTemplatePixels(template).catch(error => console.warn('Failed to read template pixels:', error));
+        isComplete = false;
+        continue;
+      }
+
+      const x = boardX - pixels.x;
+      const y = boardY - pixels.y;
+      if (x < 0 || y < 0 || x >= pixels.width || y >= pixels.height) {continue;}
+
+      const i = (y * pixels.width + x) * 4;
+      if (pixels.data[i + 3] < 64) {continue;}
+      const colorKey = `${pixels.data[i]},${pixels.data[i + 1]},${pixels.data[i + 2]}`;
+      if (!owner || (owner.colorKey !== colorKey && this.getConflictWinner(owner.templateKey, templateKey) === templateKey)) {
+        owner = { templateKey, colorKey };
+      }
+    }
+
+    // A #deface pixel owns the spot but requires nothing
+    return (!owner || owner.colorKey === '222,250,206') ? null : { ...owner, isComplete };
+  }
+
+  /** Compares the template color of a board pixel with the canvas, using the last tile analysis.
+   * The pixel is looked up the same way the analysis assigns it, so the analyzed results of the tile belong to the returned template.
+   * @param {Array<number>} coords - The pixel as [tileX, tileY, pixelX, pixelY]
+   * @returns {{templateKey: string|null, expected: string|null, actual: string|null, status: string}} Expected and actual colors "r,g,b" where known. Status is correct, wrong, unpainted, unknown (tile not analyzed or overlapping templates not read yet) or none (no template pixel)
+   * @since 1.0.0
+   */
+  inspectPixel(coords) {
+    const [tileX, tileY, pixelX, pixelY] = coords;
+    const found = this.#findTemplatePixel(coords);
+    const result = { templateKey: found?.templateKey || null, expected: found?.colorKey || null, actual: null, status: found ? 'unknown' : 'none' };
+    if (!found) {return result;}
+
+    // An overlapping template may still be read, the owner is not known yet
+    if (!found.isComplete) {return result;}
+
+    const tileData = this.tileProgress.get(tileX.toString().padStart(4, '0') + ',' + tileY.toString().padStart(4, '0'));
+    if (!tileData || tileData.stale || !tileData.templateStats?.[found.templateKey]) {return result;}
+
+    // The mask bit is set when the canvas had the owner's color, and the owner is the template found above
+    const pixelIndex = pixelY * this.tileSize + pixelX;
+    if (tileData.correctMask && (tileData.correctMask[pixelIndex >> 3] & (1 << (pixelIndex & 7)))) {
+      const matchedColor = tileData.colorBreakdown?.[found.colorKey]?.painted > 0 ? found.colorKey : null;
+      return { ...result, actual: matchedColor, status: matchedColor ? 'correct' : 'unknown' };
+    }
+
+    const wrongPixel = tileData.wrongPixels?.find(pixel => pixel.x === pixelX && pixel.y === pixelY && pixel.templateKey === found.templateKey);
+    if (wrongPixel) {
+      return { ...result, actual: wrongPixel.actual, status: 'wrong' };
+    }
+
+    // Excluded colors are not analyzed, so nothing is known about them
+    if (this.getTemplateExcludedColors(found.templateKey).includes(found.colorKey)) {return result;}
+    return { ...result, status: 'unpainted' };
+  }
+
+  /** Finds the wrong or unpainted pixel of a template nearest to a board position.
+   * Only tiles analyzed with this template in this session are searched. Colors disabled in the template's color filter and excluded colors are skipped,
+   * and so are pixels where an overlapping template wants another color and wins the conflict.
+   * @param {Template} template - The template instance
+   * @param {Array<number>} origin - Board pixel to measure from as [x, y]
+   * @param {Set<number>} [skip=new Set()] - Board pixels to leave out, as y * 1e7 + x
+   * @returns {Promise<{tileX: number, tileY: number, pixelX: number, pixelY: number, expected: string, actual: string|null, remaining: number}|null>} The nearest target (actual is null when unpainted) and how many targets are left, or null if there is none
+   * @since 1.0.0
+   */
+  async findNextTarget(template, origin, skip = new Set()) {
+    const pixels = await this.#getCachedTemplatePixels(template);
+    if (!pixels) {return null;}
+
+    const templateKey = `${template.sortID} ${template.authorID}`;
+    const skippedColors = new Set([...template.getDisabledColors(), ...this.getTemplateExcludedColors(templateKey)]);
+    const { x: originX, y: originY, width, height, data } = pixels;
+
+    // Overlapping templates that own the pixels they disagree on
+    const winners = [];
+    for (const other of this.templatesArray) {
+      const otherKey = `${other.sortID} ${other.authorID}`;
+      if (otherKey === templateKey || !this.isTemplateEnabled(otherKey)) {continue;}
+      if (this.getConflictWinner(templateKey, otherKey) !== otherKey) {continue;}
+      const otherPixels = await this.#getCachedTemplatePixels(other);
+      if (!otherPixels) {continue;}
+      if (otherPixels.x >= originX + width || otherPixels.x + otherPixels.width <= originX
+        || otherPixels.y >= originY + height || otherPixels.y + otherPixels.height <= originY) {continue;}
+      winners.push(otherPixels);
+    }
+
+    let best = null;
+    let bestDistance = Infinity;
+    let remaining = 0;
+    let tileData = null;
+    let tileDataKey = null;
+
+    for (let y = 0; y < height; y++) {
+      const boardY = originY + y;
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 4;
+        if (data[i + 3] < 64) {continue;}
+        if (data[i] === 222 && data[i + 1] === 250 && data[i + 2] === 206) {continue;} // #deface
+
+        const colorKey = `${data[i]},${data[i + 1]},${data[i + 2]}`;
+        if (skippedColors.has(colorKey)) {continue;}
+
+        const boardX = originX + x;
+        const isOwnedByOther = winners.some(other => {
+          const otherX = boardX - other.x;
+          const otherY = boardY - other.y;
+          if (otherX < 0 || otherY < 0 || otherX >= other.width || otherY >= other.height) {return false;}
+          const j = (otherY * other.width + otherX) * 4;
+          return other.data[j + 3] >= 64 && (other.data[j] !== data[i] || other.data[j + 1] !== data[i + 1] || other.data[j + 2] !== data[i + 2]);
+        });
+        if (isOwnedByOther) {continue;}
+
+        const tileX = Math.floor(boardX / this.tileSize);
+        const tileY = Math.floor(boardY / this.tileSize);
+        const tileCoords = tileX.toString().padStart(4, '0') + ',' + tileY.toString().padStart(4, '0');
+        if (tileCoords !== tileDataKey) {
+          tileDataKey = tileCoords;
+          tileData = this.tileProgress.get(tileCoords);
+        }
+        if (!tileData || tileData.stale || !tileData.templateStats?.[templateKey]) {continue;} // Not known whether this pixel is done
+
+        const pixelIndex = (boardY - tileY * this.tileSize) * this.tileSize + (boardX - tileX * this.tileSize);
+        if (tileData.correctMask && (tileData.correctMask[pixelIndex >> 3] & (1 << (pixelIndex & 7)))) {continue;}
+        if (skip.has(boardY * 1e7 + boardX)) {continue;}
+
+        remaining++;
+        const distance = (boardX - origin[0]) ** 2 + (boardY - origin[1]) ** 2;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = { boardX, boardY, tileX, tileY, tileData, expected: colorKey };
+        }
+      }
+    }
+
+    if (!best) {return null;}
+
+    const pixelX = best.boardX - best.tileX * this.tileSize;
+    const pixelY = best.boardY - best.tileY * this.tileSize;
+    const wrongPixel = best.tileData.wrongPixels?.find(pixel => pixel.x === pixelX && pixel.y === pixelY);
+    return { tileX: best.tileX, tileY: best.tileY, pixelX, pixelY, expected: best.expected, actual: wrongPixel?.actual || null, remaining };
+  }
+
+  /** Rebuilds the original 1:1 template image from its chunked tiles.
+   * @param {string} templateKey - The template key ("sortID authorID")
+   * @returns {Promise<Blob|null>} The template image as PNG, or null if the template has no tiles
+   * @since 1.0.0
+   */
+  async buildTemplateImage(templateKey) {
+    const template = this.templatesArray.find(t => `${t.sortID} ${t.authorID}` === templateKey);
+    const pixels = await this.#getTemplatePixels(template);
+    if (!pixels) {return null;}
+
+    const canvas = new OffscreenCanvas(pixels.width, pixels.height);
+    canvas.getContext('2d').putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+    return await canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  /** Gets the key used to store the winner of a template pair
+   * @param {string} keyA - First template key
+   * @param {string} keyB - Second template key
+   * @returns {string} Order independent pair key
+   * @since 1.0.0
+   */
+  #getConflictPairKey(keyA, keyB) {
+    return [keyA, keyB].sort().join('|');
+  }
+
+  /** Gets which template wins where two templates disagree on a pixel.
+   * Without a saved choice the template drawn on top (highest sortID) wins.
+   * @param {string} keyA - First template key
+   * @param {string} keyB - Second template key
+   * @returns {string} The key of the winning template
+   * @since 1.0.0
+   */
+  getConflictWinner(keyA, keyB) {
+    const saved = this.templatesJSON?.conflictWinners?.[this.#getConflictPairKey(keyA, keyB)];
+    if (saved === keyA || saved === keyB) {return saved;}
+    return parseInt(keyA, 10) > parseInt(keyB, 10) ? keyA : keyB;
+  }
+
+  /** Sets which template wins where two templates disagree on a pixel
+   * @param {string} keyA - First template key
+   * @param {string} keyB - Second template key
+   * @param {string|null} winnerKey - The winning template key, or null to go back to draw order
+   * @since 1.0.0
+   */
+  async setConflictWinner(keyA, keyB, winnerKey) {
+    if (!this.templatesJSON) {return;}
+    this.templatesJSON.conflictWinners = this.templatesJSON.conflictWinners || {};
+
+    const pairKey = this.#getConflictPairKey(keyA, keyB);
+    if (winnerKey) {
+      this.templatesJSON.conflictWinners[pairKey] = winnerKey;
+    } else {
+      delete this.templatesJSON.conflictWinners[pairKey];
+    }
+
+    // Progress has to be recounted with the new owner of the conflicting pixels
+    this.clearTileProgressForTemplates([keyA, keyB]);
+    await this.#storeTemplates();
+  }
+
+  /** Finds every pair of enabled templates that overlap and disagree on pixels
+   * @param {number} [maxLocations=500] - Maximum conflicting locations to keep per pair
+   * @returns {Promise<Array<{keyA: string, keyB: string, nameA: string, nameB: string, overlapPixels: number, conflictCount: number, locations: Array<Array<number>>, winner: string}>>} Conflicting pairs, most conflicts first
+   * @since 1.0.0
+   */
+  async analyzeTemplateConflicts(maxLocations = 500) {
+    const enabled = this.templatesArray.filter(t => this.isTemplateEnabled(`${t.sortID} ${t.authorID}`));
+    const pixelsByKey = new Map();
+    for (const template of enabled) {
+      const pixels = await this.#getTemplatePixels(template);
+      if (pixels) {pixelsByKey.set(`${template.sortID} ${template.authorID}`, { template, pixels });}
+    }
+
+    const conflicts = [];
+    const entries = Array.from(pixelsByKey.entries());
+
+    for (let i = 0; i < entries.length; i++) {
+      for (let j = i + 1; j < entries.length; j++) {
+        const [keyA, { template: templateA, pixels: a }] = entries[i];
+        const [keyB, { template: templateB, pixels: b }] = entries[j];
+
+        // Intersection of the two bounding boxes in board pixels
+        const left = Math.max(a.x, b.x);
+        const top = Math.max(a.y, b.y);
+        const right = Math.min(a.x + a.width, b.x + b.width);
+        const bottom = Math.min(a.y + a.height, b.y + b.height);
+        if (left >= right || top >= bottom) {continue;}
+
+        let overlapPixels = 0;
+        let conflictCount = 0;
+        const locations = [];
+
+        for (let y = top; y < bottom; y++) {
+          for (let x = left; x < right; x++) {
+            const ia = ((y - a.y) * a.width + (x - a.x)) * 4;
+            const ib = ((y - b.y) * b.width + (x - b.x)) * 4;
+            if (a.data[ia + 3] < 64 || b.data[ib + 3] < 64) {continue;}
+
+            overlapPixels++;
+            if (a.data[ia] !== b.data[ib] || a.data[ia + 1] !== b.data[ib + 1] || a.data[ia + 2] !== b.data[ib + 2]) {
+              conflictCount++;
+              if (locations.length < maxLocations) {
+                locations.push([Math.floor(x / this.tileSize), Math.floor(y / this.tileSize), x % this.tileSize, y % this.tileSize]);
+              }
+            }
+          }
+        }
+
+        if (conflictCount > 0) {
+          conflicts.push({
+            keyA,
+            keyB,
+            nameA: templateA.displayName,
+            nameB: templateB.displayName,
+            overlapPixels,
+            conflictCount,
+            locations,
+            winner: this.getConflictWinner(keyA, keyB)
+          });
+        }
+      }
+    }
+
+    return conflicts.sort((first, second) => second.conflictCount - first.conflictCount);
+  }
+
+  /** Downloads an image with GM_xmlhttpRequest so cross-origin hosts work
+   * @param {string} url - The image URL
+   * @returns {Promise<Blob>} The image blob
+   * @since 1.0.0
+   */
+  #fetchRemoteImage(url) {
+    return new Promise((resolve, reject) => {
+      if (typeof GM_xmlhttpRequest !== 'function') {
+        fetch(url, { cache: 'no-store' })
+          .then(response => response.ok ? response.blob() : Promise.reject(new Error(`HTTP ${response.status}`)))
+          .then(resolve, reject);
+        return;
+      }
+
+      GM_xmlhttpRequest({
+        method: 'GET',
+        url,
+        responseType: 'blob',
+        headers: { 'Cache-Control': 'no-cache' },
+        onload: (res) => {
+          if (res.status >= 200 && res.status < 300 && res.response) {
+            resolve(res.response);
+          } else {
+            reject(new Error(`HTTP ${res.status}`));
+          }
+        },
+        onerror: () => reject(new Error('Network error')),
+        ontimeout: () => reject(new Error('Request timed out')),
+        timeout: 30000
+      });
+    });
+  }
+
+  /** Hashes a blob so remote images can be compared without keeping the old copy
+   * @param {Blob} blob - The blob to hash
+   * @returns {Promise<string>} Hex encoded SHA-256 digest
+   * @since 1.0.0
+   */
+  async #hashBlob(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /** Creates a template from an image URL and keeps it in sync with that URL
+   * @param {string} url - The image URL
+   * @param {string} name - The display name of the template
+   * @param {Array<number>} coords - The coordinates of the top left corner of the template
+   * @param {Object} [options={}] - Extra options passed to {@link createTemplate}
+   * @returns {Promise<string>} The key of the created template
+   * @since 1.0.0
+   */
+  async createTemplateFromURL(url, name, coords, options = {}) {
+    if (!isRemoteTemplateHost(url)) {
+      throw new Error(`Unsupported image host, use one of: ${remoteTemplateHosts.join(', ')}`);
+    }
+    this.overlay.handleDisplayStatus(`Downloading template image from ${url}...`);
+    const blob = await this.#fetchRemoteImage(url);
+    const hash = await this.#hashBlob(blob);
+    return await this.createTemplate(blob, name, coords, { ...options, remote: { url, hash } });
+  }
+
+  /** Re-downloads every URL template and re-chunks the ones whose image changed.
+   * Templates whose URL is not on a supported image host are skipped and reported once.
+   * @returns {Promise<number>} The number of templates that were updated
+   * @since 1.0.0
+   */
+  async refreshRemoteTemplates() {
+    if (this.remoteRefreshInProgress) {return 0;}
+    this.remoteRefreshInProgress = true;
+
+    let updated = 0;
+    let checked = 0;
+    const unsupported = []; // Names of URL templates whose host is newly found unsupported
+    try {
+      const remoteEntries = Object.entries(this.templatesJSON?.templates || {})
+        .filter(([, entry]) => entry.URL && entry.URLType === 'template');
+
+      for (const [templateKey, entry] of remoteEntries) {
+        // Imported templates and profiles skip the URL dialog, so their host is checked here
+        if (!isRemoteTemplateHost(entry.URL)) {
+          if (!this.reportedRemoteHosts.has(entry.URL)) {
+            this.reportedRemoteHosts.add(entry.URL);
+            unsupported.push(entry.name || templateKey);
+            console.warn(`⚠️ [Remote Templates] Not refreshing "${entry.name}", ${entry.URL} is not on a supported image host`);
+          }
+          continue;
+        }
+
+        try {
+          const blob = await this.#fetchRemoteImage(entry.URL);
+          const hash = await this.#hashBlob(blob);
+          entry.URLCheckedAt = new Date().toISOString();
+          checked++;
+
+          if (hash === entry.URLHash) {continue;}
+
+          debugLog(`[Remote Templates] Image changed for ${templateKey} (${entry.name}), re-chunking`);
+          // The hash is only kept once the new image is chunked, so a failed replace is retried on the next check
+          if (await this.replaceTemplateImage(templateKey, blob)) {
+            entry.URLHash = hash;
+            updated++;
+          }
+        } catch (error) {
+          console.warn(`⚠️ [Remote Templates] Failed to refresh "${entry.name}" from ${entry.URL}:`, error);
+        }
+      }
+
+      // Saves the check times, and the hashes of the replaced images
+      if (checked > 0) {await this.#storeTemplates();}
+
+      if (updated > 0) {
+        this.overlay.handleDisplayStatus(`Updated ${updated} URL template${updated === 1 ? '' : 's'} from their source`);
+      }
+      if (unsupported.length) {
+        this.overlay.handleDisplayError(`Not refreshing ${unsupported.join(', ')}: images can only be loaded from ${remoteTemplateHosts.join(', ')}`);
+      }
+    } finally {
+      this.remoteRefreshInProgress = false;
+    }
+
+    return updated;
   }
 
-  /** Parses the OSU! Place JSON object
+  /** Starts (or restarts) the periodic refresh of URL templates
+   * @param {number} intervalMinutes - Minutes between checks, 0 stops refreshing
+   * @since 1.0.0
    */
-  #parseOSU() {
+  setRemoteRefreshInterval(intervalMinutes) {
+    clearInterval(this.remoteRefreshTimer);
+    this.remoteRefreshTimer = null;
 
+    if (intervalMinutes > 0) {
+      this.remoteRefreshTimer = setInterval(() => this.refreshRemoteTemplates(), intervalMinutes * 60 * 1000);
+      debugLog(`[Remote Templates] Checking URL templates every ${intervalMinutes} minutes`);
+    }
   }
 
-  /** Sets the `templatesShouldBeDrawn` boolean to a value.
-   * @param {boolean} value - The value to set the boolean to
-   * @since 0.73.7
+  /** Clears the tile progress cache to prevent data leakage between enabled/disabled templates
+   * This ensures that progress calculations only include data from currently enabled templates
+   * @since 1.0.0
    */
-  setTemplatesShouldBeDrawn(value) {
-    this.templatesShouldBeDrawn = value;
+  clearTileProgressCache() {
+    const oldSize = this.tileProgress.size;
+    this.tileProgress.clear();
+    debugLog(`🧹 [Cache Clear] Cleared ${oldSize} tile progress entries to prevent template data leakage`);
   }
 
-  /** Enables or disables a specific template by its key
-   * @param {string} templateKey - The template key (e.g., "0 I+`")
-   * @param {boolean} enabled - Whether to enable or disable the template
+  /** Drops the analysis of the tiles a template is counted on or covers.
+   * Tiles of other templates are kept, the next save persists only what was dropped.
+   * @param {Array<string>} templateKeys - The template keys ("sortID authorID")
+   * @returns {number} Number of dropped tiles
    * @since 1.0.0
    */
-  setTemplateEnabled(templateKey, enabled) {
-    if (!this.templatesJSON?.templates?.[templateKey]) {
-      console.warn(`Template not found: ${templateKey}`);
-      return false;
+  clearTileProgressForTemplates(templateKeys) {
+    const keys = new Set(templateKeys);
+    const tiles = new Set();
+    for (const template of this.templatesArray) {
+      if (!keys.has(`${template.sortID} ${template.authorID}`)) {continue;}
+      for (const chunkKey of Object.keys(template.chunked || {})) {
+        tiles.add(chunkKey.split(',').slice(0, 2).join(','));
+      }
     }
 
-    // Update JSON
-    this.templatesJSON.templates[templateKey].enabled = enabled;
-    
-    // Update metadata
-    this.templatesJSON.lastModified = new Date().toISOString();
-    
-    // Save to storage
-    this.#storeTemplates();
-    
-    // CRITICAL FIX: Clear tile progress cache when template enabled state changes
-    // This prevents disabled template data from leaking into progress calculations
-    this.clearTileProgressCache();
-    
-    debugLog(`${enabled ? 'Enabled' : 'Disabled'} template: ${templateKey} - cleared tile progress cache`);
-    return true;
+    let dropped = 0;
+    for (const [tileCoords, tileData] of this.tileProgress.entries()) {
+      const isCounted = Object.keys(tileData.templateStats || {}).some(templateKey => keys.has(templateKey));
+      if (isCounted || tiles.has(tileCoords)) {
+        this.tileProgress.delete(tileCoords);
+        dropped++;
+      }
+    }
+
+    if (dropped) {this.#scheduleTileProgressSave();}
+    debugLog(`🧹 [Cache Clear] Cleared ${dropped} tile progress entries of ${[...keys].join(', ')}`);
+    return dropped;
   }
 
-  /** Rename a template and persist the change
-   * @param {string} templateKey
-   * @param {string} newName
+  /** Renames the template keys of the tile analysis after a reorder.
+   * Tiles counted for more than one template are dropped, since the new order may change who owns a pixel.
+   * @param {Object<string, string>} keyMap - Old template key to new template key
    * @since 1.0.0
    */
-  async renameTemplate(templateKey, newName) {
-    try {
-      if (!this.templatesJSON?.templates?.[templateKey]) return false;
-      const safeName = String(newName || '').trim();
-      if (!safeName) return false;
+  #remapTileProgress(keyMap) {
+    for (const [tileCoords, tileData] of this.tileProgress.entries()) {
+      const templateKeys = Object.keys(tileData.templateStats || {});
+      if (templateKeys.length > 1) {
+        this.tileProgress.delete(tileCoords);
+        continue;
+      }
 
-      this.templatesJSON.templates[templateKey].name = safeName;
-      this.templatesJSON.lastModified = new Date().toISOString();
+      const templateStats = {};
+      for (const templateKey of templateKeys) {
+        templateStats[keyMap[templateKey] || templateKey] = tileData.templateStats[templateKey];
+      }
+      tileData.templateStats = templateStats;
+      for (const pixel of tileData.wrongPixels || []) {
+        pixel.templateKey = keyMap[pixel.templateKey] || pixel.templateKey;
+      }
+    }
+    this.#scheduleTileProgressSave();
+  }
 
-      // Update in-memory Template instance if present
-      const [sortIdStr, authorId] = templateKey.split(' ');
-      const sortId = parseInt(sortIdStr, 10);
-      const idx = this.templatesArray?.findIndex(t => t.sortID === sortId && t.authorID === authorId) ?? -1;
-      if (idx !== -1) {
-        this.templatesArray[idx].displayName = safeName;
+  /** Gets a signature of a template's image, position and excluded colors.
+   * Saved tile analysis is only restored while the signature is unchanged.
+   * @param {string} templateKey - The template key ("sortID authorID")
+   * @returns {string|null} The signature, or null if the template does not exist
+   * @since 1.0.0
+   */
+  getTemplateSignature(templateKey) {
+    const entry = this.templatesJSON?.templates?.[templateKey];
+    if (!entry?.tiles) {return null;}
+
+    let tilesHash = this.tileSignatureCache.get(entry.tiles);
+    if (tilesHash === undefined) {
+      tilesHash = 0x811c9dc5;
+      for (const tileKey of Object.keys(entry.tiles).sort()) {
+        const tile = entry.tiles[tileKey];
+        tilesHash = hashString(tileKey, tilesHash);
+        tilesHash = hashString(typeof tile === 'string' ? tile : JSON.stringify(tile), tilesHash);
       }
+      this.tileSignatureCache.set(entry.tiles, tilesHash);
+    }
+    const excludedHash = hashString([...(entry.excludedColors || [])].sort().join(';'));
+    return `${entry.coords}#${tilesHash.toString(36)}#${excludedHash.toString(36)}`;
+  }
 
-      await this.#storeTemplates();
-      return true;
-    } catch (e) {
-      console.error('Failed to rename template', e);
-      return false;
+  /** Saves the tile analysis a few seconds after the last change
+   * @since 1.0.0
+   */
+  #scheduleTileProgressSave() {
+    if (this.tileProgressSaveTimer) {return;}
+    this.tileProgressSaveTimer = setTimeout(() => this.saveTileProgressNow(), 15 * 1000);
+  }
+
+  /** Saves the analysis of every tile, with the signature of each counted template.
+   * Wrong pixel lists and correct pixel masks are left out, they are rebuilt on the next analysis.
+   * @since 1.0.0
+   */
+  saveTileProgressNow() {
+    clearTimeout(this.tileProgressSaveTimer);
+    this.tileProgressSaveTimer = null;
+
+    const saved = {};
+    for (const [tileCoords, tileData] of this.tileProgress.entries()) {
+      if (!tileData.analyzedAt || !tileData.templateStats) {continue;}
+
+      const signatures = {};
+      for (const templateKey of Object.keys(tileData.templateStats)) {
+        signatures[templateKey] = this.getTemplateSignature(templateKey);
+      }
+      saved[tileCoords] = {
+        painted: tileData.painted,
+        required: tileData.required,
+        wrong: tileData.wrong,
+        colorBreakdown: tileData.colorBreakdown,
+        templateStats: tileData.templateStats,
+        analyzedAt: tileData.analyzedAt,
+        signatures
+      };
     }
+    saveTileProgress(saved);
+    debugLog(`[Tile Progress] Saved analysis of ${Object.keys(saved).length} tile(s)`);
   }
 
+  /** Restores the tile analysis saved on the last visit.
+   * Restored tiles are marked stale until they are analyzed again. Tiles of templates whose image or coords changed are dropped.
+   * @returns {Promise<number>} Number of restored tiles
+   * @since 1.0.0
+   */
+  async restoreTileProgress() {
+    const saved = await loadSavedTileProgress();
+    let restored = 0;
+    let dropped = 0;
+
+    for (const [tileCoords, tileData] of Object.entries(saved)) {
+      if (this.tileProgress.has(tileCoords)) {continue;} // Already analyzed in this session
+
+      const isValid = Object.entries(tileData.signatures || {})
+        .every(([templateKey, signature]) => signature && signature === this.getTemplateSignature(templateKey));
+      if (!isValid) {
+        dropped++;
+        continue;
+      }
+
+      this.tileProgress.set(tileCoords, {
+        painted: tileData.painted,
+        required: tileData.required,
+        wrong: tileData.wrong,
+        colorBreakdown: tileData.colorBreakdown || {},
+        wrongPixels: [],
+        templateStats: tileData.templateStats || {},
+        correctMask: null,
+        analyzedAt: tileData.analyzedAt,
+        stale: true
+      });
+      restored++;
+    }
 
+    if (dropped) {this.#scheduleTileProgressSave();}
+    debugLog(`[Tile Progress] Restored ${restored} saved tile(s), dropped ${dropped} outdated`);
+    return restored;
+  }
 
-  /** Clears the tile progress cache to prevent data leakage between enabled/disabled templates
-   * This ensures that progress calculations only include data from currently enabled templates
+  /** Forgets restored tiles that were not analyzed again in this session, and saves what is left
+   * @returns {number} Number of forgotten tiles
    * @since 1.0.0
    */
-  clearTileProgressCache() {
-    const oldSize = this.tileProgress.size;
-    this.tileProgress.clear();
-    debugLog(`🧹 [Cache Clear] Cleared ${oldSize} tile progress entries to prevent template data leakage`);
+  dropStaleTileProgress() {
+    let dropped = 0;
+    for (const [tileCoords, tileData] of this.tileProgress.entries()) {
+      if (!tileData.stale) {continue;}
+      this.tileProgress.delete(tileCoords);
+      dropped++;
+    }
+    this.saveTileProgressNow();
+    return dropped;
+  }
+
+  /** Summarizes the restored tiles of enabled templates that were not analyzed again yet
+   * @returns {{count: number, oldest: number|null}} Number of stale tiles and when the oldest was analyzed
+   * @since 1.0.0
+   */
+  getStaleTileSummary() {
+    let count = 0;
+    let oldest = null;
+    for (const tileData of this.tileProgress.values()) {
+      if (!tileData.stale) {continue;}
+      if (!Object.keys(tileData.templateStats || {}).some(templateKey => this.isTemplateEnabled(templateKey))) {continue;}
+      count++;
+      oldest = oldest === null ? tileData.analyzedAt : Math.min(oldest, tileData.analyzedAt);
+    }
+    return { count, oldest };
   }
 
   /** Enables or disables smart template detection
@@ -1538,11 +2630,190 @@ export default class TemplateManager {
     return this.templatesJSON?.templates?.[templateKey]?.enabled ?? true;
   }
 
+  /** Gets the index of the template the color filter edits.
+   * Falls back to the first template when none was picked or the picked one is gone.
+   * @returns {number} Index into {@link templatesArray}
+   * @since 1.0.0
+   */
+  getColorFilterTemplateIndex() {
+    const index = this.templatesArray.findIndex(t => `${t.sortID} ${t.authorID}` === this.colorFilterTemplateKey);
+    return index === -1 ? 0 : index;
+  }
+
+  /** Gets the template the color filter edits
+   * @returns {Template|undefined} The template instance, or undefined if no template is loaded
+   * @since 1.0.0
+   */
+  getColorFilterTemplate() {
+    return this.templatesArray[this.getColorFilterTemplateIndex()];
+  }
+
+  /** Picks the template the color filter edits
+   * @param {string} templateKey - The template key ("sortID authorID")
+   * @since 1.0.0
+   */
+  setColorFilterTemplate(templateKey) {
+    this.colorFilterTemplateKey = templateKey;
+  }
+
+  /** Gets the templates currently on screen (smart detection).
+   * Falls back to the color filter template when nothing has been drawn yet.
+   * @returns {Array<Template>} The displayed, enabled templates in draw order
+   * @since 1.0.0
+   */
+  getDisplayedTemplates() {
+    const displayed = this.templatesArray.filter(t => {
+      const templateKey = `${t.sortID} ${t.authorID}`;
+      return this.currentlyDisplayedTemplates.has(templateKey) && this.isTemplateEnabled(templateKey);
+    });
+    if (displayed.length > 0) {return displayed;}
+
+    const fallback = this.getColorFilterTemplate();
+    return fallback ? [fallback] : [];
+  }
+
+  /** Sums the analyzed tiles into painted/required/wrong totals per template.
+   * Only tiles that have been drawn are counted, compare tilesCounted to tilesTotal to know if a total is complete.
+   * @param {boolean} [includeDisabled=false] - Also return (usually empty) totals for disabled templates
+   * @returns {Object<string, {painted: number, required: number, wrong: number, tilesCounted: number, tilesTotal: number, staleTiles: number, lastAnalyzed: number|null}>} Totals per template key, lastAnalyzed is when the newest counted tile was analyzed and staleTiles how many counted tiles were restored from storage and not analyzed again yet
+   * @since 1.0.0
+   */
+  getTemplateProgressTotals(includeDisabled = false) {
+    const totals = {};
+
+    for (const template of this.templatesArray) {
+      const templateKey = `${template.sortID} ${template.authorID}`;
+      if (!includeDisabled && !this.isTemplateEnabled(templateKey)) {continue;}
+
+      const tiles = new Set(Object.keys(template.chunked || {}).map(chunkKey => chunkKey.split(',').slice(0, 2).join(',')));
+      const total = { painted: 0, required: 0, wrong: 0, tilesCounted: 0, tilesTotal: tiles.size, staleTiles: 0, lastAnalyzed: null };
+
+      for (const tileCoords of tiles) {
+        const tileData = this.tileProgress.get(tileCoords);
+        const stats = tileData?.templateStats?.[templateKey];
+        if (!stats) {continue;}
+        total.painted += stats.painted;
+        total.required += stats.required;
+        total.wrong += stats.wrong;
+        total.tilesCounted++;
+        if (tileData.stale) {total.staleTiles++;}
+        total.lastAnalyzed = Math.max(total.lastAnalyzed || 0, tileData.analyzedAt || 0) || null;
+      }
+
+      totals[templateKey] = total;
+    }
+
+    return totals;
+  }
+
+  /** Lists every wrong pixel found in the analyzed tiles
+   * @returns {Array<{tileX: number, tileY: number, pixelX: number, pixelY: number, expected: string, actual: string, templateKey: string}>} Wrong pixels with "r,g,b" expected and actual colors
+   * @since 1.0.0
+   */
+  getWrongPixels() {
+    const list = [];
+    for (const [tileCoords, tileData] of this.tileProgress.entries()) {
+      if (!tileData.wrongPixels?.length) {continue;}
+      const [tileX, tileY] = tileCoords.split(',').map(Number);
+
+      for (const pixel of tileData.wrongPixels) {
+        // Templates may have been disabled since the tile was counted
+        if (!this.isTemplateEnabled(pixel.templateKey)) {continue;}
+        list.push({ tileX, tileY, pixelX: pixel.x, pixelY: pixel.y, expected: pixel.expected, actual: pixel.actual, templateKey: pixel.templateKey, paintedBy: this.#getPixelPainter([tileX, tileY, pixel.x, pixel.y], pixel.actual) });
+      }
+    }
+    return list;
+  }
+
+  /** Gets who painted a pixel, if it was clicked while it had its current color
+   * @param {Array<number>} coords - The pixel as [tileX, tileY, pixelX, pixelY]
+   * @param {string} actual - The color currently on the pixel "r,g,b"
+   * @returns {Object|null} The painter, or null if unknown
+   * @since 1.0.0
+   */
+  #getPixelPainter(coords, actual) {
+    const record = this.pixelPainters.get(coords.join(','));
+    return record?.actual === actual ? record.painter : null;
+  }
+
+  /** Remembers who painted a wrong pixel, from the pixel info the site fetched when it was clicked.
+   * The painter is attached to the wrong pixel and to its latest damage event.
+   * @param {Array<number>} coords - The pixel as [tileX, tileY, pixelX, pixelY]
+   * @param {{id: number, name: string, allianceId: number|null, allianceName: string|null}} painter - Who painted the pixel
+   * @returns {{wrongPixel: Object, damage: Object|null}|null} The wrong pixel with its damage event, or null if the pixel is not wrong
+   * @since 1.0.0
+   */
+  recordPixelPainter(coords, painter) {
+    const [tileX, tileY, pixelX, pixelY] = coords;
+    const tileCoords = tileX.toString().padStart(4, '0') + ',' + tileY.toString().padStart(4, '0');
+    const pixel = this.tileProgress.get(tileCoords)?.wrongPixels?.find(wrongPixel => wrongPixel.x === pixelX && wrongPixel.y === pixelY);
+    if (!pixel || !this.isTemplateEnabled(pixel.templateKey)) {return null;}
+
+    this.pixelPainters.set(coords.join(','), { painter, actual: pixel.actual });
+    const damage = attachPainterToDamage(coords, pixel.actual, painter);
+    debugLog(`[Painter] ${painter.name} #${painter.id} painted wrong pixel ${coords.join(',')}${damage ? ' (damage event updated)' : ''}`);
+
+    return {
+      wrongPixel: { tileX, tileY, pixelX, pixelY, expected: pixel.expected, actual: pixel.actual, templateKey: pixel.templateKey, paintedBy: painter },
+      damage
+    };
+  }
+
+  /** Gets the colors a template leaves out of its progress
+   * @param {string} templateKey - The template key ("sortID authorID")
+   * @returns {string[]} Array of excluded color keys "r,g,b"
+   * @since 1.0.0
+   */
+  getTemplateExcludedColors(templateKey) {
+    return this.templatesJSON?.templates?.[templateKey]?.excludedColors || [];
+  }
+
+  /** Sets the colors a template leaves out of its progress.
+   * The tiles of the template are dropped from the progress when the list changes, they recount on the next draw.
+   * @param {string} templateKey - The template key ("sortID authorID")
+   * @param {string[]} excludedColors - Array of excluded color keys "r,g,b"
+   * @returns {Promise<boolean>} Whether the list changed
+   * @since 1.0.0
+   */
+  async setTemplateExcludedColors(templateKey, excludedColors) {
+    const entry = this.templatesJSON?.templates?.[templateKey];
+    if (!entry) {return false;}
+
+    const newExcluded = Array.from(new Set(excludedColors));
+    const oldExcluded = new Set(entry.excludedColors || []);
+    const isChanged = newExcluded.length !== oldExcluded.size || newExcluded.some(colorKey => !oldExcluded.has(colorKey));
+
+    entry.excludedColors = newExcluded;
+    this.templatesJSON.lastModified = new Date().toISOString();
+    if (isChanged) {this.clearTileProgressForTemplates([templateKey]);}
+    await this.#storeTemplates();
+    return isChanged;
+  }
+
+  /** Moves the old global progress exclusion list into every template that has none yet.
+   * @param {string[]} excludedColors - The old global list of excluded color keys "r,g,b"
+   * @returns {Promise<boolean>} Whether the list was applied, false while no templates are loaded
+   * @since 1.0.0
+   */
+  async migrateGlobalExcludedColors(excludedColors) {
+    if (!excludedColors?.length) {return true;}
+    const entries = Object.values(this.templatesJSON?.templates || {});
+    if (!entries.length) {return false;}
+
+    for (const entry of entries) {
+      if (!entry.excludedColors?.length) {
+        entry.excludedColors = [...excludedColors];
+      }
+    }
+    await this.#storeTemplates();
+    return true;
+  }
+
   /** Updates template color filter settings (storage only, filtering applied during draw)
-   * @param {number} templateIndex - Index of template to update (default: 0)
+   * @param {number} [templateIndex] - Index of template to update (default: the color filter template)
    * @since 1.0.0
    */
-  async updateTemplateWithColorFilter(templateIndex = 0) {
+  async updateTemplateWithColorFilter(templateIndex = this.getColorFilterTemplateIndex()) {
     if (!this.templatesArray || !this.templatesArray[templateIndex]) {
       console.warn('No template available for color filter update');
       return;
@@ -1582,10 +2853,10 @@ export default class TemplateManager {
 
   /** Updates disabled colors for a specific template
    * @param {string[]} disabledColors - Array of disabled color keys "r,g,b"
-   * @param {number} templateIndex - Index of template to update (default: 0)
+   * @param {number} [templateIndex] - Index of template to update (default: the color filter template)
    * @since 1.0.0
    */
-  async setTemplateDisabledColors(disabledColors, templateIndex = 0) {
+  async setTemplateDisabledColors(disabledColors, templateIndex = this.getColorFilterTemplateIndex()) {
     if (!this.templatesArray || !this.templatesArray[templateIndex]) {
       console.warn('No template available for color filter update');
       return;
@@ -1599,11 +2870,11 @@ export default class TemplateManager {
   }
 
   /** Gets disabled colors for a specific template
-   * @param {number} templateIndex - Index of template (default: 0)
+   * @param {number} [templateIndex] - Index of template (default: the color filter template)
    * @returns {string[]} Array of disabled color keys "r,g,b"
    * @since 1.0.0
    */
-  getTemplateDisabledColors(templateIndex = 0) {
+  getTemplateDisabledColors(templateIndex = this.getColorFilterTemplateIndex()) {
     if (!this.templatesArray || !this.templatesArray[templateIndex]) {
       return [];
     }
@@ -1611,6 +2882,51 @@ export default class TemplateManager {
     return this.templatesArray[templateIndex].getDisabledColors();
   }
 
+  /** Sets the colors the logged in user owns
+   * @param {Set<string>|null} ownedColors - Owned colors as "r,g,b" keys, or null if unknown
+   * @since 1.0.0
+   */
+  setOwnedColors(ownedColors) {
+    this.ownedColors = ownedColors;
+    debugLog(`[Owned Colors] User owns ${ownedColors?.size ?? 'unknown'} colors`);
+  }
+
+  /** Checks if the logged in user can paint with a color.
+   * Returns true while ownership is unknown so nothing is hidden before /me loads.
+   * @param {string} colorKey - Color key in "r,g,b" format
+   * @returns {boolean} Whether the color is owned
+   * @since 1.0.0
+   */
+  isColorOwned(colorKey) {
+    if (!this.ownedColors) {return true;}
+    return this.ownedColors.has(colorKey);
+  }
+
+  /** Splits per-color stats into what the user can paint right now and what needs colors they don't own
+   * @param {Object} pixelStats - Result of {@link calculateRemainingPixelsByColor}
+   * @param {Array<string>} [excludedColors=[]] - Color keys to leave out
+   * @returns {{known: boolean, paintableRemaining: number, paintableRequired: number, lockedRemaining: number, lockedColors: number}} Paintable summary
+   * @since 1.0.0
+   */
+  getPaintableByMeStats(pixelStats, excludedColors = []) {
+    const summary = { known: !!this.ownedColors, paintableRemaining: 0, paintableRequired: 0, lockedRemaining: 0, lockedColors: 0 };
+
+    for (const [colorKey, stats] of Object.entries(pixelStats || {})) {
+      if (excludedColors.includes(colorKey)) {continue;}
+      const remaining = stats.needsCrosshair || 0;
+
+      if (this.isColorOwned(colorKey)) {
+        summary.paintableRemaining += remaining;
+        summary.paintableRequired += stats.totalRequired || 0;
+      } else {
+        summary.lockedRemaining += remaining;
+        if (remaining > 0) {summary.lockedColors++;}
+      }
+    }
+
+    return summary;
+  }
+
   /** Analyzes template using enhanced mode logic to count remaining pixels by color
    * Uses the EXACT same logic as enhanced mode to determine which pixels need crosshair
    * @param {number} templateIndex - Index of template to analyze (default: 0)
@@ -1776,8 +3092,12 @@ export default class TemplateManager {
         }
         
         if (template.colorPalette && Object.keys(template.colorPalette).length > 0) {
+          const excludedColors = new Set(this.getTemplateExcludedColors(`${template.sortID} ${template.authorID}`));
           for (const [colorKey, paletteInfo] of Object.entries(template.colorPalette)) {
             const colorCount = paletteInfo.count || 0;
+
+            // Excluded colors are not counted in the tiles, so they must not be estimated either
+            if (!realColorStats[colorKey] && excludedColors.has(colorKey)) {continue;}
             
             // Use REAL color data if available, otherwise fall back to proportional
             let paintedForColor, wrongForColor, needsCrosshair, percentage;
@@ -2810,70 +4130,76 @@ export default class TemplateManager {
       if (!active || !Array.isArray(templateCoords) || templateCoords.length < 4) {
         throw new Error('Missing template or coordinates');
       }
-      const tx = Number(templateCoords[0]);
-      const ty = Number(templateCoords[1]);
-      const px = Number(templateCoords[2]);
-      const py = Number(templateCoords[3]);
       const width = Number(sizePx?.[0] ?? active.imageWidth ?? 0);
       const height = Number(sizePx?.[1] ?? active.imageHeight ?? 0);
-      if (!Number.isFinite(tx) || !Number.isFinite(ty) || width <= 0 || height <= 0) {
-        throw new Error('Invalid screenshot dimensions or coords');
-      }
 
-      // Compose in board pixel space (no drawMult scaling)
-      const tileSize = this.tileSize || 1000;
+      return await this.buildCanvasAreaImage(tileServerBase, templateCoords, [width, height]);
+    } catch (e) {
+      console.warn('Failed to build template area screenshot', e);
+      throw e;
+    }
+  }
+
+  /** Composes a rectangle of the live canvas into a single PNG from the tile server images.
+   * @param {string} tileServerBase - The tile server base URL seen by {@link ApiManager}
+   * @param {Array<number>} coords - Top left corner as [tileX, tileY, pixelX, pixelY]
+   * @param {Array<number>} sizePx - Size of the area as [width, height] in board pixels
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.skipMissingTiles=false] - Leave tiles that fail to load transparent instead of failing
+   * @returns {Promise<Blob>} The area as a PNG blob
+   * @since 1.0.0
+   */
+  async buildCanvasAreaImage(tileServerBase, coords, sizePx, { skipMissingTiles = false } = {}) {
+    if (!Array.isArray(coords) || coords.length < 4) {
+      throw new Error('Missing coordinates');
+    }
+    const tx = Number(coords[0]);
+    const ty = Number(coords[1]);
+    const px = Number(coords[2]);
+    const py = Number(coords[3]);
+    const width = Number(sizePx?.[0] ?? 0);
+    const height = Number(sizePx?.[1] ?? 0);
+    if (!Number.isFinite(tx) || !Number.isFinite(ty) || width <= 0 || height <= 0) {
+      throw new Error('Invalid screenshot dimensions or coords');
+    }
 
-      // Compute the bounding box in board pixel space
-      const startX = tx * tileSize + px;
-      const startY = ty * tileSize + py;
-      const endX = startX + width;
-      const endY = startY + height;
+    // Compose in board pixel space (no drawMult scaling)
+    const tileSize = this.tileSize || 1000;
 
-      // Determine all tile coordinates we need to fetch
-      const tileStartX = Math.floor(startX / tileSize);
-      const tileStartY = Math.floor(startY / tileSize);
-      const tileEndX = Math.floor((endX - 1) / tileSize);
-      const tileEndY = Math.floor((endY - 1) / tileSize);
+    // Compute the bounding box in board pixel space
+    const startX = tx * tileSize + px;
+    const startY = ty * tileSize + py;
+    const endX = startX + width;
+    const endY = startY + height;
 
-      const canvasW = endX - startX;
-      const canvasH = endY - startY;
-      const canvas = new OffscreenCanvas(canvasW, canvasH);
-      const ctx = canvas.getContext('2d', { willReadFrequently: true });
-      ctx.imageSmoothingEnabled = false;
-      ctx.clearRect(0, 0, canvasW, canvasH);
+    // Determine all tile coordinates we need to fetch
+    const tileStartX = Math.floor(startX / tileSize);
+    const tileStartY = Math.floor(startY / tileSize);
+    const tileEndX = Math.floor((endX - 1) / tileSize);
+    const tileEndY = Math.floor((endY - 1) / tileSize);
 
-      // Helper to fetch a tile PNG via GM (caller runs in userscript env)
-      const fetchTile = (x, y) => new Promise((resolve, reject) => {
-        try {
-          const url = `${tileServerBase}/${x}/${y}.png`;
-          // Try GM first
-          if (typeof GM_xmlhttpRequest === 'function') {
-            GM_xmlhttpRequest({
-              method: 'GET',
-              url,
-              responseType: 'blob',
-              onload: (res) => {
-                if (res.status >= 200 && res.status < 300 && res.response) {
-                  resolve(res.response);
-                } else {
-                  // Fallback via Image if GM blocked
-                  const img = new Image();
-                  img.crossOrigin = 'anonymous';
-                  img.onload = async () => {
-                    try {
-                      const c = new OffscreenCanvas(img.width, img.height);
-                      const cx = c.getContext('2d');
-                      cx.imageSmoothingEnabled = false;
-                      cx.drawImage(img, 0, 0);
-                      const b = await c.convertToBlob({ type: 'image/png' });
-                      resolve(b);
-                    } catch (e) { reject(e); }
-                  };
-                  img.onerror = () => reject(new Error('Tile fetch failed (img)'));
-                  img.src = url;
-                }
-              },
-              onerror: () => {
+    const canvasW = endX - startX;
+    const canvasH = endY - startY;
+    const canvas = new OffscreenCanvas(canvasW, canvasH);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.imageSmoothingEnabled = false;
+    ctx.clearRect(0, 0, canvasW, canvasH);
+
+    // Helper to fetch a tile PNG via GM (caller runs in userscript env)
+    const fetchTile = (x, y) => new Promise((resolve, reject) => {
+      try {
+        const url = `${tileServerBase}/${x}/${y}.png`;
+        // Try GM first
+        if (typeof GM_xmlhttpRequest === 'function') {
+          GM_xmlhttpRequest({
+            method: 'GET',
+            url,
+            responseType: 'blob',
+            onload: (res) => {
+              if (res.status >= 200 && res.status < 300 && res.response) {
+                resolve(res.response);
+              } else {
+                // Fallback via Image if GM blocked
                 const img = new Image();
                 img.crossOrigin = 'anonymous';
                 img.onload = async () => {
@@ -2889,64 +4215,136 @@ export default class TemplateManager {
                 img.onerror = () => reject(new Error('Tile fetch failed (img)'));
                 img.src = url;
               }
-            });
-          } else {
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-            img.onload = async () => {
-              try {
-                const c = new OffscreenCanvas(img.width, img.height);
-                const cx = c.getContext('2d');
-                cx.imageSmoothingEnabled = false;
-                cx.drawImage(img, 0, 0);
-                const b = await c.convertToBlob({ type: 'image/png' });
-                resolve(b);
-              } catch (e) { reject(e); }
-            };
-            img.onerror = () => reject(new Error('Tile fetch failed (img)'));
-            img.src = url;
-          }
-        } catch (e) { reject(e); }
-      });
+            },
+            onerror: () => {
+              const img = new Image();
+              img.crossOrigin = 'anonymous';
+              img.onload = async () => {
+                try {
+                  const c = new OffscreenCanvas(img.width, img.height);
+                  const cx = c.getContext('2d');
+                  cx.imageSmoothingEnabled = false;
+                  cx.drawImage(img, 0, 0);
+                  const b = await c.convertToBlob({ type: 'image/png' });
+                  resolve(b);
+                } catch (e) { reject(e); }
+              };
+              img.onerror = () => reject(new Error('Tile fetch failed (img)'));
+              img.src = url;
+            }
+          });
+        } else {
+          const img = new Image();
+          img.crossOrigin = 'anonymous';
+          img.onload = async () => {
+            try {
+              const c = new OffscreenCanvas(img.width, img.height);
+              const cx = c.getContext('2d');
+              cx.imageSmoothingEnabled = false;
+              cx.drawImage(img, 0, 0);
+              const b = await c.convertToBlob({ type: 'image/png' });
+              resolve(b);
+            } catch (e) { reject(e); }
+          };
+          img.onerror = () => reject(new Error('Tile fetch failed (img)'));
+          img.src = url;
+        }
+      } catch (e) { reject(e); }
+    });
 
-      // Iterate required tiles and draw only overlapping regions
-      for (let tyIdx = tileStartY; tyIdx <= tileEndY; tyIdx++) {
-        for (let txIdx = tileStartX; txIdx <= tileEndX; txIdx++) {
-          const tileBlob = await fetchTile(txIdx, tyIdx);
-          const bitmap = await createImageBitmap(tileBlob);
-          // Compute overlap with our screenshot area in board pixels
-          const tileOriginX = txIdx * tileSize;
-          const tileOriginY = tyIdx * tileSize;
-          const srcX = Math.max(0, startX - tileOriginX);
-          const srcY = Math.max(0, startY - tileOriginY);
-          const dstX = Math.max(0, tileOriginX - startX);
-          const dstY = Math.max(0, tileOriginY - startY);
-          const drawW = Math.min(tileSize - srcX, canvasW - dstX);
-          const drawH = Math.min(tileSize - srcY, canvasH - dstY);
-          if (drawW > 0 && drawH > 0) {
-            ctx.drawImage(
-              bitmap,
-              srcX, srcY, drawW, drawH,
-              dstX, dstY, drawW, drawH
-            );
-          }
+    // Iterate required tiles and draw only overlapping regions
+    for (let tyIdx = tileStartY; tyIdx <= tileEndY; tyIdx++) {
+      for (let txIdx = tileStartX; txIdx <= tileEndX; txIdx++) {
+        let bitmap;
+        try {
+          bitmap = await createImageBitmap(await fetchTile(txIdx, tyIdx));
+        } catch (error) {
+          // Tiles nobody has painted on yet don't exist on the server
+          if (!skipMissingTiles) {throw error;}
+          debugLog(`Skipping missing tile ${txIdx},${tyIdx}:`, error);
+          continue;
+        }
+        // Compute overlap with our screenshot area in board pixels
+        const tileOriginX = txIdx * tileSize;
+        const tileOriginY = tyIdx * tileSize;
+        const srcX = Math.max(0, startX - tileOriginX);
+        const srcY = Math.max(0, startY - tileOriginY);
+        const dstX = Math.max(0, tileOriginX - startX);
+        const dstY = Math.max(0, tileOriginY - startY);
+        const drawW = Math.min(tileSize - srcX, canvasW - dstX);
+        const drawH = Math.min(tileSize - srcY, canvasH - dstY);
+        if (drawW > 0 && drawH > 0) {
+          ctx.drawImage(
+            bitmap,
+            srcX, srcY, drawW, drawH,
+            dstX, dstY, drawW, drawH
+          );
         }
       }
+    }
 
-      return await canvas.convertToBlob({ type: 'image/png' });
-    } catch (e) {
-      console.warn('Failed to build template area screenshot', e);
-      throw e;
+    return await canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  /** Creates a new template from what is currently painted in a rectangle of the canvas.
+   * The corners can be given in any order; both are inclusive.
+   * @param {string} tileServerBase - The tile server base URL seen by {@link ApiManager}
+   * @param {Array<number>} cornerA - First corner as [tileX, tileY, pixelX, pixelY]
+   * @param {Array<number>} cornerB - Opposite corner as [tileX, tileY, pixelX, pixelY]
+   * @param {string} name - The display name of the new template
+   * @since 1.0.0
+   */
+  async createTemplateFromCanvasArea(tileServerBase, cornerA, cornerB, name) {
+    if (!tileServerBase) {throw new Error('Tile server not detected yet');}
+
+    const toBoard = ([tx, ty, px, py]) => [Number(tx) * this.tileSize + Number(px), Number(ty) * this.tileSize + Number(py)];
+    const [ax, ay] = toBoard(cornerA);
+    const [bx, by] = toBoard(cornerB);
+    if (![ax, ay, bx, by].every(Number.isFinite)) {throw new Error('Invalid snapshot corners');}
+
+    const startX = Math.min(ax, bx);
+    const startY = Math.min(ay, by);
+    const width = Math.abs(bx - ax) + 1;
+    const height = Math.abs(by - ay) + 1;
+
+    const maxSnapshotSize = 3000; // Keeps the composed canvas and the chunked template at a sane size
+    if (width > maxSnapshotSize || height > maxSnapshotSize) {
+      throw new Error(`Snapshot area too large (${width}×${height}, max ${maxSnapshotSize}×${maxSnapshotSize})`);
     }
+
+    const coords = [
+      Math.floor(startX / this.tileSize),
+      Math.floor(startY / this.tileSize),
+      startX % this.tileSize,
+      startY % this.tileSize
+    ];
+
+    this.overlay.handleDisplayStatus(`Capturing ${width}×${height} canvas area at ${coords.join(', ')}...`);
+    const blob = await this.buildCanvasAreaImage(tileServerBase, coords, [width, height], { skipMissingTiles: true });
+
+    await this.createTemplate(blob, name, coords);
   }
 
   /** Merge-import a BlueMarble JSON object (keeps coords and base64; allocates non-conflicting keys)
    * @param {Object} json
-   * @param {{merge?: boolean}} options
+   * @param {{merge?: boolean, backup?: boolean}} options - backup takes a backup before importing (on by default)
+   * @throws {Error} When a template uses a tile encoding this version cannot read
    */
-  async importFromObject(json, { merge = true } = {}) {
+  async importFromObject(json, { merge = true, backup = true } = {}) {
     if (!json?.templates || typeof json.templates !== 'object') return;
 
+    // Tiles of a newer version would only fail later, while drawing
+    const unreadable = Object.entries(json.templates)
+      .filter(([, templateValue]) => !Object.values(templateValue?.tiles || {}).every(isSupportedTile))
+      .map(([templateKey, templateValue]) => templateValue?.name || templateKey);
+    if (unreadable.length) {
+      throw new Error(`${unreadable.join(', ')} ${unreadable.length === 1 ? 'uses' : 'use'} a tile format this version cannot read (schema ${json.schemaVersion || 'unknown'}), update the script to import ${unreadable.length === 1 ? 'it' : 'them'}`);
+    }
+
+    if (backup) {
+      await createBackup(this.templatesJSON, 'Before import');
+    }
+
     // console.log('🔍 [Import] Starting importFromObject...');
     debugLog('Import - Current templatesArray length:', this.templatesArray?.length || 0);
     // console.log('🔍 [Import] Current templatesJSON templates:', Object.keys(this.templatesJSON?.templates || {}));
@@ -2985,24 +4383,38 @@ export default class TemplateManager {
         enabled: templateValue.enabled !== false,
         disabledColors: templateValue.disabledColors || [],
         enhancedColors: templateValue.enhancedColors || [],
+        excludedColors: templateValue.excludedColors || [],
         includeWrongColorsInProgress: templateValue.includeWrongColorsInProgress ?? this.includeWrongColorsInProgress ?? false,
         enhanceWrongColors: templateValue.enhanceWrongColors ?? this.enhanceWrongColors ?? false,
         tiles: templateValue.tiles || {}
       };
 
+      // Keep URL templates linked to their source
+      if (templateValue.URL) {
+        Object.assign(this.templatesJSON.templates[newKey], {
+          URL: templateValue.URL,
+          URLType: templateValue.URLType || 'template',
+          URLHash: templateValue.URLHash || null,
+          URLCheckedAt: templateValue.URLCheckedAt || null
+        });
+      }
+
       try {
         const displayName = this.templatesJSON.templates[newKey].name;
         const coords = this.templatesJSON.templates[newKey].coords?.split(', ').map(Number) || null;
-        const tilesbase64 = this.templatesJSON.templates[newKey].tiles;
-        const templateTiles = {};
+        const template = new Template({
+          displayName,
+          sortID: desiredSortID,
+          authorID,
+          coords
+        });
+
+        // Imported files may still use the old PNG tiles, they are stored in the compact format
+        const { templateTiles, templateTilesBuffers } = await template.createTemplateTilesFromStorage(this.templatesJSON.templates[newKey].tiles);
+        this.templatesJSON.templates[newKey].tiles = templateTilesBuffers;
         let totalPixelCount = 0;
         
-        for (const [tile, b64] of Object.entries(tilesbase64)) {
-          const templateUint8Array = base64ToUint8(b64);
-          const templateBlob = new Blob([templateUint8Array], { type: "image/png" });
-          const templateBitmap = await createImageBitmap(templateBlob);
-          templateTiles[tile] = templateBitmap;
-
+        for (const [tile, templateBitmap] of Object.entries(templateTiles)) {
           try {
             const canvas = document.createElement('canvas');
             canvas.width = templateBitmap.width;
@@ -3025,12 +4437,6 @@ export default class TemplateManager {
           }
         }
 
-        const template = new Template({
-          displayName,
-          sortID: desiredSortID,
-          authorID,
-          coords
-        });
         template.chunked = templateTiles;
         template.pixelCount = totalPixelCount;
 
@@ -0,0 +1,304 @@
+/** @file IndexedDB storage for templates
+ * Keeps one record per template instead of one large JSON string split over GM/localStorage keys
+ * @since 1.0.0
+ */
+
+import { debugLog } from './utils.js';
+
+/** Name of the IndexedDB database */
+const DB_NAME = 'BlueMarble';
+
+/** Version of the database schema (2 added the backup stores, 3 the tile analysis) */
+const DB_VERSION = 3;
+
+/** Object store with one record per template ({ [templateKey]: TemplateEntry }) */
+const TEMPLATES_STORE = 'templates';
+
+/** Object store with the templates JSON without its templates, under the key "templatesJSON" */
+const META_STORE = 'meta';
+
+/** Object store with the summary of every backup, keyed by an increasing ID */
+const BACKUPS_STORE = 'backups';
+
+/** Object store with the contents of every backup, under the same ID as its summary */
+const BACKUP_DATA_STORE = 'backupData';
+
+/** Object store with the saved analysis of every tile, keyed by the padded "xxxx,yyyy" tile */
+const TILE_PROGRESS_STORE = 'tileProgress';
+
+/** Open database connection, shared by every call */
+let dbPromise = null;
+
+/** What was last written per template key, so unchanged templates are not written again */
+const savedEntries = new Map();
+
+/** Checks whether IndexedDB can be used in this browser
+ * @returns {boolean} True if IndexedDB exists
+ * @since 1.0.0
+ */
+export function isTemplateStoreAvailable() {
+  try {
+    return typeof indexedDB !== 'undefined' && indexedDB !== null;
+  } catch (_) {
+    return false; // Some privacy modes throw on access
+  }
+}
+
+/** Opens (and creates on first use) the database
+ * @returns {Promise<IDBDatabase>} The database connection
+ * @since 1.0.0
+ */
+function openDatabase() {
+  if (dbPromise) {return dbPromise;}
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(TEMPLATES_STORE)) {db.createObjectStore(TEMPLATES_STORE);}
+      if (!db.objectStoreNames.contains(META_STORE)) {db.createObjectStore(META_STORE);}
+      if (!db.objectStoreNames.contains(BACKUPS_STORE)) {db.createObjectStore(BACKUPS_STORE, { keyPath: 'id', autoIncrement: true });}
+      if (!db.objectStoreNames.contains(BACKUP_DATA_STORE)) {db.createObjectStore(BACKUP_DATA_STORE);}
+      if (!db.objectStoreNames.contains(TILE_PROGRESS_STORE)) {db.createObjectStore(TILE_PROGRESS_STORE);}
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('Template database is blocked by another tab'));
+  }).catch(error => {
+    dbPromise = null; // Try again on the next call
+    throw error;
+  });
+  return dbPromise;
+}
+
+/** Waits for a transaction to finish
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>} Resolves when committed, rejects when aborted
+ * @since 1.0.0
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/** Gets a stable description of a template entry without its tiles, used to skip unchanged writes
+ * @param {Object} entry - The template entry
+ * @returns {string} The entry as JSON without tiles
+ * @since 1.0.0
+ */
+function describeEntry(entry) {
+  const { tiles, ...rest } = entry;
+  return JSON.stringify(rest);
+}
+
+/** Reads the templates JSON from the database
+ * @returns {Promise<{templatesJSON: Object, savedAt: number}|null>} The templates JSON and when it was saved, or null if templates were never stored here
+ * @since 1.0.0
+ */
+export async function loadTemplatesFromStore() {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE, TEMPLATES_STORE], 'readonly');
+
+  const read = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const [meta, keys, entries] = await Promise.all([
+    read(transaction.objectStore(META_STORE).get('templatesJSON')),
+    read(transaction.objectStore(TEMPLATES_STORE).getAllKeys()),
+    read(transaction.objectStore(TEMPLATES_STORE).getAll())
+  ]);
+  if (!meta) {return null;}
+
+  const templates = {};
+  savedEntries.clear();
+  keys.forEach((key, index) => {
+    templates[key] = entries[index];
+    savedEntries.set(key, { tiles: entries[index].tiles, description: describeEntry(entries[index]) });
+  });
+
+  // Keep the order templates had when they were saved
+  const ordered = {};
+  for (const key of meta.templateOrder || []) {
+    if (templates[key]) {ordered[key] = templates[key];}
+  }
+  for (const key of keys) {
+    if (!ordered[key]) {ordered[key] = templates[key];}
+  }
+
+  const { templateOrder, savedAt, ...templatesJSON } = meta;
+  debugLog(`[Template Store] Loaded ${keys.length} template(s) from IndexedDB`);
+  return { templatesJSON: { ...templatesJSON, templates: ordered }, savedAt: savedAt || 0 };
+}
+
+/** Writes the templates JSON to the database.
+ * Only templates that changed since the last load or save are written, deleted templates are removed.
+ * @param {Object} templatesJSON - The templates JSON
+ * @returns {Promise<number>} Number of template records written
+ * @since 1.0.0
+ */
+export async function saveTemplatesToStore(templatesJSON) {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE, TEMPLATES_STORE], 'readwrite');
+  const templatesStore = transaction.objectStore(TEMPLATES_STORE);
+
+  const { templates = {}, ...meta } = templatesJSON;
+  transaction.objectStore(META_STORE).put({ ...meta, templateOrder: Object.keys(templates), savedAt: Date.now() }, 'templatesJSON');
+
+  const written = new Map();
+  for (const [key, entry] of Object.entries(templates)) {
+    const description = describeEntry(entry);
+    const saved = savedEntries.get(key);
+    if (saved && saved.tiles === entry.tiles && saved.description === description) {continue;}
+
+    templatesStore.put(entry, key);
+    written.set(key, { tiles: entry.tiles, description });
+  }
+  // Remove deleted templates, including records written by another tab
+  templatesStore.getAllKeys().onsuccess = (event) => {
+    for (const key of event.target.result) {
+      if (!templates[key]) {templatesStore.delete(key);}
+    }
+  };
+
+  await transactionDone(transaction);
+
+  for (const key of [...savedEntries.keys()]) {
+    if (!templates[key]) {savedEntries.delete(key);}
+  }
+  written.forEach((saved, key) => savedEntries.set(key, saved));
+  debugLog(`[Template Store] Saved templates, ${written.size} record(s) written`);
+  return written.size;
+}
+
+/** Deletes every template and the saved tile analysis from the database, as if templates were never stored in it.
+ * Backups are kept.
+ * @returns {Promise<void>}
+ * @since 1.0.0
+ */
+export async function clearTemplateStore() {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE, TEMPLATES_STORE, TILE_PROGRESS_STORE], 'readwrite');
+  transaction.objectStore(TEMPLATES_STORE).clear();
+  transaction.objectStore(META_STORE).clear();
+  transaction.objectStore(TILE_PROGRESS_STORE).clear();
+  await transactionDone(transaction);
+  savedEntries.clear();
+}
+
+/** Reads the saved tile analysis from the database
+ * @returns {Promise<Object<string, Object>>} Saved analysis per padded "xxxx,yyyy" tile, empty if nothing was saved
+ * @since 1.0.0
+ */
+export async function loadTileProgressFromStore() {
+  const db = await openDatabase();
+  const store = db.transaction(TILE_PROGRESS_STORE, 'readonly').objectStore(TILE_PROGRESS_STORE);
+
+  const read = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  const [keys, tiles] = await Promise.all([read(store.getAllKeys()), read(store.getAll())]);
+
+  const saved = {};
+  keys.forEach((key, index) => saved[key] = tiles[index]);
+  return saved;
+}
+
+/** Replaces the saved tile analysis in the database, one record per tile
+ * @param {Object<string, Object>} tiles - Analysis per padded "xxxx,yyyy" tile
+ * @returns {Promise<void>}
+ * @since 1.0.0
+ */
+export async function saveTileProgressToStore(tiles) {
+  const db = await openDatabase();
+  const transaction = db.transaction(TILE_PROGRESS_STORE, 'readwrite');
+  const store = transaction.objectStore(TILE_PROGRESS_STORE);
+  store.clear();
+  for (const [tileCoords, tileData] of Object.entries(tiles)) {
+    store.put(tileData, tileCoords);
+  }
+  await transactionDone(transaction);
+}
+
+/** Adds a backup and deletes the oldest backups beyond the limit
+ * @param {{t: number, reason: string, templateCount: number, size: number, hash: number, templates: Array<{key: string, name: string}>}} summary - What the backup list shows
+ * @param {{templatesJSON: Object, settings: Object<string, string>}} data - The backed up templates and settings
+ * @param {number} keep - How many backups to keep
+ * @returns {Promise<number>} The ID of the new backup
+ * @since 1.0.0
+ */
+export async function addBackup(summary, data, keep) {
+  const db = await openDatabase();
+  const transaction = db.transaction([BACKUPS_STORE, BACKUP_DATA_STORE], 'readwrite');
+  const backupsStore = transaction.objectStore(BACKUPS_STORE);
+  const dataStore = transaction.objectStore(BACKUP_DATA_STORE);
+
+  let id = null;
+  backupsStore.add(summary).onsuccess = (event) => {
+    id = event.target.result;
+    dataStore.put(data, id);
+
+    backupsStore.getAllKeys().onsuccess = (keysEvent) => {
+      const ids = keysEvent.target.result; // Oldest first
+      for (const oldId of ids.slice(0, Math.max(0, ids.length - keep))) {
+        backupsStore.delete(oldId);
+        dataStore.delete(oldId);
+      }
+    };
+  };
+
+  await transactionDone(transaction);
+  return id;
+}
+
+/** Lists the backups without their contents
+ * @returns {Promise<Array<Object>>} Backup summaries with their ID, newest first
+ * @since 1.0.0
+ */
+export async function listBackups() {
+  const db = await openDatabase();
+  const request = db.transaction(BACKUPS_STORE, 'readonly').objectStore(BACKUPS_STORE).getAll();
+  const backups = await new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return backups.reverse();
+}
+
+/** Reads the contents of a backup
+ * @param {number} id - The backup ID
+ * @returns {Promise<{templatesJSON: Object, settings: Object<string, string>}|null>} The backed up templates and settings, or null if the backup does not exist
+ * @since 1.0.0
+ */
+export async function getBackupData(id) {
+  const db = await openDatabase();
+  const request = db.transaction(BACKUP_DATA_STORE, 'readonly').objectStore(BACKUP_DATA_STORE).get(id);
+  return await new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result || null);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/** Deletes a backup
+ * @param {number} id - The backup ID
+ * @returns {Promise<void>}
+ * @since 1.0.0
+ */
+export async function deleteBackup(id) {
+  const db = await openDatabase();
+  const transaction = db.transaction([BACKUPS_STORE, BACKUP_DATA_STORE], 'readwrite');
+  transaction.objectStore(BACKUPS_STORE).delete(id);
+  transaction.objectStore(BACKUP_DATA_STORE).delete(id);
+  await transactionDone(transaction);
+}
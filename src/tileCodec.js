@@ -0,0 +1,126 @@
+/** @file Compact storage format for template tiles
+ * A tile is stored at 1× scale as a list of the colors it uses and run-length encoded indexes into that list,
+ * instead of a PNG of the 3× display bitmap
+ * @since 1.0.0
+ */
+
+import { uint8ToBase64, base64ToUint8 } from './utils.js';
+
+/** Marks a stored tile as palette-indexed and run-length encoded */
+const TILE_ENCODING = 'rle1';
+
+/** Checks whether a stored tile uses the compact format (older tiles are base64 PNG strings)
+ * @param {string|Object} tile - The stored tile
+ * @returns {boolean} True for a compact tile
+ * @since 1.0.0
+ */
+export function isEncodedTile(tile) {
+  return typeof tile === 'object' && tile?.e === TILE_ENCODING;
+}
+
+/** Checks whether this version can read a stored tile
+ * @param {string|Object} tile - The stored tile
+ * @returns {boolean} True for compact tiles and older base64 PNG tiles, false for encodings of newer versions
+ * @since 1.0.0
+ */
+export function isSupportedTile(tile) {
+  return typeof tile === 'string' || isEncodedTile(tile);
+}
+
+/** Encodes 1× tile pixels.
+ * Fully transparent pixels share palette index 0, every other RGBA value gets its own palette entry.
+ * Runs are stored as varint pairs of run length and palette index.
+ * @param {Uint8ClampedArray|Uint8Array} data - RGBA pixels
+ * @param {number} width - Tile segment width in pixels
+ * @param {number} height - Tile segment height in pixels
+ * @returns {{e: string, w: number, h: number, p: Array<string>, d: string}} The encoded tile, palette colors are "r,g,b" or "r,g,b,a" when not opaque
+ * @since 1.0.0
+ */
+export function encodeTilePixels(data, width, height) {
+  const palette = [];
+  const paletteIndexes = new Map();
+  const bytes = [];
+
+  const pushVarint = (value) => {
+    while (value >= 0x80) {
+      bytes.push((value & 0x7f) | 0x80);
+      value >>>= 7;
+    }
+    bytes.push(value);
+  };
+
+  let runIndex = -1;
+  let runLength = 0;
+  for (let i = 0; i < width * height * 4; i += 4) {
+    let index = 0;
+    const alpha = data[i + 3];
+    if (alpha > 0) {
+      const colorKey = alpha === 255 ? `${data[i]},${data[i + 1]},${data[i + 2]}` : `${data[i]},${data[i + 1]},${data[i + 2]},${alpha}`;
+      index = paletteIndexes.get(colorKey);
+      if (index === undefined) {
+        palette.push(colorKey);
+        index = palette.length; // Index 0 is transparent
+        paletteIndexes.set(colorKey, index);
+      }
+    }
+
+    if (index === runIndex) {
+      runLength++;
+      continue;
+    }
+    if (runLength) {
+      pushVarint(runLength);
+      pushVarint(runIndex);
+    }
+    runIndex = index;
+    runLength = 1;
+  }
+  if (runLength) {
+    pushVarint(runLength);
+    pushVarint(runIndex);
+  }
+
+  return { e: TILE_ENCODING, w: width, h: height, p: palette, d: uint8ToBase64(bytes) };
+}
+
+/** Decodes a compact tile back into 1× pixels
+ * @param {{w: number, h: number, p: Array<string>, d: string}} tile - The encoded tile
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The RGBA pixels
+ * @since 1.0.0
+ */
+export function decodeTilePixels(tile) {
+  const { w: width, h: height } = tile;
+  const data = new Uint8ClampedArray(width * height * 4);
+  const colors = [null, ...tile.p.map(colorKey => {
+    const [r, g, b, a = 255] = colorKey.split(',').map(Number);
+    return [r, g, b, a];
+  })];
+  const bytes = base64ToUint8(tile.d);
+
+  let position = 0;
+  const readVarint = () => {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = bytes[position++];
+      value += (byte & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (byte & 0x80);
+    return value;
+  };
+
+  let pixel = 0;
+  const pixelCount = width * height;
+  while (position < bytes.length && pixel < pixelCount) {
+    const runLength = readVarint();
+    const color = colors[readVarint()];
+    const end = Math.min(pixelCount, pixel + runLength);
+    if (color) {
+      for (let i = pixel; i < end; i++) {data.set(color, i * 4);}
+    }
+    pixel = end;
+  }
+
+  return { width, height, data };
+}
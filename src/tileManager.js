@@ -190,7 +190,7 @@ function saveCacheStatistics() {
 /** Clears the smart tile cache
  * @since 1.0.0
  */
-function clearSmartTileCache() {
+export function clearSmartTileCache() {
   smartTileCache.clear();
   cacheAccessOrder.clear();
   cacheHits = 0;
@@ -200,14 +200,19 @@ function clearSmartTileCache() {
 }
 
 /** Gets cache statistics for display
- * @returns {Object} Cache statistics
+ * @returns {Object} Cache statistics, bytes counts cached blobs only
  * @since 1.0.0
  */
 export function getSmartCacheStats() {
   const hitRate = cacheHits + cacheMisses > 0 ? (cacheHits / (cacheHits + cacheMisses) * 100).toFixed(1) : '0.0';
+  let bytes = 0;
+  for (const tile of smartTileCache.values()) {
+    if (tile instanceof Blob) {bytes += tile.size;}
+  }
   return {
     enabled: smartTileCacheEnabled,
     size: smartTileCache.size,
+    bytes,
     maxSize: maxCacheSize,
     hits: cacheHits,
     misses: cacheMisses,
@@ -0,0 +1,107 @@
+/** @file Saved tile analysis
+ * Keeps the per-tile progress between page loads so totals are known before tiles are visited again
+ * @since 1.0.0
+ */
+
+import { debugLog } from './utils.js';
+import { checkLocalStorageRoom } from './storageUsage.js';
+import { isTemplateStoreAvailable, loadTileProgressFromStore, saveTileProgressToStore } from './templateStore.js';
+
+/** Storage key of the saved analysis in GM/localStorage ({ [tileCoords]: SavedTile }) */
+const TILE_PROGRESS_KEY = 'bmTileProgress';
+
+/** Reads the saved tile analysis.
+ * It is kept in the template database; the GM/localStorage copy of older versions is read until the first save moves it there.
+ * @returns {Promise<Object<string, {painted: number, required: number, wrong: number, colorBreakdown: Object, templateStats: Object, analyzedAt: number, signatures: Object<string, string>}>>} Saved analysis per padded "xxxx,yyyy" tile
+ * @since 1.0.0
+ */
+export async function loadSavedTileProgress() {
+  if (isTemplateStoreAvailable()) {
+    try {
+      const saved = await loadTileProgressFromStore();
+      if (Object.keys(saved).length) return saved;
+    } catch (error) {
+      console.warn('Failed to load tile progress from the template database:', error);
+    }
+  }
+
+  try {
+    // Try TamperMonkey storage first
+    if (typeof GM_getValue !== 'undefined') {
+      const saved = GM_getValue(TILE_PROGRESS_KEY, null);
+      if (saved) return JSON.parse(saved);
+    }
+
+    // Fallback to localStorage
+    const saved = localStorage.getItem(TILE_PROGRESS_KEY);
+    if (saved) return JSON.parse(saved);
+  } catch (error) {
+    console.warn('Failed to load saved tile progress:', error);
+  }
+  return {};
+}
+
+/** Writes the tile analysis, replacing what was saved before.
+ * GM/localStorage is only used when the template database is not available, and localStorage only while the analysis fits.
+ * @param {Object<string, Object>} tiles - Analysis per padded "xxxx,yyyy" tile
+ * @returns {Promise<void>}
+ * @since 1.0.0
+ */
+export async function saveTileProgress(tiles) {
+  if (isTemplateStoreAvailable()) {
+    try {
+      await saveTileProgressToStore(tiles);
+      removeStoredTileProgressCopy();
+      return;
+    } catch (error) {
+      console.warn('Failed to save tile progress to the template database:', error);
+    }
+  }
+
+  try {
+    const tilesString = JSON.stringify(tiles);
+
+    // Save to TamperMonkey storage
+    if (typeof GM_setValue !== 'undefined') {
+      GM_setValue(TILE_PROGRESS_KEY, tilesString);
+    }
+
+    // Also save to localStorage as backup, unless it would fill the storage the templates need
+    if (checkLocalStorageRoom(tilesString.length, key => key === TILE_PROGRESS_KEY).fits) {
+      localStorage.setItem(TILE_PROGRESS_KEY, tilesString);
+    } else {
+      localStorage.removeItem(TILE_PROGRESS_KEY); // An older, smaller copy would be restored instead
+      debugLog('[Tile Progress] Analysis does not fit in localStorage, not saved there');
+    }
+  } catch (error) {
+    console.error('Failed to save tile progress:', error);
+  }
+}
+
+/** Removes the GM/localStorage copy of the tile analysis once it lives in the template database
+ * @since 1.0.0
+ */
+function removeStoredTileProgressCopy() {
+  try {
+    if (typeof GM_deleteValue !== 'undefined') {
+      GM_deleteValue(TILE_PROGRESS_KEY);
+    }
+    localStorage.removeItem(TILE_PROGRESS_KEY);
+  } catch (error) {
+    console.warn('Failed to remove the old tile progress copy:', error);
+  }
+}
+
+/** Computes a short FNV-1a hash of a string
+ * @param {string} text - The text to hash
+ * @param {number} [hash=0x811c9dc5] - Hash to continue from, for hashing several strings in a row
+ * @returns {number} Unsigned 32 bit hash
+ * @since 1.0.0
+ */
+export function hashString(text, hash = 0x811c9dc5) {
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,261 @@
+/** TileScanner class for counting template progress without panning the map.
+ * Downloads the tiles of enabled templates one at a time and analyzes them like tiles the site fetched.
+ * @class TileScanner
+ * @since 1.0.0
+ */
+
+import { debugLog } from "./utils.js";
+import { getTileScannerSettings } from "./settingsManager.js";
+
+/** Longest wait between two downloads after the tile server asked us to slow down */
+const MAX_BACKOFF_MS = 60 * 1000;
+
+export default class TileScanner {
+
+  /** Constructor for TileScanner class
+   * @param {TemplateManager} templateManager - Analyzes the downloaded tiles
+   * @param {ApiManager} apiManager - Knows the tile server the site uses
+   * @since 1.0.0
+   */
+  constructor(templateManager, apiManager) {
+    this.templateManager = templateManager;
+    this.apiManager = apiManager;
+    this.onStatusChange = null; // Called with the status whenever it changes
+    this.queue = []; // Tiles left in the current pass as "x,y"
+    this.timer = null; // Timeout of the next step
+    this.isBusy = false; // A tile is being downloaded or analyzed
+    this.backoffMs = 0; // Extra wait after 429/5xx responses
+    this.emptyTileBlob = null; // Transparent tile analyzed for tiles nobody has painted yet (404)
+    this.status = { state: 'off', queued: 0, scanned: 0, failed: 0, lastTile: null, lastError: null, nextPassAt: null };
+
+    document.addEventListener('visibilitychange', () => this.#onVisibilityChange());
+  }
+
+  /** Gets the current scanner status
+   * @returns {{state: string, queued: number, scanned: number, failed: number, lastTile: string|null, lastError: string|null, nextPassAt: number|null}} State is one of off, running, hidden, waiting or no-server
+   * @since 1.0.0
+   */
+  getStatus() {
+    return { ...this.status };
+  }
+
+  /** Starts scanning if the scanner is enabled in settings, otherwise stops it.
+   * Call again after the settings changed.
+   * @since 1.0.0
+   */
+  applySettings() {
+    if (getTileScannerSettings().enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+  }
+
+  /** Starts a new scan pass right away
+   * @since 1.0.0
+   */
+  start() {
+    this.#clearTimer();
+    this.queue = [];
+    this.backoffMs = 0;
+    this.#updateStatus({ scanned: 0, failed: 0, lastError: null });
+
+    if (document.hidden) {
+      this.#updateStatus({ state: 'hidden' });
+      return;
+    }
+    this.#schedule(0);
+  }
+
+  /** Stops scanning and forgets the queue
+   * @since 1.0.0
+   */
+  stop() {
+    this.#clearTimer();
+    this.queue = [];
+    this.#updateStatus({ state: 'off', queued: 0, nextPassAt: null });
+  }
+
+  /** Lists the tiles of enabled templates that are due for a scan, least recently analyzed first
+   * @param {number} rescanMinutes - Tiles analyzed more recently are left out
+   * @returns {Array<string>} Tiles as "x,y"
+   * @since 1.0.0
+   */
+  buildQueue(rescanMinutes) {
+    const tiles = new Set();
+    for (const template of this.templateManager.templatesArray) {
+      if (!this.templateManager.isTemplateEnabled(`${template.sortID} ${template.authorID}`)) {continue;}
+      for (const chunkKey of Object.keys(template.chunked || {})) {
+        const [tileX, tileY] = chunkKey.split(',').map(Number);
+        tiles.add(`${tileX},${tileY}`);
+      }
+    }
+
+    const dueBefore = Date.now() - rescanMinutes * 60 * 1000;
+    return [...tiles]
+      .map(tile => {
+        const [tileX, tileY] = tile.split(',');
+        const tileData = this.templateManager.tileProgress.get(`${tileX.padStart(4, '0')},${tileY.padStart(4, '0')}`);
+        const analyzedAt = tileData?.stale ? 0 : tileData?.analyzedAt || 0; // Restored tiles are always due
+        return { tile, analyzedAt };
+      })
+      .filter(({ analyzedAt }) => analyzedAt < dueBefore)
+      .sort((a, b) => a.analyzedAt - b.analyzedAt)
+      .map(({ tile }) => tile);
+  }
+
+  /** Downloads and analyzes the next tile, or starts a new pass when the queue is empty
+   * @since 1.0.0
+   */
+  async #step() {
+    this.timer = null;
+    const settings = getTileScannerSettings();
+    if (!settings.enabled) {
+      this.stop();
+      return;
+    }
+    if (document.hidden) {
+      this.#updateStatus({ state: 'hidden' });
+      return;
+    }
+
+    const tileServer = (settings.tileServer || this.apiManager.tileServerBase || '').replace(/\/+$/, '');
+    if (!tileServer) {
+      // The site has not loaded a tile yet, so the tile server is unknown
+      this.#updateStatus({ state: 'no-server' });
+      this.#schedule(settings.intervalSeconds * 1000);
+      return;
+    }
+
+    if (!this.queue.length) {
+      this.queue = this.buildQueue(settings.rescanMinutes);
+      if (!this.queue.length) {
+        // Every tile was analyzed recently, look again in a minute
+        const waitMs = Math.max(settings.intervalSeconds, 60) * 1000;
+        this.#updateStatus({ state: 'waiting', queued: 0, nextPassAt: Date.now() + waitMs });
+        this.#schedule(waitMs);
+        return;
+      }
+      debugLog(`[Tile Scanner] New pass with ${this.queue.length} tile(s)`);
+    }
+
+    const tile = this.queue.shift();
+    this.#updateStatus({ state: 'running', queued: this.queue.length, nextPassAt: null });
+    this.isBusy = true;
+
+    try {
+      const [tileX, tileY] = tile.split(',').map(Number);
+      const blob = await this.#fetchTile(`${tileServer}/${tileX}/${tileY}.png`).catch(error => {
+        // The tile server has no file for tiles nobody has painted, every template pixel there is unpainted
+        if (error.status === 404) {return this.#getEmptyTileBlob();}
+        throw error;
+      });
+      // Analysis only, drawing would move the status line and smart detection to an off-screen tile
+      const analyzed = await this.templateManager.analyzeTile(blob, [tileX, tileY]);
+      this.backoffMs = 0;
+      this.#updateStatus({ scanned: this.status.scanned + (analyzed ? 1 : 0), lastTile: tile, lastError: null });
+    } catch (error) {
+      if (error.status === 429 || error.status >= 500) {
+        this.backoffMs = Math.min(MAX_BACKOFF_MS, (this.backoffMs || settings.intervalSeconds * 1000) * 2);
+        this.queue.unshift(tile); // Try this tile again after the wait
+      }
+      console.warn(`[Tile Scanner] Tile ${tile} failed:`, error);
+      this.#updateStatus({ failed: this.status.failed + 1, lastTile: tile, lastError: error.message });
+    } finally {
+      this.isBusy = false;
+    }
+
+    // Stopped while the tile was loading
+    if (this.status.state === 'off') {return;}
+    this.#schedule(settings.intervalSeconds * 1000 + this.backoffMs);
+  }
+
+  /** Gets a fully transparent tile, created once
+   * @returns {Promise<Blob>} The tile PNG
+   * @since 1.0.0
+   */
+  async #getEmptyTileBlob() {
+    if (!this.emptyTileBlob) {
+      const size = this.templateManager.tileSize;
+      this.emptyTileBlob = await new OffscreenCanvas(size, size).convertToBlob({ type: 'image/png' });
+    }
+    return this.emptyTileBlob;
+  }
+
+  /** Downloads a tile image
+   * @param {string} url - The tile URL
+   * @returns {Promise<Blob>} The tile PNG
+   * @since 1.0.0
+   */
+  #fetchTile(url) {
+    return new Promise((resolve, reject) => {
+      const fail = (status) => {
+        const error = new Error(`HTTP ${status}`);
+        error.status = status;
+        reject(error);
+      };
+
+      // GM requests are not seen by the page's fetch spy, so the tile is not drawn twice
+      if (typeof GM_xmlhttpRequest === 'function') {
+        GM_xmlhttpRequest({
+          method: 'GET',
+          url,
+          responseType: 'blob',
+          onload: (response) => (response.status >= 200 && response.status < 300 && response.response) ? resolve(response.response) : fail(response.status),
+          onerror: () => reject(new Error('Network error')),
+          ontimeout: () => reject(new Error('Timed out')),
+          timeout: 30000
+        });
+        return;
+      }
+
+      fetch(url).then(response => response.ok ? response.blob().then(resolve) : fail(response.status)).catch(reject);
+    });
+  }
+
+  /** Pauses while the tab is hidden and continues when it is shown again
+   * @since 1.0.0
+   */
+  #onVisibilityChange() {
+    if (this.status.state === 'off') {return;}
+
+    if (document.hidden) {
+      this.#clearTimer();
+      this.#updateStatus({ state: 'hidden' });
+    } else if (!this.timer && !this.isBusy) {
+      this.#schedule(0);
+    }
+  }
+
+  /** Runs the next step after a delay
+   * @param {number} delayMs - Delay in milliseconds
+   * @since 1.0.0
+   */
+  #schedule(delayMs) {
+    this.#clearTimer();
+    this.timer = setTimeout(() => this.#step(), delayMs);
+  }
+
+  /** Cancels the next step
+   * @since 1.0.0
+   */
+  #clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /** Merges changes into the status and reports it
+   * @param {Object} changes - Status fields to change
+   * @since 1.0.0
+   */
+  #updateStatus(changes) {
+    this.status = { ...this.status, ...changes };
+    try {
+      this.onStatusChange?.(this.getStatus());
+    } catch (error) {
+      console.warn('Tile scanner status listener failed:', error);
+    }
+  }
+}
@@ -188,6 +188,78 @@ export function canvasPosToLatLng(coordinates) {
 
 
 
+/** Converts map latitude and longitude into canvas coordinates (the inverse of {@link canvasPosToLatLng})
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {number[]} A 4 element array of coordinates (Tile X, Tile Y, Pixel X, Pixel Y)
+ * @since 1.0.0
+ */
+export function latLngToCanvasPos(lat, lng) {
+  const mapSize = 2048000;
+
+  const x = (lng + 180) / 360;
+  const y = (1 - Math.log(Math.tan(Math.PI / 4 + (lat * Math.PI / 180) / 2)) / Math.PI) / 2;
+
+  const actualX = Math.floor(x * mapSize);
+  const actualY = Math.floor(y * mapSize);
+
+  return [Math.floor(actualX / 1000), Math.floor(actualY / 1000), actualX % 1000, actualY % 1000];
+}
+
+/** Estimates how long painting a number of pixels takes when every charge is used as soon as it is available.
+ * Every painter is assumed to start with the given charges.
+ * @param {number} remainingPixels - Pixels left to paint
+ * @param {{charges: number, cooldownMs: number}} chargeState - Current charges and the time to regain one
+ * @param {number} [painters=1] - Number of people painting
+ * @returns {number} Time in milliseconds
+ * @since 1.0.0
+ */
+export function estimatePaintingTime(remainingPixels, { charges, cooldownMs }, painters = 1) {
+  painters = Math.max(1, Math.floor(painters));
+  const afterCharges = Math.max(0, remainingPixels - charges * painters);
+  return Math.ceil(afterCharges / painters) * cooldownMs;
+}
+
+/** Formats a duration as its two largest units, e.g. "2d 5h", "3h 12m" or "45s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} The formatted duration
+ * @since 1.0.0
+ */
+export function formatDuration(ms) {
+  const totalSeconds = Math.ceil(ms / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (days > 0) {return `${days}d ${hours}h`;}
+  if (hours > 0) {return `${hours}h ${minutes}m`;}
+  if (minutes > 0) {return `${minutes}m ${seconds}s`;}
+  return `${seconds}s`;
+}
+
+/** Image hosts URL templates may be downloaded from.
+ * Must match the `@connect` lines of the userscript header, userscript managers block every other host.
+ * Subdomains are included, localhost is there to test against a local stand-in.
+ * @since 1.0.0
+ */
+export const remoteTemplateHosts = ['imgur.com', 'githubusercontent.com', 'github.com', 'discordapp.com', 'discordapp.net', 'ibb.co', 'catbox.moe', 'localhost', '127.0.0.1'];
+
+/** Checks whether a URL points to one of the {@link remoteTemplateHosts}
+ * @param {string} url - The image URL
+ * @returns {boolean} True if the URL is http(s) and its host is supported
+ * @since 1.0.0
+ */
+export function isRemoteTemplateHost(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    if (protocol !== 'http:' && protocol !== 'https:') {return false;}
+    return remoteTemplateHosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch {
+    return false;
+  }
+}
+
 /** The color palette used by wplace.live
  * @since 0.78.0
  * @examples
@@ -517,4 +589,24 @@ export const colorpalette = [
     "rgb": [205, 197, 158],
     "free": false
   }
-];
\ No newline at end of file
+];
+
+/** Works out which palette colors a user owns from the `extraColorsBitmap` of the /me response.
+ * Free colors are always owned. Premium color at palette index i is owned when bit (i - 32) is set.
+ * @param {number} extraColorsBitmap - The bitmap of purchased premium colors
+ * @returns {Set<string>} Owned colors as "r,g,b" keys
+ * @since 1.0.0
+ */
+export function getOwnedColorKeys(extraColorsBitmap = 0) {
+  const owned = new Set();
+  const bitmap = Number(extraColorsBitmap) || 0;
+
+  colorpalette.forEach((color, index) => {
+    if (color.name === 'Transparent') {return;}
+    if (color.free || (index >= 32 && Math.floor(bitmap / 2 ** (index - 32)) % 2 === 1)) {
+      owned.add(color.rgb.join(','));
+    }
+  });
+
+  return owned;
+}